@@ -0,0 +1,63 @@
+/**
+ * Lunar calendar check
+ *
+ * Converts lunar new year (正月初一) of 2024-2031 with the app's lunar table
+ * and compares it with the published dates. A wrong LUNAR_INFO entry shifts
+ * every later date by a day, which reaches reminders, countdowns and the
+ * .ics export.
+ *
+ * Usage: npm run check:lunar
+ *
+ * Exits with status 1 if any year does not match.
+ */
+
+import { lunarToSolar, solarToLunar } from '../src/services/LunarCalendar.js';
+
+const LUNAR_NEW_YEARS = {
+  2024: '2024-02-10',
+  2025: '2025-01-29',
+  2026: '2026-02-17',
+  2027: '2027-02-06',
+  2028: '2028-01-26',
+  2029: '2029-02-13',
+  2030: '2030-02-03',
+  2031: '2031-01-23',
+};
+
+/**
+ * Format a date as yyyy-MM-dd in local time
+ *
+ * @param {Date|null} date - Date to format
+ * @returns {string} Formatted date, or 'none'
+ */
+function formatDay(date) {
+  if (!date) {
+    return 'none';
+  }
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+let failures = 0;
+
+for (const [year, expected] of Object.entries(LUNAR_NEW_YEARS)) {
+  const actual = formatDay(lunarToSolar(Number(year), 1, 1));
+
+  // The day before new year must be the last day of the previous lunar year
+  const eve = new Date(`${expected}T00:00`);
+  eve.setDate(eve.getDate() - 1);
+  const eveLunar = solarToLunar(eve);
+  const eveOk = eveLunar && eveLunar.year === Number(year) - 1 && eveLunar.month === 12;
+
+  if (actual === expected && eveOk) {
+    console.log(`${year}: ${actual} ok`);
+  } else {
+    failures++;
+    console.log(`${year}: expected ${expected}, got ${actual}${eveOk ? '' : ' (eve is not in month 12 of the previous year)'}`);
+  }
+}
+
+if (failures > 0) {
+  console.log(`${failures} lunar new year${failures === 1 ? '' : 's'} wrong`);
+  process.exit(1);
+}
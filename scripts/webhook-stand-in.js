@@ -0,0 +1,92 @@
+/**
+ * Local webhook stand-in
+ *
+ * A tiny HTTP server to point the webhook channel at while developing:
+ * it accepts cross-origin JSON POSTs from the app and prints every payload.
+ *
+ * Usage: npm run webhook:stand-in -- [--port 8787] [--fail 2] [--status 503]
+ *
+ * With --fail N the first N requests are answered with --status (503 by
+ * default), so retries and failed deliveries show up in the delivery log.
+ * Set the webhook URL in Settings to http://localhost:8787/ and press
+ * "Send test".
+ */
+
+import http from 'node:http';
+
+/**
+ * Read a numeric --name value from the command line
+ *
+ * @param {string} name - Option name without dashes
+ * @param {number} fallback - Value when the option is missing or invalid
+ * @returns {number} Option value
+ */
+function readOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : Number(process.argv[index + 1]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const port = readOption('port', 8787);
+const failStatus = readOption('status', 503);
+let failuresLeft = readOption('fail', 0);
+let received = 0;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const server = http.createServer((request, response) => {
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+
+  if (request.method !== 'POST') {
+    response.writeHead(405, { ...CORS_HEADERS, Allow: 'POST, OPTIONS' });
+    response.end();
+    return;
+  }
+
+  let body = '';
+  request.setEncoding('utf8');
+  request.on('data', (chunk) => {
+    body += chunk;
+  });
+  request.on('end', () => {
+    received++;
+    const time = new Date().toLocaleTimeString();
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`[${time}] #${received} ${request.url} → ${failStatus} (simulated failure, ${failuresLeft} left)`);
+      response.writeHead(failStatus, CORS_HEADERS);
+      response.end();
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      console.log(`[${time}] #${received} ${request.url} → 400 (not JSON)\n${body}`);
+      response.writeHead(400, CORS_HEADERS);
+      response.end();
+      return;
+    }
+
+    console.log(`[${time}] #${received} ${request.url} → 200\n${JSON.stringify(payload, null, 2)}`);
+    response.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ ok: true }));
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Webhook stand-in listening on http://localhost:${port}/`);
+  if (failuresLeft > 0) {
+    console.log(`The first ${failuresLeft} requests will get ${failStatus}`);
+  }
+});
@@ -1,30 +1,89 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import Header from './components/Header';
 import AnniversaryList from './components/AnniversaryList';
 import AnniversaryForm from './components/AnniversaryForm';
 import ConfirmDialog from './components/ConfirmDialog';
 import RecycleBin from './components/RecycleBin';
 import TagStats from './components/TagStats';
-import useLocalStorage from './hooks/useLocalStorage';
+import SettingsPanel from './components/SettingsPanel';
+import DataPanel from './components/DataPanel';
+import BackupsPanel from './components/BackupsPanel';
+import NotificationCenter from './components/NotificationCenter';
+import Toast from './components/Toast';
+import useStorage from './hooks/useStorage';
 import useNotifications from './hooks/useNotifications';
+import useHistory from './hooks/useHistory';
 import {
+  NOTIFICATION_CLICK_EVENT,
+  NOTIFICATION_TOAST_EVENT,
+  emitNotificationClick
+} from './services/NotificationService';
+import {
+  addAnniversary,
+  updateAnniversary,
   moveToTrash,
   restoreFromTrash,
+  restoreManyFromTrash,
   permanentDelete,
+  permanentDeleteMany,
   loadTrash,
-  clearTrash
+  subscribeTrash,
+  clearTrash,
+  importFromICS,
+  importFromJSON,
+  restoreEncryptedBackup,
+  restoreSnapshot,
+  takeDailySnapshot,
+  importFromCSV,
+  importVCardSelection,
+  loadSettings,
+  saveSettings,
+  subscribeSettings,
+  loadCategories,
+  subscribeCategories,
+  subscribeSyncConflicts,
+  loadNotificationInbox,
+  subscribeNotificationInbox,
+  markNotificationsRead,
+  clearNotificationInbox,
+  addCategory,
+  updateCategory,
+  deleteCategory,
+  getStorageBackend,
+  isStorageFallback
 } from './services/StorageService';
 import './App.css';
 
 function App() {
   // State management
-  const [anniversaries, setAnniversaries] = useLocalStorage('anniversaries', []);
-  const [trash, setTrash] = useState([]);
+  const [anniversaries, setAnniversaries] = useStorage('anniversaries', []);
+  const [trash, setTrash] = useState(() => loadTrash());
   const [showForm, setShowForm] = useState(false);
   const [editingAnniversary, setEditingAnniversary] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [showRecycleBin, setShowRecycleBin] = useState(false);
   const [permanentDeleteConfirm, setPermanentDeleteConfirm] = useState(null);
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [showSettings, setShowSettings] = useState(false);
+  const [categories, setCategories] = useState(() => loadCategories());
+  const [showDataPanel, setShowDataPanel] = useState(false);
+  const [showBackups, setShowBackups] = useState(false);
+  const [toast, setToast] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [inbox, setInbox] = useState(() => loadNotificationInbox());
+  const [showInbox, setShowInbox] = useState(false);
+
+  // Undo / redo (Ctrl+Z / Ctrl+Shift+Z)
+  const history = useHistory(
+    (result, direction) => {
+      setAnniversaries(result.anniversaries);
+      setTrash(result.trash);
+      setToast(direction === 'undo'
+        ? { message: `Undone: ${result.label}`, actionLabel: 'Redo', action: 'redo' }
+        : { message: `Redone: ${result.label}`, actionLabel: 'Undo', action: 'undo' });
+    },
+    (error) => setToast({ message: error.message })
+  );
 
   // Notifications
   const {
@@ -52,11 +111,119 @@ function App() {
     }
   }, [isGranted, checkAndFire]);
 
-  // Load trash on mount
+  // Follow trash, settings, category and notification center changes,
+  // including other tabs' and the service worker's writes
+  useEffect(() => {
+    const unsubscribers = [
+      subscribeTrash(setTrash),
+      subscribeSettings(setSettings),
+      subscribeCategories(setCategories),
+      subscribeNotificationInbox(setInbox),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, []);
+
+  // Tell the user when another tab changed the same record at the same time
   useEffect(() => {
-    setTrash(loadTrash());
+    return subscribeSyncConflicts(({ conflicts }) => {
+      const [first] = conflicts;
+      const subject = conflicts.length === 1 ? `"${first.title}" was` : `${conflicts.length} items were`;
+      setToast({ message: `${subject} also changed in another tab; the newest changes were kept` });
+    });
   }, []);
 
+  // Warn (once per change) when the anniversary being edited changes in another tab
+  const editWarningRef = useRef(null);
+  useEffect(() => {
+    if (!showForm || !editingAnniversary) return;
+
+    const current = anniversaries.find(a => a.id === editingAnniversary.id);
+    const version = current ? current.updatedAt : 'deleted';
+    if (version === editingAnniversary.updatedAt || editWarningRef.current === `${editingAnniversary.id}:${version}`) return;
+
+    editWarningRef.current = `${editingAnniversary.id}:${version}`;
+    setToast({
+      message: current
+        ? `"${current.title}" was changed in another tab; saving will overwrite those changes`
+        : `"${editingAnniversary.title}" was deleted in another tab`
+    });
+  }, [anniversaries, showForm, editingAnniversary]);
+
+  // Show the anniversary a notification was opened for
+  useEffect(() => {
+    const handleNotificationClick = (event) => {
+      setShowForm(false);
+      setShowRecycleBin(false);
+      setHighlightedId(event.detail.anniversaryId);
+    };
+    window.addEventListener(NOTIFICATION_CLICK_EVENT, handleNotificationClick);
+
+    // Opened from a notification while no window was open
+    const params = new URLSearchParams(window.location.search);
+    if (params.has('anniversary')) {
+      setHighlightedId(params.get('anniversary'));
+      params.delete('anniversary');
+      const query = params.toString();
+      window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
+    return () => window.removeEventListener(NOTIFICATION_CLICK_EVENT, handleNotificationClick);
+  }, []);
+
+  // Reminders delivered through the toast channel
+  useEffect(() => {
+    const handleReminderToast = (event) => {
+      const { title, body, anniversaryId } = event.detail;
+      setToast({
+        message: `🔔 ${title}: ${body.replace(/\n/g, ', ')}`,
+        actionLabel: anniversaryId ? 'Show' : undefined,
+        action: 'show',
+        anniversaryId
+      });
+    };
+
+    window.addEventListener(NOTIFICATION_TOAST_EVENT, handleReminderToast);
+    return () => window.removeEventListener(NOTIFICATION_TOAST_EVENT, handleReminderToast);
+  }, []);
+
+  // Clear the highlight after a few seconds
+  useEffect(() => {
+    if (!highlightedId) return;
+
+    if (!anniversaries.some(a => a.id === highlightedId)) {
+      setToast({ message: 'That anniversary no longer exists' });
+      setHighlightedId(null);
+      return;
+    }
+
+    const timer = setTimeout(() => setHighlightedId(null), 4000);
+    return () => clearTimeout(timer);
+  }, [highlightedId, anniversaries]);
+
+  // Keep taking the daily snapshot while the app stays open
+  useEffect(() => {
+    const timer = setInterval(takeDailySnapshot, 60 * 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Toast handlers
+  const showUndoToast = (message) => {
+    setToast({ message, actionLabel: 'Undo', action: 'undo' });
+  };
+
+  const handleToastAction = () => {
+    if (toast.action === 'undo') {
+      history.undo();
+    } else if (toast.action === 'redo') {
+      history.redo();
+    } else if (toast.action === 'show') {
+      setHighlightedId(toast.anniversaryId);
+      setToast(null);
+    }
+  };
+
+  const dismissToast = useCallback(() => setToast(null), []);
+
   // Handlers
   const handleAddClick = () => {
     setEditingAnniversary(null);
@@ -78,6 +245,7 @@ function App() {
         const result = moveToTrash(deleteConfirm.id);
         setAnniversaries(result.anniversaries);
         setTrash(result.trash);
+        showUndoToast(`Moved "${deleteConfirm.title}" to the recycle bin`);
         setDeleteConfirm(null);
       } catch (error) {
         console.error('Error moving to trash:', error);
@@ -87,15 +255,20 @@ function App() {
   };
 
   const handleSave = (savedAnniversary) => {
-    if (editingAnniversary) {
-      // Update existing
-      const updatedAnniversaries = anniversaries.map(a =>
-        a.id === savedAnniversary.id ? savedAnniversary : a
-      );
-      setAnniversaries(updatedAnniversaries);
-    } else {
-      // Add new
-      setAnniversaries([...anniversaries, savedAnniversary]);
+    try {
+      if (editingAnniversary) {
+        // Update existing
+        setAnniversaries(updateAnniversary(savedAnniversary.id, savedAnniversary));
+        showUndoToast(`Saved "${savedAnniversary.title}"`);
+      } else {
+        // Add new
+        setAnniversaries(addAnniversary(savedAnniversary));
+        showUndoToast(`Added "${savedAnniversary.title}"`);
+      }
+    } catch (error) {
+      console.error('Error saving anniversary:', error);
+      alert('Failed to save anniversary. Please try again.');
+      return;
     }
 
     setShowForm(false);
@@ -117,6 +290,7 @@ function App() {
       const result = restoreFromTrash(item.id);
       setAnniversaries(result.anniversaries);
       setTrash(result.trash);
+      showUndoToast(`Restored "${item.title}"`);
     } catch (error) {
       console.error('Error restoring from trash:', error);
       alert('Failed to restore anniversary. Please try again.');
@@ -132,6 +306,7 @@ function App() {
       try {
         const updatedTrash = permanentDelete(permanentDeleteConfirm.id);
         setTrash(updatedTrash);
+        showUndoToast(`Permanently deleted "${permanentDeleteConfirm.title}"`);
         setPermanentDeleteConfirm(null);
       } catch (error) {
         console.error('Error permanently deleting:', error);
@@ -140,26 +315,136 @@ function App() {
     }
   };
 
-  const handleClearTrash = () => {
+  const handleRestoreMany = (items) => {
+    try {
+      const result = restoreManyFromTrash(items.map(item => item.id));
+      setAnniversaries(result.anniversaries);
+      setTrash(result.trash);
+      showUndoToast(`Restored ${items.length} ${items.length === 1 ? 'anniversary' : 'anniversaries'}`);
+    } catch (error) {
+      console.error('Error restoring from trash:', error);
+      alert('Failed to restore anniversaries. Please try again.');
+    }
+  };
+
+  // Returns whether the items were deleted, so the bin can clear its selection
+  const handlePermanentDeleteMany = (items) => {
+    if (!window.confirm(`Permanently delete ${items.length} selected ${items.length === 1 ? 'item' : 'items'}?`)) {
+      return false;
+    }
+
+    try {
+      setTrash(permanentDeleteMany(items.map(item => item.id)));
+      showUndoToast(`Permanently deleted ${items.length} ${items.length === 1 ? 'anniversary' : 'anniversaries'}`);
+      return true;
+    } catch (error) {
+      console.error('Error permanently deleting:', error);
+      alert('Failed to permanently delete anniversaries. Please try again.');
+      return false;
+    }
+  };
+
+  const handleClearTrash = async () => {
     if (trash.length === 0) return;
 
-    if (window.confirm(`Are you sure you want to permanently delete all ${trash.length} items from the recycle bin? This action cannot be undone.`)) {
+    if (window.confirm(`Are you sure you want to permanently delete all ${trash.length} items from the recycle bin? A snapshot is kept in Backups.`)) {
       try {
-        clearTrash();
+        await clearTrash();
         setTrash([]);
       } catch (error) {
         console.error('Error clearing trash:', error);
-        alert('Failed to clear recycle bin. Please try again.');
+        alert(`Failed to clear recycle bin, nothing was deleted. ${error.message}`);
       }
     }
   };
 
+  // Settings handlers
+  const handleSettingsChange = (newSettings) => {
+    try {
+      setSettings(saveSettings(newSettings));
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      alert('Failed to save settings. Please try again.');
+    }
+  };
+
+  // Import handlers (errors are shown inline by the import/export panel)
+  const handleImportICS = async (text) => {
+    const result = await importFromICS(text);
+    setAnniversaries(result.anniversaries);
+    return result;
+  };
+
+  const handleImportJSON = async (text, replace, resolutions) => {
+    const result = await importFromJSON(text, replace, resolutions);
+    setAnniversaries(result);
+    return result;
+  };
+
+  // A restore replaces everything, so every piece of loaded state is reset
+  const applyRestoredData = (result) => {
+    setAnniversaries(result.anniversaries);
+    setTrash(result.trash);
+    setSettings(result.settings);
+    setCategories(result.categories);
+    return result;
+  };
+
+  const handleRestoreBackup = async (text, password) =>
+    applyRestoredData(await restoreEncryptedBackup(text, password));
+
+  const handleRestoreSnapshot = async (id) => applyRestoredData(await restoreSnapshot(id));
+
+  const handleImportCSV = (text, mapping, options) => {
+    const result = importFromCSV(text, mapping, options);
+    setAnniversaries(result.anniversaries);
+    return result;
+  };
+
+  const handleImportVCards = (selected) => {
+    const result = importVCardSelection(selected);
+    setAnniversaries(result.anniversaries);
+    return result;
+  };
+
+  // Category handlers (errors are shown inline by the settings panel)
+  const handleAddCategory = (data) => {
+    setCategories(addCategory(data));
+  };
+
+  const handleUpdateCategory = (id, updates) => {
+    setCategories(updateCategory(id, updates));
+  };
+
+  // Notification center handlers
+  const handleOpenInboxEntry = (entry) => {
+    if (!entry.readAt) {
+      markNotificationsRead([entry.id]);
+    }
+    if (entry.anniversaryId) {
+      setShowInbox(false);
+      emitNotificationClick(entry.anniversaryId);
+    }
+  };
+
+  const handleDeleteCategory = (id) => {
+    const result = deleteCategory(id);
+    setCategories(result.categories);
+    setAnniversaries(result.anniversaries);
+    setTrash(result.trash);
+  };
+
   return (
     <div className="app">
       <Header
         onAddClick={handleAddClick}
         onTrashClick={handleTrashClick}
+        onSettingsClick={() => setShowSettings(true)}
+        onDataClick={() => setShowDataPanel(true)}
+        onBackupsClick={() => setShowBackups(true)}
+        onNotificationsClick={() => setShowInbox(true)}
         trashCount={trash.length}
+        unreadCount={inbox.filter(entry => !entry.readAt).length}
       />
 
       <main className="main-content">
@@ -179,13 +464,32 @@ function App() {
           </div>
         )}
 
+        {isStorageFallback() && (
+          <div className="notification-banner notification-banner-warning">
+            <div className="notification-banner-content">
+              <span className="notification-icon">⚠️</span>
+              {getStorageBackend() === 'localstorage' ? (
+                <div className="notification-text">
+                  <strong>Using Backup Storage</strong>
+                  <p>The browser database could not be opened, so data is kept in localStorage for now (about 5 MB, no background reminders). Changes are copied back once the database opens again</p>
+                </div>
+              ) : (
+                <div className="notification-text">
+                  <strong>Data Is Not Being Saved</strong>
+                  <p>Browser storage could not be opened, so changes are lost when this tab closes. Export your data under 📦 before leaving</p>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         {permission === 'denied' && anniversaries.length > 0 && (
           <div className="notification-banner notification-banner-warning">
             <div className="notification-banner-content">
               <span className="notification-icon">⚠️</span>
               <div className="notification-text">
                 <strong>Notifications Blocked</strong>
-                <p>Please enable notifications in your browser settings to get reminders</p>
+                <p>Reminders still appear under 🔔 Notifications. Enable notifications in your browser settings to get them outside the app</p>
               </div>
             </div>
           </div>
@@ -193,18 +497,26 @@ function App() {
 
         <AnniversaryList
           anniversaries={anniversaries}
+          categories={categories}
+          milestones={settings.milestones}
+          highlightedId={highlightedId}
           onEdit={handleEdit}
           onDelete={handleDelete}
           onAddClick={handleAddClick}
         />
 
-        <TagStats anniversaries={anniversaries} trashCount={trash.length} />
+        <TagStats
+          anniversaries={anniversaries}
+          categories={categories}
+          trashCount={trash.length}
+        />
       </main>
 
       {/* Form Modal */}
       {showForm && (
         <AnniversaryForm
           anniversary={editingAnniversary}
+          categories={categories}
           onSave={handleSave}
           onCancel={handleCancel}
         />
@@ -234,12 +546,72 @@ function App() {
       {showRecycleBin && (
         <RecycleBin
           trash={trash}
+          categories={categories}
+          retentionDays={settings.trashRetentionDays}
           onRestore={handleRestore}
           onPermanentDelete={handlePermanentDelete}
+          onRestoreMany={handleRestoreMany}
+          onPermanentDeleteMany={handlePermanentDeleteMany}
           onClearAll={handleClearTrash}
           onClose={() => setShowRecycleBin(false)}
         />
       )}
+
+      {/* Settings Modal */}
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          categories={categories}
+          onChange={handleSettingsChange}
+          onAddCategory={handleAddCategory}
+          onUpdateCategory={handleUpdateCategory}
+          onDeleteCategory={handleDeleteCategory}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+
+      {/* Notification Center */}
+      {showInbox && (
+        <NotificationCenter
+          entries={inbox}
+          anniversaries={anniversaries}
+          permission={permission}
+          onOpen={handleOpenInboxEntry}
+          onMarkAllRead={() => markNotificationsRead()}
+          onClear={() => clearNotificationInbox()}
+          onClose={() => setShowInbox(false)}
+        />
+      )}
+
+      {/* Import / Export Modal */}
+      {showDataPanel && (
+        <DataPanel
+          anniversaryCount={anniversaries.length}
+          onImportICS={handleImportICS}
+          onImportJSON={handleImportJSON}
+          onImportCSV={handleImportCSV}
+          onImportVCards={handleImportVCards}
+          onRestoreBackup={handleRestoreBackup}
+          onClose={() => setShowDataPanel(false)}
+        />
+      )}
+
+      {toast && (
+        <Toast
+          message={toast.message}
+          actionLabel={toast.actionLabel}
+          onAction={handleToastAction}
+          onDismiss={dismissToast}
+        />
+      )}
+
+      {/* Backups Modal */}
+      {showBackups && (
+        <BackupsPanel
+          onRestore={handleRestoreSnapshot}
+          onClose={() => setShowBackups(false)}
+        />
+      )}
     </div>
   );
 }
@@ -1,27 +1,40 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import useCountdown from '../hooks/useCountdown';
-import { formatDate } from '../services/DateService';
+import {
+  formatDate,
+  formatCountdown,
+  getNextMilestone,
+  getNextOccurrence
+} from '../services/DateService';
+import { formatLunarDate } from '../services/LunarCalendar';
+import { formatRecurrence } from '../services/RecurrenceService';
+import {
+  CALENDAR_TYPES,
+  COUNT_MODES,
+  findCategory,
+  formatCategoryLabel
+} from '../models/Anniversary';
 import './AnniversaryCard.css';
 
-const CATEGORY_COLORS = {
-  birthday: '#FFB6C1',
-  wedding: '#FF69B4',
-  work: '#87CEEB',
-  other: '#DDA0DD'
-};
+function AnniversaryCard({ anniversary, categories, milestones, highlighted, onEdit, onDelete }) {
+  const { daysUntil, daysSince, yearsSince, isToday, isApproaching } = useCountdown(anniversary);
+  const cardRef = useRef(null);
 
-const CATEGORY_LABELS = {
-  birthday: '🎂 Birthday',
-  wedding: '💒 Wedding',
-  work: '💼 Work',
-  other: '🎈 Other'
-};
+  // Bring the card into view when it is opened from a notification
+  useEffect(() => {
+    if (highlighted && cardRef.current) {
+      cardRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlighted]);
 
-function AnniversaryCard({ anniversary, onEdit, onDelete }) {
-  const { daysUntil, countdownText, isToday, isApproaching } = useCountdown(anniversary.date);
+  const countMode = anniversary.countMode || COUNT_MODES.COUNTDOWN;
+  const showCountdown = countMode !== COUNT_MODES.COUNTUP;
+  const showCountUp = countMode !== COUNT_MODES.COUNTDOWN && !anniversary.yearUnknown;
+  const nextMilestone = getNextMilestone(anniversary, milestones);
 
-  const categoryColor = CATEGORY_COLORS[anniversary.category] || CATEGORY_COLORS.other;
-  const categoryLabel = CATEGORY_LABELS[anniversary.category] || CATEGORY_LABELS.other;
+  const category = findCategory(categories, anniversary.category);
+  const categoryColor = category.color;
+  const categoryLabel = formatCategoryLabel(category);
 
   // Determine card state class
   let stateClass = '';
@@ -32,7 +45,7 @@ function AnniversaryCard({ anniversary, onEdit, onDelete }) {
   }
 
   return (
-    <div className={`anniversary-card ${stateClass}`}>
+    <div ref={cardRef} className={`anniversary-card ${stateClass}${highlighted ? ' card-highlighted' : ''}`}>
       <div className="card-header">
         <div
           className="card-category"
@@ -60,16 +73,75 @@ function AnniversaryCard({ anniversary, onEdit, onDelete }) {
 
       <div className="card-body">
         <h3 className="card-title">{anniversary.title}</h3>
-        <div className="card-date">{formatDate(anniversary.date)}</div>
+        <div className="card-date">
+          {anniversary.calendar === CALENDAR_TYPES.LUNAR && anniversary.lunarDate ? (
+            <>
+              {formatLunarDate(anniversary.lunarDate, true)}
+              <span className="card-date-secondary">{formatDate(anniversary.date)}</span>
+            </>
+          ) : anniversary.recurrence ? (
+            <>
+              {formatRecurrence(anniversary.recurrence)}
+              <span className="card-date-secondary">
+                Next: {formatDate(getNextOccurrence(anniversary))} · since {formatDate(anniversary.date)}
+              </span>
+            </>
+          ) : anniversary.yearUnknown ? (
+            <>
+              {formatDate(anniversary.date, 'MMM d')}
+              <span className="card-date-secondary">Year unknown</span>
+            </>
+          ) : (
+            formatDate(anniversary.date)
+          )}
+        </div>
 
         {anniversary.description && (
           <p className="card-description">{anniversary.description}</p>
         )}
 
-        <div className="card-countdown">
-          <div className="countdown-number">{Math.abs(daysUntil)}</div>
-          <div className="countdown-text">{countdownText}</div>
-        </div>
+        {anniversary.tags && anniversary.tags.length > 0 && (
+          <div className="card-tags">
+            {anniversary.tags.map(tag => (
+              <span key={tag} className="card-tag">#{tag}</span>
+            ))}
+          </div>
+        )}
+
+        {showCountdown && (
+          <div className="card-countdown">
+            <div className="countdown-number">{Math.abs(daysUntil)}</div>
+            <div className="countdown-text">
+              {isToday ? 'Today' : daysUntil === 1 ? 'day to go' : 'days to go'}
+            </div>
+          </div>
+        )}
+
+        {showCountUp && (
+          <div className="card-countdown card-countup">
+            <div className="countdown-number">{Math.abs(daysSince).toLocaleString()}</div>
+            <div className="countdown-text">
+              {daysSince < 0
+                ? 'days until it begins'
+                : `${daysSince === 1 ? 'day' : 'days'} since`}
+              {yearsSince > 0 && (
+                <span className="countup-years">
+                  {yearsSince} {yearsSince === 1 ? 'year' : 'years'}
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+
+        {nextMilestone && (
+          <div className="card-milestone">
+            🏁 {nextMilestone.daysUntil === 0 ? 'Today' : 'Next'}: {nextMilestone.days.toLocaleString()} days
+            <span className="card-milestone-date">
+              {formatDate(nextMilestone.date)}
+              {nextMilestone.daysUntil > 0 && ` · in ${formatCountdown(nextMilestone.daysUntil)}`}
+            </span>
+          </div>
+        )}
 
         {isToday && (
           <div className="card-badge card-badge-today">
@@ -1,25 +1,94 @@
 import React, { useState, useEffect } from 'react';
-import { createAnniversary, updateAnniversary, REMINDER_CYCLES } from '../models/Anniversary';
+import { format, parseISO } from 'date-fns';
+import {
+  createAnniversary,
+  updateAnniversary,
+  REMINDER_CYCLES,
+  REMINDER_UNITS,
+  CALENDAR_TYPES,
+  RECURRENCE_FREQUENCIES,
+  LEAP_DAY_POLICIES,
+  COUNT_MODES,
+  ANNIVERSARY_CATEGORIES,
+  DEFAULT_CATEGORIES,
+  formatCategoryLabel,
+  normalizeReminderTiming
+} from '../models/Anniversary';
 import { HOLIDAY_PRESETS, getHolidayDate } from '../services/HolidayPresets';
+import { formatDate, getNextOccurrence } from '../services/DateService';
+import { formatRecurrence } from '../services/RecurrenceService';
+import { listNotificationChannels, getAnniversaryChannels } from '../services/NotificationService';
+import {
+  MIN_LUNAR_YEAR,
+  MAX_LUNAR_YEAR,
+  getLeapMonth,
+  getLunarMonthDays,
+  lunarToSolar,
+  solarToLunar,
+  formatLunarMonth,
+  formatLunarDay,
+  formatLunarDate
+} from '../services/LunarCalendar';
 import './AnniversaryForm.css';
 
-function AnniversaryForm({ anniversary, onSave, onCancel }) {
+const LUNAR_MONTHS = Array.from({ length: 12 }, (_, i) => i + 1);
+
+const WEEKDAY_OPTIONS = ['日 (Sun)', '一 (Mon)', '二 (Tue)', '三 (Wed)', '四 (Thu)', '五 (Fri)', '六 (Sat)'];
+const NTH_OPTIONS = [
+  { value: 1, label: '第一个 (1st)' },
+  { value: 2, label: '第二个 (2nd)' },
+  { value: 3, label: '第三个 (3rd)' },
+  { value: 4, label: '第四个 (4th)' },
+  { value: 5, label: '第五个 (5th)' },
+  { value: -1, label: '最后一个 (Last)' }
+];
+
+// Reminder offsets are edited as ReminderTiming objects and normalized on save
+const toEditableTimings = (timings) => (timings || []).map(normalizeReminderTiming).filter(Boolean);
+
+// Gregorian ISO date for a lunar date, or '' if it does not exist
+function lunarToDateString(lunarDate) {
+  const solarDate = lunarToSolar(lunarDate.year, lunarDate.month, lunarDate.day, lunarDate.isLeap);
+  return solarDate ? format(solarDate, 'yyyy-MM-dd') : '';
+}
+
+function AnniversaryForm({ anniversary, categories = DEFAULT_CATEGORIES, onSave, onCancel }) {
   const isEdit = !!anniversary;
 
   const [formData, setFormData] = useState({
     title: '',
     date: '',
+    calendar: CALENDAR_TYPES.SOLAR,
+    lunarDate: null,
+    recurrence: null,
+    leapDayPolicy: LEAP_DAY_POLICIES.FEB_28,
+    yearUnknown: false,
     description: '',
-    category: 'birthday',
+    category: categories[0] ? categories[0].id : ANNIVERSARY_CATEGORIES.OTHER,
+    tags: [],
+    countMode: COUNT_MODES.COUNTDOWN,
     reminderSettings: {
       enabled: true,
-      timings: [0, 1, 7],
+      timings: toEditableTimings([0, 1, 7]),
       timeOfDay: '09:00',
       cycle: REMINDER_CYCLES.YEARLY,
-      customMonths: null
+      customMonths: null,
+      channels: null
+    },
+    milestoneSettings: {
+      enabled: true,
+      useGlobal: true,
+      days: [],
+      everyDays: null
     }
   });
 
+  // Comma-separated text for custom milestone days, parsed on submit
+  const [milestoneDaysText, setMilestoneDaysText] = useState('');
+
+  // Comma-separated text for tags, parsed on submit
+  const [tagsText, setTagsText] = useState('');
+
   const [selectedHoliday, setSelectedHoliday] = useState('');
 
   const [errors, setErrors] = useState({});
@@ -30,16 +99,37 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
       setFormData({
         title: anniversary.title || '',
         date: anniversary.date ? anniversary.date.split('T')[0] : '',
+        calendar: anniversary.calendar || CALENDAR_TYPES.SOLAR,
+        lunarDate: anniversary.lunarDate || null,
+        recurrence: anniversary.recurrence || null,
+        leapDayPolicy: anniversary.leapDayPolicy || LEAP_DAY_POLICIES.FEB_28,
+        yearUnknown: Boolean(anniversary.yearUnknown),
         description: anniversary.description || '',
         category: anniversary.category || 'birthday',
-        reminderSettings: anniversary.reminderSettings || {
+        tags: anniversary.tags || [],
+        countMode: anniversary.countMode || COUNT_MODES.COUNTDOWN,
+        reminderSettings: anniversary.reminderSettings
+          ? {
+            ...anniversary.reminderSettings,
+            timings: toEditableTimings(anniversary.reminderSettings.timings)
+          }
+          : {
+            enabled: true,
+            timings: toEditableTimings([0, 1, 7]),
+            timeOfDay: '09:00',
+            cycle: REMINDER_CYCLES.YEARLY,
+            customMonths: null
+          },
+        milestoneSettings: {
           enabled: true,
-          timings: [0, 1, 7],
-          timeOfDay: '09:00',
-          cycle: REMINDER_CYCLES.YEARLY,
-          customMonths: null
+          useGlobal: true,
+          days: [],
+          everyDays: null,
+          ...anniversary.milestoneSettings
         }
       });
+      setMilestoneDaysText(((anniversary.milestoneSettings || {}).days || []).join(', '));
+      setTagsText((anniversary.tags || []).join(', '));
     }
   }, [anniversary]);
 
@@ -56,7 +146,13 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
           ...prev,
           title: holiday.name,
           date: holidayDate,
-          category: holiday.category,
+          calendar: CALENDAR_TYPES.SOLAR,
+          lunarDate: null,
+          recurrence: holiday.recurrence || null,
+          // The preset's category may have been deleted from the registry
+          category: categories.some(c => c.id === holiday.category)
+            ? holiday.category
+            : ANNIVERSARY_CATEGORIES.OTHER,
           description: holiday.description
         }));
       }
@@ -72,18 +168,147 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
     }
   };
 
-  const handleReminderChange = (timing) => {
+  const handleCalendarChange = (e) => {
+    const calendar = e.target.value;
+    setFormData(prev => {
+      if (calendar !== CALENDAR_TYPES.LUNAR) {
+        return { ...prev, calendar, lunarDate: null };
+      }
+
+      // Start from the lunar equivalent of the picked date, if any
+      const lunarDate = (prev.date && solarToLunar(parseISO(prev.date))) || {
+        year: new Date().getFullYear(),
+        month: 1,
+        day: 1,
+        isLeap: false
+      };
+      return {
+        ...prev,
+        calendar,
+        lunarDate,
+        recurrence: null,
+        date: lunarToDateString(lunarDate)
+      };
+    });
+  };
+
+  const handleRecurrenceFreqChange = (e) => {
+    const freq = e.target.value;
+    setFormData(prev => {
+      if (!freq) {
+        return { ...prev, recurrence: null };
+      }
+
+      // Default the rule to the weekday the picked date falls on
+      const start = prev.date ? parseISO(prev.date) : new Date();
+      const weekday = start.getDay();
+      const nth = Math.ceil(start.getDate() / 7);
+      const month = start.getMonth() + 1;
+
+      const recurrence = {
+        ...(freq === RECURRENCE_FREQUENCIES.WEEKLY ? {} : { weekday, nth }),
+        ...(freq === RECURRENCE_FREQUENCIES.YEARLY ? { month } : {}),
+        ...prev.recurrence,
+        freq,
+        interval: 1
+      };
+      return { ...prev, recurrence };
+    });
+  };
+
+  const handleRecurrenceChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      recurrence: { ...prev.recurrence, [field]: value }
+    }));
+  };
+
+  const handleLunarChange = (field, value) => {
+    setFormData(prev => {
+      const lunarDate = { ...prev.lunarDate, [field]: value };
+
+      // Leap month and day 30 only exist in some years
+      if (getLeapMonth(lunarDate.year) !== lunarDate.month) {
+        lunarDate.isLeap = false;
+      }
+      const monthDays = getLunarMonthDays(lunarDate.year, lunarDate.month, lunarDate.isLeap);
+      if (monthDays) {
+        lunarDate.day = Math.min(lunarDate.day, monthDays);
+      }
+
+      return { ...prev, lunarDate, date: lunarToDateString(lunarDate) };
+    });
+    if (errors.date) {
+      setErrors(prev => ({ ...prev, date: '' }));
+    }
+  };
+
+  const updateReminderTimings = (update) => {
+    setFormData(prev => ({
+      ...prev,
+      reminderSettings: {
+        ...prev.reminderSettings,
+        timings: update(prev.reminderSettings.timings)
+      }
+    }));
+    if (errors.reminders) {
+      setErrors(prev => ({ ...prev, reminders: '' }));
+    }
+  };
+
+  const handleTimingChange = (index, changes) => {
+    updateReminderTimings(timings => timings.map((timing, i) => {
+      if (i !== index) {
+        return timing;
+      }
+      const updated = { ...timing, ...changes };
+      // Hour offsets always count back from the reminder time
+      return updated.unit === REMINDER_UNITS.HOURS ? { ...updated, timeOfDay: null } : updated;
+    }));
+  };
+
+  const handleAddTiming = () => {
+    updateReminderTimings(timings => [...timings, { amount: 1, unit: REMINDER_UNITS.DAYS, timeOfDay: null }]);
+  };
+
+  const handleRemoveTiming = (index) => {
+    updateReminderTimings(timings => timings.filter((_, i) => i !== index));
+  };
+
+  const handleReminderTimeChange = (e) => {
+    const timeOfDay = e.target.value;
+    if (timeOfDay) {
+      setFormData(prev => ({
+        ...prev,
+        reminderSettings: { ...prev.reminderSettings, timeOfDay }
+      }));
+    }
+  };
+
+  const handleUseDefaultChannelsChange = (useDefault) => {
     setFormData(prev => ({
       ...prev,
       reminderSettings: {
         ...prev.reminderSettings,
-        timings: prev.reminderSettings.timings.includes(timing)
-          ? prev.reminderSettings.timings.filter(t => t !== timing)
-          : [...prev.reminderSettings.timings, timing].sort((a, b) => a - b)
+        // Start from the current defaults so nothing changes until a channel is toggled
+        channels: useDefault ? null : getAnniversaryChannels(null)
       }
     }));
   };
 
+  const handleChannelToggle = (id, checked) => {
+    setFormData(prev => {
+      const channels = prev.reminderSettings.channels || [];
+      return {
+        ...prev,
+        reminderSettings: {
+          ...prev.reminderSettings,
+          channels: checked ? [...channels, id] : channels.filter(channel => channel !== id)
+        }
+      };
+    });
+  };
+
   const handleReminderCycleChange = (e) => {
     const cycle = e.target.value;
     setFormData(prev => ({
@@ -107,6 +332,26 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
     }));
   };
 
+  const handleMilestoneChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      milestoneSettings: {
+        ...prev.milestoneSettings,
+        [field]: value
+      }
+    }));
+  };
+
+  const parseMilestoneDays = (text) => text
+    .split(/[,，\s]+/)
+    .filter(Boolean)
+    .map(Number);
+
+  const parseTags = (text) => text
+    .split(/[,，]/)
+    .map(tag => tag.trim().replace(/^#/, ''))
+    .filter(Boolean);
+
   const validate = () => {
     const newErrors = {};
 
@@ -117,13 +362,27 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
     }
 
     if (!formData.date) {
-      newErrors.date = 'Date is required';
+      newErrors.date = formData.calendar === CALENDAR_TYPES.LUNAR
+        ? 'Please enter a valid lunar date'
+        : 'Date is required';
     }
 
     if (formData.description && formData.description.length > 500) {
       newErrors.description = 'Description must be 500 characters or less';
     }
 
+    if (parseTags(tagsText).some(tag => tag.length > 30)) {
+      newErrors.tags = 'Each tag must be 30 characters or less';
+    }
+
+    if (formData.reminderSettings.timings.some(timing => !normalizeReminderTiming(timing))) {
+      newErrors.reminders = 'Reminder offsets must be whole numbers, at most a year before';
+    }
+
+    if (parseMilestoneDays(milestoneDaysText).some(d => !Number.isInteger(d) || d <= 0)) {
+      newErrors.milestones = 'Milestones must be positive whole numbers of days';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -137,13 +396,21 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
 
     try {
       let savedAnniversary;
+      const data = {
+        ...formData,
+        tags: parseTags(tagsText),
+        milestoneSettings: {
+          ...formData.milestoneSettings,
+          days: [...new Set(parseMilestoneDays(milestoneDaysText))].sort((a, b) => a - b)
+        }
+      };
 
       if (isEdit) {
         // Update existing
-        savedAnniversary = updateAnniversary(anniversary, formData);
+        savedAnniversary = updateAnniversary(anniversary, data, categories);
       } else {
         // Create new
-        savedAnniversary = createAnniversary(formData);
+        savedAnniversary = createAnniversary(data, categories);
       }
 
       onSave(savedAnniversary);
@@ -152,6 +419,14 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
     }
   };
 
+  const lunarMonthDays = formData.lunarDate
+    ? getLunarMonthDays(
+      formData.lunarDate.year,
+      formData.lunarDate.month,
+      formData.lunarDate.isLeap
+    ) || 30
+    : 30;
+
   return (
     <div className="form-overlay" onClick={onCancel}>
       <div className="form-modal" onClick={(e) => e.stopPropagation()}>
@@ -209,20 +484,199 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
           </div>
 
           <div className="form-group">
-            <label className="form-label" htmlFor="date">
-              Date <span className="form-required">*</span>
+            <label className="form-label" htmlFor="calendar">
+              历法 (Calendar)
             </label>
-            <input
-              type="date"
-              id="date"
-              name="date"
-              className={`form-input ${errors.date ? 'form-input-error' : ''}`}
-              value={formData.date}
-              onChange={handleChange}
-            />
-            {errors.date && <div className="form-error">{errors.date}</div>}
+            <select
+              id="calendar"
+              name="calendar"
+              className="form-input"
+              value={formData.calendar}
+              onChange={handleCalendarChange}
+            >
+              <option value={CALENDAR_TYPES.SOLAR}>公历 (Gregorian)</option>
+              <option value={CALENDAR_TYPES.LUNAR}>农历 (Lunar)</option>
+            </select>
           </div>
 
+          {formData.calendar === CALENDAR_TYPES.LUNAR && formData.lunarDate ? (
+            <div className="form-group">
+              <label className="form-label" htmlFor="lunar-year">
+                农历日期 (Lunar Date) <span className="form-required">*</span>
+              </label>
+              <div className="form-lunar-date">
+                <input
+                  type="number"
+                  id="lunar-year"
+                  className={`form-input ${errors.date ? 'form-input-error' : ''}`}
+                  min={MIN_LUNAR_YEAR}
+                  max={MAX_LUNAR_YEAR}
+                  value={formData.lunarDate.year || ''}
+                  onChange={(e) => handleLunarChange('year', parseInt(e.target.value) || 0)}
+                />
+                <select
+                  className="form-input"
+                  value={formData.lunarDate.month}
+                  onChange={(e) => handleLunarChange('month', parseInt(e.target.value))}
+                >
+                  {LUNAR_MONTHS.map(month => (
+                    <option key={month} value={month}>{formatLunarMonth(month)}</option>
+                  ))}
+                </select>
+                <select
+                  className="form-input"
+                  value={formData.lunarDate.day}
+                  onChange={(e) => handleLunarChange('day', parseInt(e.target.value))}
+                >
+                  {Array.from({ length: lunarMonthDays }, (_, i) => i + 1).map(day => (
+                    <option key={day} value={day}>{formatLunarDay(day)}</option>
+                  ))}
+                </select>
+              </div>
+              {getLeapMonth(formData.lunarDate.year) === formData.lunarDate.month && (
+                <label className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={!!formData.lunarDate.isLeap}
+                    onChange={(e) => handleLunarChange('isLeap', e.target.checked)}
+                  />
+                  <span>闰月 (Leap month)</span>
+                </label>
+              )}
+              {formData.date && (
+                <small className="form-hint">
+                  {formatLunarDate(formData.lunarDate, true)} = 公历 {formatDate(formData.date)}
+                </small>
+              )}
+              {errors.date && <div className="form-error">{errors.date}</div>}
+            </div>
+          ) : (
+            <div className="form-group">
+              <label className="form-label" htmlFor="date">
+                {formData.recurrence ? '开始日期 (Start Date)' : 'Date'} <span className="form-required">*</span>
+              </label>
+              <input
+                type="date"
+                id="date"
+                name="date"
+                className={`form-input ${errors.date ? 'form-input-error' : ''}`}
+                value={formData.date}
+                onChange={handleChange}
+              />
+              {formData.date && !formData.yearUnknown && solarToLunar(parseISO(formData.date)) && (
+                <small className="form-hint">
+                  {formatLunarDate(solarToLunar(parseISO(formData.date)), true)}
+                </small>
+              )}
+              {!formData.recurrence && (
+                <label className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={formData.yearUnknown}
+                    onChange={(e) => setFormData(prev => ({ ...prev, yearUnknown: e.target.checked }))}
+                  />
+                  <span>年份未知 (Year unknown — only the month and day are used)</span>
+                </label>
+              )}
+              {errors.date && <div className="form-error">{errors.date}</div>}
+              {formData.date.endsWith('-02-29') && !formData.recurrence && (
+                <div className="form-custom-months">
+                  <label className="form-label" htmlFor="leapDayPolicy">
+                    平年怎么过？(In non-leap years)
+                  </label>
+                  <select
+                    id="leapDayPolicy"
+                    name="leapDayPolicy"
+                    className="form-input"
+                    value={formData.leapDayPolicy}
+                    onChange={handleChange}
+                  >
+                    <option value={LEAP_DAY_POLICIES.FEB_28}>2月28日 (Observe on Feb 28)</option>
+                    <option value={LEAP_DAY_POLICIES.MAR_1}>3月1日 (Observe on Mar 1)</option>
+                    <option value={LEAP_DAY_POLICIES.LEAP_YEARS_ONLY}>仅闰年 (Only in leap years)</option>
+                  </select>
+                </div>
+              )}
+            </div>
+          )}
+
+          {formData.calendar === CALENDAR_TYPES.SOLAR && (
+            <div className="form-group">
+              <label className="form-label" htmlFor="recurrence">
+                重复规则 (Repeats)
+              </label>
+              <select
+                id="recurrence"
+                className="form-input"
+                value={formData.recurrence ? formData.recurrence.freq : ''}
+                onChange={handleRecurrenceFreqChange}
+              >
+                <option value="">每年同一天 (Same date every year)</option>
+                <option value={RECURRENCE_FREQUENCIES.YEARLY}>每年第N个星期X (Nth weekday of a month, yearly)</option>
+                <option value={RECURRENCE_FREQUENCIES.MONTHLY}>每月第N个星期X (Nth weekday, monthly)</option>
+                <option value={RECURRENCE_FREQUENCIES.WEEKLY}>每N周 (Every N weeks)</option>
+              </select>
+              {formData.recurrence && (
+                <div className="form-custom-months">
+                  {formData.recurrence.freq !== RECURRENCE_FREQUENCIES.WEEKLY && (
+                    <div className="form-recurrence-rule">
+                      <select
+                        className="form-input"
+                        value={formData.recurrence.nth}
+                        onChange={(e) => handleRecurrenceChange('nth', parseInt(e.target.value))}
+                      >
+                        {NTH_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="form-input"
+                        value={formData.recurrence.weekday}
+                        onChange={(e) => handleRecurrenceChange('weekday', parseInt(e.target.value))}
+                      >
+                        {WEEKDAY_OPTIONS.map((label, weekday) => (
+                          <option key={weekday} value={weekday}>星期{label}</option>
+                        ))}
+                      </select>
+                      {formData.recurrence.freq === RECURRENCE_FREQUENCIES.YEARLY && (
+                        <select
+                          className="form-input"
+                          value={formData.recurrence.month}
+                          onChange={(e) => handleRecurrenceChange('month', parseInt(e.target.value))}
+                        >
+                          {LUNAR_MONTHS.map(month => (
+                            <option key={month} value={month}>{month}月</option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
+                  )}
+                  {formData.recurrence.freq === RECURRENCE_FREQUENCIES.WEEKLY && (
+                    <>
+                      <label className="form-label" htmlFor="recurrence-interval">
+                        每隔几周 (Weeks Interval)
+                      </label>
+                      <input
+                        type="number"
+                        id="recurrence-interval"
+                        className="form-input"
+                        min="1"
+                        max="52"
+                        value={formData.recurrence.interval || 1}
+                        onChange={(e) => handleRecurrenceChange('interval', Math.max(1, Math.min(52, parseInt(e.target.value) || 1)))}
+                      />
+                    </>
+                  )}
+                  {formData.date && (
+                    <small className="form-hint">
+                      {formatRecurrence(formData.recurrence)} · 下一次 (Next): {formatDate(getNextOccurrence(formData))}
+                    </small>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="form-group">
             <label className="form-label" htmlFor="category">
               Category
@@ -234,10 +688,44 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
               value={formData.category}
               onChange={handleChange}
             >
-              <option value="birthday">🎂 Birthday</option>
-              <option value="wedding">💒 Wedding</option>
-              <option value="work">💼 Work</option>
-              <option value="other">🎈 Other</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>
+                  {formatCategoryLabel(category)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="tags">
+              标签 (Tags)
+            </label>
+            <input
+              type="text"
+              id="tags"
+              className={`form-input ${errors.tags ? 'form-input-error' : ''}`}
+              value={tagsText}
+              onChange={(e) => setTagsText(e.target.value)}
+              placeholder="e.g., family, team, milestone"
+            />
+            <small className="form-hint">用逗号分隔多个标签 (Separate tags with commas)</small>
+            {errors.tags && <div className="form-error">{errors.tags}</div>}
+          </div>
+
+          <div className="form-group">
+            <label className="form-label" htmlFor="countMode">
+              计数方式 (Counting Mode)
+            </label>
+            <select
+              id="countMode"
+              name="countMode"
+              className="form-input"
+              value={formData.countMode}
+              onChange={handleChange}
+            >
+              <option value={COUNT_MODES.COUNTDOWN}>倒计时 (Days until next)</option>
+              <option value={COUNT_MODES.COUNTUP}>正计时 (Days since)</option>
+              <option value={COUNT_MODES.BOTH}>两者都显示 (Both)</option>
             </select>
           </div>
 
@@ -290,34 +778,157 @@ function AnniversaryForm({ anniversary, onSave, onCancel }) {
             )}
           </div>
 
+          <div className="form-group">
+            <label className="form-label" htmlFor="reminder-time">提醒时间 (Reminder Time)</label>
+            <input
+              type="time"
+              id="reminder-time"
+              className="form-input"
+              value={formData.reminderSettings.timeOfDay || '09:00'}
+              onChange={handleReminderTimeChange}
+            />
+            <small className="form-hint">按小时提前的提醒从这个时间往前算 (Hour offsets count back from this time)</small>
+          </div>
+
           <div className="form-group">
             <label className="form-label">提前提醒 (Remind In Advance)</label>
+            <div className="form-reminder-list">
+              {formData.reminderSettings.timings.length === 0 && (
+                <small className="form-hint">没有提醒 (No reminders)</small>
+              )}
+              {formData.reminderSettings.timings.map((timing, index) => (
+                <div key={index} className="form-reminder-row">
+                  <input
+                    type="number"
+                    className="form-input form-reminder-amount"
+                    min="0"
+                    value={timing.amount}
+                    onChange={(e) => handleTimingChange(index, {
+                      amount: e.target.value === '' ? '' : Number(e.target.value)
+                    })}
+                    aria-label="Reminder offset"
+                  />
+                  <select
+                    className="form-input"
+                    value={timing.unit}
+                    onChange={(e) => handleTimingChange(index, { unit: e.target.value })}
+                    aria-label="Reminder offset unit"
+                  >
+                    <option value={REMINDER_UNITS.HOURS}>小时 (hours)</option>
+                    <option value={REMINDER_UNITS.DAYS}>天 (days)</option>
+                    <option value={REMINDER_UNITS.WEEKS}>周 (weeks)</option>
+                  </select>
+                  <span className="form-reminder-before">前 (before)</span>
+                  {timing.unit === REMINDER_UNITS.HOURS ? (
+                    <span className="form-reminder-time" />
+                  ) : (
+                    <input
+                      type="time"
+                      className="form-input form-reminder-time"
+                      value={timing.timeOfDay || ''}
+                      onChange={(e) => handleTimingChange(index, { timeOfDay: e.target.value || null })}
+                      aria-label="Own reminder time"
+                      title="Own time of day (optional)"
+                    />
+                  )}
+                  <button
+                    type="button"
+                    className="form-reminder-remove"
+                    onClick={() => handleRemoveTiming(index)}
+                    aria-label="Remove reminder"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+            <button type="button" className="btn btn-secondary btn-sm form-reminder-add" onClick={handleAddTiming}>
+              + 添加提醒 (Add reminder)
+            </button>
+            {errors.reminders && <div className="form-error">{errors.reminders}</div>}
+            <small className="form-hint">"0 天" 为当天；时间留空则使用上面的提醒时间 (0 days is the day itself; leave the time empty to use the reminder time)</small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">提醒方式 (Channels)</label>
             <div className="form-checkboxes">
               <label className="form-checkbox">
                 <input
                   type="checkbox"
-                  checked={formData.reminderSettings.timings.includes(0)}
-                  onChange={() => handleReminderChange(0)}
+                  checked={!formData.reminderSettings.channels}
+                  onChange={(e) => handleUseDefaultChannelsChange(e.target.checked)}
                 />
-                <span>当天 (On the day)</span>
+                <span>使用默认渠道 (Use default channels)</span>
               </label>
+              {formData.reminderSettings.channels && listNotificationChannels().map(channel => (
+                <label key={channel.id} className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={formData.reminderSettings.channels.includes(channel.id)}
+                    onChange={(e) => handleChannelToggle(channel.id, e.target.checked)}
+                  />
+                  <span>{channel.label}</span>
+                </label>
+              ))}
+            </div>
+            <small className="form-hint">
+              {formData.reminderSettings.channels
+                ? '不选任何渠道时提醒只记录在通知中心 (With no channel, reminders only appear in the notification center)'
+                : '默认渠道可在设置中修改 (Default channels are set in Settings)'}
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">纪念日里程碑 (Day Milestones)</label>
+            <div className="form-checkboxes">
               <label className="form-checkbox">
                 <input
                   type="checkbox"
-                  checked={formData.reminderSettings.timings.includes(1)}
-                  onChange={() => handleReminderChange(1)}
+                  checked={formData.milestoneSettings.enabled}
+                  onChange={(e) => handleMilestoneChange('enabled', e.target.checked)}
                 />
-                <span>提前1天 (1 day before)</span>
+                <span>庆祝天数里程碑 (Celebrate day milestones)</span>
               </label>
-              <label className="form-checkbox">
+              {formData.milestoneSettings.enabled && (
+                <label className="form-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={formData.milestoneSettings.useGlobal}
+                    onChange={(e) => handleMilestoneChange('useGlobal', e.target.checked)}
+                  />
+                  <span>包含全局里程碑 (Include global milestones)</span>
+                </label>
+              )}
+            </div>
+            {formData.milestoneSettings.enabled && (
+              <div className="form-custom-months">
+                <label className="form-label" htmlFor="milestone-days">
+                  自定义天数 (Extra milestone days)
+                </label>
                 <input
-                  type="checkbox"
-                  checked={formData.reminderSettings.timings.includes(7)}
-                  onChange={() => handleReminderChange(7)}
+                  type="text"
+                  id="milestone-days"
+                  className={`form-input ${errors.milestones ? 'form-input-error' : ''}`}
+                  value={milestoneDaysText}
+                  onChange={(e) => setMilestoneDaysText(e.target.value)}
+                  placeholder="e.g., 99, 365, 999"
                 />
-                <span>提前7天 (1 week before)</span>
-              </label>
-            </div>
+                {errors.milestones && <div className="form-error">{errors.milestones}</div>}
+                <label className="form-label" htmlFor="milestone-every" style={{ marginTop: '8px' }}>
+                  每隔天数 (Repeat every N days)
+                </label>
+                <input
+                  type="number"
+                  id="milestone-every"
+                  className="form-input"
+                  min="0"
+                  value={formData.milestoneSettings.everyDays || ''}
+                  onChange={(e) => handleMilestoneChange('everyDays', Math.max(0, parseInt(e.target.value) || 0) || null)}
+                  placeholder="e.g., 100"
+                />
+                <small className="form-hint">提醒时间与纪念日提醒相同 (Reminded with the same timings as the anniversary)</small>
+              </div>
+            )}
           </div>
 
           <div className="form-actions">
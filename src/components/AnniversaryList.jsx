@@ -4,7 +4,7 @@ import EmptyState from './EmptyState';
 import { sortByDaysUntil } from '../services/DateService';
 import './AnniversaryList.css';
 
-function AnniversaryList({ anniversaries, onEdit, onDelete, onAddClick }) {
+function AnniversaryList({ anniversaries, categories, milestones, highlightedId, onEdit, onDelete, onAddClick }) {
   if (!anniversaries || anniversaries.length === 0) {
     return <EmptyState onAddClick={onAddClick} />;
   }
@@ -22,6 +22,9 @@ function AnniversaryList({ anniversaries, onEdit, onDelete, onAddClick }) {
           <AnniversaryCard
             key={anniversary.id}
             anniversary={anniversary}
+            categories={categories}
+            milestones={milestones}
+            highlighted={anniversary.id === highlightedId}
             onEdit={onEdit}
             onDelete={onDelete}
           />
@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import {
+  listSnapshots,
+  takeSnapshot,
+  deleteSnapshot,
+  SNAPSHOT_REASONS,
+} from '../services/StorageService';
+import { formatDate } from '../services/DateService';
+import ConfirmDialog from './ConfirmDialog';
+import './BackupsPanel.css';
+
+const REASON_LABELS = {
+  [SNAPSHOT_REASONS.DAILY]: '每日 (Daily)',
+  [SNAPSHOT_REASONS.BEFORE_IMPORT]: 'Before import',
+  [SNAPSHOT_REASONS.BEFORE_RESTORE]: 'Before restore',
+  [SNAPSHOT_REASONS.BEFORE_CLEAR]: 'Before clearing all',
+  [SNAPSHOT_REASONS.BEFORE_EMPTY_TRASH]: 'Before emptying bin',
+  [SNAPSHOT_REASONS.BEFORE_PURGE]: 'Before purging old bin items',
+  [SNAPSHOT_REASONS.MANUAL]: 'Manual',
+};
+
+function BackupsPanel({ onRestore, onClose }) {
+  const [snapshots, setSnapshots] = useState(() => listSnapshots());
+  const [restoreConfirm, setRestoreConfirm] = useState(null);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleTakeSnapshot = async () => {
+    try {
+      if (await takeSnapshot(SNAPSHOT_REASONS.MANUAL)) {
+        setSnapshots(listSnapshots());
+        setMessage('Snapshot saved');
+      } else {
+        setMessage('Nothing to back up yet');
+      }
+      setError('');
+    } catch (err) {
+      setMessage('');
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      setSnapshots(await deleteSnapshot(id));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const confirmRestore = async () => {
+    const snapshot = restoreConfirm;
+    setRestoreConfirm(null);
+
+    try {
+      const result = await onRestore(snapshot.id);
+      setSnapshots(listSnapshots());
+      setMessage(
+        `Restored ${result.anniversaries.length} anniversaries from ` +
+        formatDate(snapshot.createdAt, 'MMM d, yyyy HH:mm')
+      );
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="backups-overlay" onClick={onClose}>
+        <div className="backups-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="backups-header">
+            <h2 className="backups-title">🕘 Backups</h2>
+            <button className="btn-close" onClick={onClose} aria-label="Close">
+              ✕
+            </button>
+          </div>
+
+          <div className="backups-body">
+            <p className="backups-hint">
+              Snapshots are taken automatically once a day and before imports that replace your
+              data, clearing everything and emptying the recycle bin. They are kept on this device
+              only. Restoring replaces all anniversaries, the recycle bin, settings and categories;
+              the current data is snapshotted first. Nothing is cleared, replaced or restored if
+              that snapshot cannot be saved.
+            </p>
+            <button className="btn btn-secondary btn-sm" onClick={handleTakeSnapshot}>
+              📸 Take snapshot now
+            </button>
+
+            {message && <p className="backups-message">{message}</p>}
+            {error && <div className="form-error">{error}</div>}
+
+            {snapshots.length === 0 ? (
+              <p className="backups-empty">No snapshots yet.</p>
+            ) : (
+              <ul className="backups-list">
+                {snapshots.map(snapshot => (
+                  <li key={snapshot.id} className="backups-item">
+                    <div className="backups-item-info">
+                      <div className="backups-item-date">
+                        {formatDate(snapshot.createdAt, 'MMM d, yyyy HH:mm')}
+                      </div>
+                      <div className="backups-item-meta">
+                        {REASON_LABELS[snapshot.reason] || snapshot.reason} ·{' '}
+                        {snapshot.counts.anniversaries} anniversar{snapshot.counts.anniversaries === 1 ? 'y' : 'ies'} ·{' '}
+                        {snapshot.counts.trash} in bin
+                      </div>
+                    </div>
+                    <div className="backups-item-actions">
+                      <button
+                        className="btn btn-primary btn-sm"
+                        onClick={() => setRestoreConfirm(snapshot)}
+                      >
+                        Restore
+                      </button>
+                      <button
+                        className="card-action-btn"
+                        onClick={() => handleDelete(snapshot.id)}
+                        title="Delete snapshot"
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {restoreConfirm && (
+        <ConfirmDialog
+          title="Restore Snapshot"
+          message={`Replace all current data with the snapshot from ${formatDate(restoreConfirm.createdAt, 'MMM d, yyyy HH:mm')}?`}
+          confirmLabel="Restore"
+          onConfirm={confirmRestore}
+          onCancel={() => setRestoreConfirm(null)}
+        />
+      )}
+    </>
+  );
+}
+
+export default BackupsPanel;
@@ -1,7 +1,7 @@
 import React from 'react';
 import './ConfirmDialog.css';
 
-function ConfirmDialog({ title, message, onConfirm, onCancel }) {
+function ConfirmDialog({ title, message, confirmLabel = 'Delete', onConfirm, onCancel }) {
   return (
     <div className="dialog-overlay" onClick={onCancel}>
       <div className="dialog-modal" onClick={(e) => e.stopPropagation()}>
@@ -16,7 +16,7 @@ function ConfirmDialog({ title, message, onConfirm, onCancel }) {
             Cancel
           </button>
           <button className="btn btn-danger" onClick={onConfirm}>
-            Delete
+            {confirmLabel}
           </button>
         </div>
       </div>
@@ -0,0 +1,174 @@
+import React, { useMemo, useState } from 'react';
+import {
+  CSV_DATE_FORMATS,
+  CSV_IMPORT_FIELDS,
+  guessColumnMapping,
+  guessDateFormat,
+  parseCSV,
+} from '../services/CsvService';
+import './CsvImport.css';
+
+const PREVIEW_ROWS = 3;
+
+function CsvImport({ fileName, text, onImport, onDone }) {
+  const rows = useMemo(() => parseCSV(text), [text]);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState(() => guessColumnMapping(rows[0] || []));
+  const [dateFormat, setDateFormat] = useState(() => {
+    const dateColumn = guessColumnMapping(rows[0] || []).date;
+    return guessDateFormat(
+      dateColumn >= 0 ? rows.slice(1, 11).map((cells) => cells[dateColumn] || '') : []
+    );
+  });
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const columnCount = rows.reduce((max, cells) => Math.max(max, cells.length), 0);
+  const columns = Array.from({ length: columnCount }, (_, index) =>
+    hasHeader && rows[0][index] ? rows[0][index] : `Column ${index + 1}`
+  );
+  const dataRows = rows.slice(hasHeader ? 1 : 0);
+
+  const handleMappingChange = (field, value) => {
+    setMapping(prev => ({ ...prev, [field]: Number(value) }));
+  };
+
+  const handleImport = () => {
+    try {
+      setReport(onImport(text, mapping, { hasHeader, dateFormat }));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (rows.length === 0) {
+    return (
+      <div className="csv-import">
+        <div className="form-error">{fileName} contains no rows.</div>
+        <button className="btn btn-secondary btn-sm" onClick={onDone}>
+          Close
+        </button>
+      </div>
+    );
+  }
+
+  if (report) {
+    return (
+      <div className="csv-import">
+        <p className="csv-import-summary">
+          {fileName}: imported {report.imported.length} of {dataRows.length} rows
+        </p>
+        {report.errors.length > 0 && (
+          <ul className="csv-import-errors">
+            {report.errors.map(item => (
+              <li key={item.row}>
+                <strong>Row {item.row}</strong> — {item.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        {report.warnings.length > 0 && (
+          <ul className="csv-import-errors csv-import-warnings">
+            {report.warnings.map(item => (
+              <li key={item.row}>
+                <strong>Row {item.row}</strong> — {item.message}
+              </li>
+            ))}
+          </ul>
+        )}
+        <button className="btn btn-secondary btn-sm" onClick={onDone}>
+          Done
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="csv-import">
+      <p className="csv-import-summary">
+        {fileName}: {dataRows.length} row{dataRows.length === 1 ? '' : 's'}
+      </p>
+
+      <label className="csv-import-checkbox">
+        <input
+          type="checkbox"
+          checked={hasHeader}
+          onChange={(e) => setHasHeader(e.target.checked)}
+        />
+        First row is a header
+      </label>
+
+      <div className="csv-import-mapping">
+        {CSV_IMPORT_FIELDS.map(field => (
+          <label key={field.key} className="csv-import-field">
+            <span className="form-label">
+              {field.label} {field.required && <span className="form-required">*</span>}
+            </span>
+            <select
+              className="form-input"
+              value={mapping[field.key]}
+              onChange={(e) => handleMappingChange(field.key, e.target.value)}
+            >
+              <option value={-1}>— Not mapped —</option>
+              {columns.map((name, index) => (
+                <option key={index} value={index}>{name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+
+        <label className="csv-import-field">
+          <span className="form-label">日期格式 (Date Format)</span>
+          <select
+            className="form-input"
+            value={dateFormat}
+            onChange={(e) => setDateFormat(e.target.value)}
+          >
+            {CSV_DATE_FORMATS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <table className="csv-import-preview">
+        <thead>
+          <tr>
+            {CSV_IMPORT_FIELDS.map(field => (
+              <th key={field.key}>{field.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {dataRows.slice(0, PREVIEW_ROWS).map((cells, rowIndex) => (
+            <tr key={rowIndex}>
+              {CSV_IMPORT_FIELDS.map(field => (
+                <td key={field.key}>
+                  {mapping[field.key] >= 0 ? cells[mapping[field.key]] : ''}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {error && <div className="form-error">{error}</div>}
+
+      <div className="csv-import-actions">
+        <button className="btn btn-secondary btn-sm" onClick={onDone}>
+          Cancel
+        </button>
+        <button
+          className="btn btn-primary btn-sm"
+          onClick={handleImport}
+          disabled={dataRows.length === 0}
+        >
+          Import {dataRows.length} row{dataRows.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CsvImport;
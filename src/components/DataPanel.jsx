@@ -0,0 +1,500 @@
+import React, { useState } from 'react';
+import {
+  exportToJSON,
+  exportToICS,
+  exportToCSV,
+  exportEncryptedBackup,
+  isEncryptedBackup,
+  previewVCardImport,
+} from '../services/StorageService';
+import { MIN_PASSWORD_LENGTH, isCryptoAvailable } from '../services/CryptoService';
+import CsvImport from './CsvImport';
+import ImportConflictDialog from './ImportConflictDialog';
+import VCardImport from './VCardImport';
+import './DataPanel.css';
+
+/**
+ * Offer a string as a file download
+ *
+ * @param {string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the file
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a File selected in an <input type="file"> as text
+ *
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} File contents
+ */
+function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+}
+
+function DataPanel({
+  anniversaryCount,
+  onImportJSON,
+  onImportICS,
+  onImportCSV,
+  onImportVCards,
+  onRestoreBackup,
+  onClose,
+}) {
+  const [error, setError] = useState('');
+  const [importReport, setImportReport] = useState(null);
+  const [csvFile, setCsvFile] = useState(null);
+  const [vcardFile, setVcardFile] = useState(null);
+  const [jsonFile, setJsonFile] = useState(null);
+  const [jsonReport, setJsonReport] = useState('');
+  const [backupPassword, setBackupPassword] = useState('');
+  const [backupConfirm, setBackupConfirm] = useState('');
+  const [restoreFile, setRestoreFile] = useState(null);
+  const [restorePassword, setRestorePassword] = useState('');
+  const [backupBusy, setBackupBusy] = useState(false);
+  const [backupReport, setBackupReport] = useState('');
+
+  const handleSelectJSON = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      setJsonFile({ name: file.name, text: await readFileAsText(file) });
+      setJsonReport('');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Errors propagate to the dialog so it can show them
+  const handleImportJSON = async (text, replace, resolutions) => {
+    const anniversaries = await onImportJSON(text, replace, resolutions);
+    setJsonReport(`${jsonFile.name}: imported, you now have ${anniversaries.length} anniversaries`);
+    setJsonFile(null);
+  };
+
+  const handleExportJSON = () => {
+    try {
+      downloadFile(exportToJSON(), 'anniversaries.json', 'application/json');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExportEncrypted = async () => {
+    if (backupPassword !== backupConfirm) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setBackupBusy(true);
+    try {
+      const content = await exportEncryptedBackup(backupPassword);
+      downloadFile(content, 'anniversaries-encrypted.json', 'application/json');
+      setBackupPassword('');
+      setBackupConfirm('');
+      setBackupReport('Encrypted backup downloaded. Keep the password safe — it cannot be recovered.');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleSelectBackup = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const text = await readFileAsText(file);
+      if (!isEncryptedBackup(text)) {
+        throw new Error(`${file.name} is not an encrypted backup`);
+      }
+      setRestoreFile({ name: file.name, text });
+      setRestorePassword('');
+      setBackupReport('');
+      setError('');
+    } catch (err) {
+      setRestoreFile(null);
+      setError(err.message);
+    }
+  };
+
+  const handleRestore = async (e) => {
+    e.preventDefault();
+    setBackupBusy(true);
+
+    try {
+      const result = await onRestoreBackup(restoreFile.text, restorePassword);
+      setBackupReport(
+        `${restoreFile.name}: restored ${result.anniversaries.length} anniversaries and ` +
+        `${result.trash.length} in the recycle bin` +
+        (result.skipped > 0 ? `; ${result.skipped} invalid records were skipped` : '')
+      );
+      setRestoreFile(null);
+      setRestorePassword('');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleImportICS = async (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const text = await readFileAsText(file);
+      const result = await onImportICS(text);
+      setImportReport({ fileName: file.name, ...result });
+      setError('');
+    } catch (err) {
+      setImportReport(null);
+      setError(err.message);
+    }
+  };
+
+  const handleSelectCSV = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      setCsvFile({ name: file.name, text: await readFileAsText(file) });
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSelectVCard = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+
+    if (!file) {
+      return;
+    }
+
+    try {
+      const preview = previewVCardImport(await readFileAsText(file));
+      setVcardFile({ name: file.name, preview });
+      setError('');
+    } catch (err) {
+      setVcardFile(null);
+      setError(err.message);
+    }
+  };
+
+  const handleExportCSV = () => {
+    try {
+      downloadFile(exportToCSV(), 'anniversaries.csv', 'text/csv;charset=utf-8');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExportICS = () => {
+    try {
+      downloadFile(exportToICS(), 'anniversaries.ics', 'text/calendar;charset=utf-8');
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="data-overlay" onClick={onClose}>
+      <div className="data-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="data-header">
+          <h2 className="data-title">📦 Import / Export</h2>
+          <button className="btn-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="data-body">
+          <section className="data-section">
+            <h3 className="data-section-title">备份文件 (Backup .json)</h3>
+            <p className="data-section-hint">
+              Save a complete copy of your anniversaries, or restore one. Before anything is
+              saved you see what will be added and changed; when an anniversary was edited both
+              here and in the file you choose which copy to keep.
+            </p>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={handleExportJSON}
+              disabled={anniversaryCount === 0}
+            >
+              ⬇️ Download .json
+            </button>
+            <label className="btn btn-secondary btn-sm data-file-button">
+              ⬆️ Import .json
+              <input
+                type="file"
+                accept=".json,application/json"
+                onChange={handleSelectJSON}
+                hidden
+              />
+            </label>
+
+            {jsonReport && (
+              <div className="data-report">
+                <p className="data-report-summary">{jsonReport}</p>
+              </div>
+            )}
+          </section>
+
+          <section className="data-section">
+            <h3 className="data-section-title">加密备份 (Encrypted Backup)</h3>
+            <p className="data-section-hint">
+              A complete backup — anniversaries with their private notes, the recycle bin,
+              settings and categories — locked with a password. Restoring replaces everything
+              currently in the app.
+            </p>
+
+            {!isCryptoAvailable() ? (
+              <div className="form-error">
+                Encryption needs a secure (https://) page and is not available here.
+              </div>
+            ) : (
+              <>
+                <div className="data-password-row">
+                  <input
+                    type="password"
+                    className="form-input"
+                    placeholder={`Password (at least ${MIN_PASSWORD_LENGTH} characters)`}
+                    value={backupPassword}
+                    onChange={(e) => setBackupPassword(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                  <input
+                    type="password"
+                    className="form-input"
+                    placeholder="Repeat password"
+                    value={backupConfirm}
+                    onChange={(e) => setBackupConfirm(e.target.value)}
+                    autoComplete="new-password"
+                  />
+                </div>
+                <button
+                  className="btn btn-primary btn-sm"
+                  onClick={handleExportEncrypted}
+                  disabled={backupBusy || backupPassword.length < MIN_PASSWORD_LENGTH}
+                >
+                  🔒 Download encrypted backup
+                </button>
+                <label className="btn btn-secondary btn-sm data-file-button">
+                  🔓 Restore backup
+                  <input
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleSelectBackup}
+                    hidden
+                  />
+                </label>
+
+                {restoreFile && (
+                  <form className="data-report" onSubmit={handleRestore}>
+                    <p className="data-report-summary">
+                      {restoreFile.name}: this will replace all current anniversaries, the
+                      recycle bin, settings and categories.
+                    </p>
+                    <div className="data-password-row">
+                      <input
+                        type="password"
+                        className="form-input"
+                        placeholder="Backup password"
+                        value={restorePassword}
+                        onChange={(e) => setRestorePassword(e.target.value)}
+                        autoComplete="current-password"
+                        autoFocus
+                      />
+                    </div>
+                    <button
+                      type="button"
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => setRestoreFile(null)}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      type="submit"
+                      className="btn btn-danger btn-sm data-file-button"
+                      disabled={backupBusy || !restorePassword}
+                    >
+                      Restore and replace
+                    </button>
+                  </form>
+                )}
+
+                {backupReport && (
+                  <div className="data-report">
+                    <p className="data-report-summary">{backupReport}</p>
+                  </div>
+                )}
+              </>
+            )}
+          </section>
+
+          <section className="data-section">
+            <h3 className="data-section-title">日历 (Calendar .ics)</h3>
+            <p className="data-section-hint">
+              Download your {anniversaryCount} anniversar{anniversaryCount === 1 ? 'y' : 'ies'} as
+              recurring calendar events with reminders, ready for Google Calendar, Outlook or your
+              phone. Items in the recycle bin are not included. You can also import events from
+              an exported calendar; yearly and monthly events become anniversaries.
+            </p>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={handleExportICS}
+              disabled={anniversaryCount === 0}
+            >
+              ⬇️ Download .ics
+            </button>
+            <label className="btn btn-secondary btn-sm data-file-button">
+              ⬆️ Import .ics
+              <input
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleImportICS}
+                hidden
+              />
+            </label>
+
+            {importReport && (
+              <div className="data-report">
+                <p className="data-report-summary">
+                  {importReport.fileName}: imported {importReport.imported.length},
+                  skipped {importReport.skipped.length}
+                </p>
+                {importReport.skipped.length > 0 && (
+                  <ul className="data-report-list">
+                    {importReport.skipped.map((item, index) => (
+                      <li key={index}>
+                        <strong>{item.title}</strong> — {item.reason}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </section>
+
+          <section className="data-section">
+            <h3 className="data-section-title">表格 (Spreadsheet .csv)</h3>
+            <p className="data-section-hint">
+              Export every anniversary with its reminder settings as columns, or import rows from
+              a spreadsheet. When importing you choose which columns hold the title, date,
+              category and description, and how dates are written.
+            </p>
+            <button
+              className="btn btn-primary btn-sm"
+              onClick={handleExportCSV}
+              disabled={anniversaryCount === 0}
+            >
+              ⬇️ Download .csv
+            </button>
+            <label className="btn btn-secondary btn-sm data-file-button">
+              ⬆️ Import .csv
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleSelectCSV}
+                hidden
+              />
+            </label>
+
+            {csvFile && (
+              <CsvImport
+                key={csvFile.name + csvFile.text.length}
+                fileName={csvFile.name}
+                text={csvFile.text}
+                onImport={onImportCSV}
+                onDone={() => setCsvFile(null)}
+              />
+            )}
+          </section>
+
+          <section className="data-section">
+            <h3 className="data-section-title">通讯录 (Contacts .vcf)</h3>
+            <p className="data-section-hint">
+              Import birthdays and wedding anniversaries from contacts exported by your phone or
+              address book. Pick which ones to add from the list; contacts you already have are
+              left out. Birthdays saved without a year count down to the day only.
+            </p>
+            <label className="btn btn-secondary btn-sm data-file-button">
+              ⬆️ Import .vcf
+              <input
+                type="file"
+                accept=".vcf,.vcard,text/vcard,text/x-vcard"
+                onChange={handleSelectVCard}
+                hidden
+              />
+            </label>
+
+            {vcardFile && (
+              <VCardImport
+                key={vcardFile.name + vcardFile.preview.candidates.length}
+                fileName={vcardFile.name}
+                preview={vcardFile.preview}
+                onImport={onImportVCards}
+                onDone={() => setVcardFile(null)}
+              />
+            )}
+          </section>
+
+          {error && <div className="form-error">{error}</div>}
+        </div>
+      </div>
+
+      {jsonFile && (
+        <ImportConflictDialog
+          fileName={jsonFile.name}
+          text={jsonFile.text}
+          onImport={handleImportJSON}
+          onCancel={() => setJsonFile(null)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default DataPanel;
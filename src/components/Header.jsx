@@ -1,7 +1,16 @@
 import React from 'react';
 import './Header.css';
 
-function Header({ onAddClick, onTrashClick, trashCount = 0 }) {
+function Header({
+  onAddClick,
+  onTrashClick,
+  onSettingsClick,
+  onDataClick,
+  onBackupsClick,
+  onNotificationsClick,
+  trashCount = 0,
+  unreadCount = 0
+}) {
   return (
     <header className="header">
       <div className="header-container">
@@ -10,6 +19,41 @@ function Header({ onAddClick, onTrashClick, trashCount = 0 }) {
           <p className="header-subtitle">Never forget the special moments</p>
         </div>
         <div className="header-right">
+          <button
+            className="btn btn-secondary-outline"
+            onClick={onNotificationsClick}
+            title="Notifications"
+          >
+            <span className="btn-icon">🔔</span>
+            Notifications
+            {unreadCount > 0 && (
+              <span className="trash-badge">{unreadCount > 99 ? '99+' : unreadCount}</span>
+            )}
+          </button>
+          <button
+            className="btn btn-secondary-outline"
+            onClick={onDataClick}
+            title="Import / Export"
+          >
+            <span className="btn-icon">📦</span>
+            Import / Export
+          </button>
+          <button
+            className="btn btn-secondary-outline"
+            onClick={onBackupsClick}
+            title="Backups"
+          >
+            <span className="btn-icon">🕘</span>
+            Backups
+          </button>
+          <button
+            className="btn btn-secondary-outline"
+            onClick={onSettingsClick}
+            title="Settings"
+          >
+            <span className="btn-icon">⚙️</span>
+            Settings
+          </button>
           <button
             className="btn btn-secondary-outline"
             onClick={onTrashClick}
@@ -0,0 +1,175 @@
+import React, { useMemo, useState } from 'react';
+import { previewImportFromJSON } from '../services/StorageService';
+import { RESOLUTIONS } from '../services/MergeService';
+import { formatDate } from '../services/DateService';
+import './ConfirmDialog.css';
+import './ImportConflictDialog.css';
+
+const RESOLUTION_OPTIONS = [
+  { id: RESOLUTIONS.LOCAL, label: 'Keep local' },
+  { id: RESOLUTIONS.IMPORTED, label: 'Take imported' },
+  { id: RESOLUTIONS.BOTH, label: 'Keep both' },
+];
+
+function formatModified(record) {
+  const value = record.updatedAt || record.createdAt;
+  return value ? formatDate(value, 'MMM d, yyyy HH:mm') : 'unknown';
+}
+
+function ImportConflictDialog({ fileName, text, onImport, onCancel }) {
+  const [replace, setReplace] = useState(false);
+  const [resolutions, setResolutions] = useState({});
+  const [error, setError] = useState('');
+
+  const { preview, previewError } = useMemo(() => {
+    try {
+      return { preview: previewImportFromJSON(text, replace), previewError: '' };
+    } catch (err) {
+      return { preview: null, previewError: err.message };
+    }
+  }, [text, replace]);
+
+  const changed = preview ? [...preview.conflicts, ...preview.updated] : [];
+
+  const handleImport = async () => {
+    try {
+      await onImport(text, replace, resolutions);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    // Keep overlay clicks from also closing the data panel underneath
+    <div
+      className="dialog-overlay import-dialog-overlay"
+      onClick={(e) => {
+        e.stopPropagation();
+        onCancel();
+      }}
+    >
+      <div className="dialog-modal import-dialog" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h3 className="dialog-title">导入预览 (Import Preview)</h3>
+        </div>
+
+        <div className="dialog-body import-dialog-body">
+          {previewError ? (
+            <div className="form-error">{previewError}</div>
+          ) : (
+            <>
+              <p className="import-dialog-file">{fileName}</p>
+              <ul className="import-dialog-summary">
+                <li>{preview.added.length} new</li>
+                <li>{preview.updated.length} newer in file</li>
+                <li>{preview.conflicts.length} conflicting</li>
+                <li>{preview.unchanged.length} unchanged</li>
+                {preview.invalid.length > 0 && <li>{preview.invalid.length} invalid</li>}
+                {preview.newCategories.length > 0 && (
+                  <li>
+                    {preview.newCategories.length} new categor{preview.newCategories.length === 1 ? 'y' : 'ies'}:{' '}
+                    {preview.newCategories.map(category => category.label).join(', ')}
+                  </li>
+                )}
+              </ul>
+
+              <label className="import-dialog-replace">
+                <input
+                  type="checkbox"
+                  checked={replace}
+                  onChange={(e) => setReplace(e.target.checked)}
+                />
+                Replace all local data
+              </label>
+              {replace && preview.removed.length > 0 && (
+                <div className="form-error">
+                  {preview.removed.length} local anniversar{preview.removed.length === 1 ? 'y is' : 'ies are'} not
+                  in this file and will be removed.
+                </div>
+              )}
+
+              {changed.length > 0 && (
+                <>
+                  <h4 className="import-dialog-heading">
+                    Changed on both sides — choose what to keep
+                  </h4>
+                  <ul className="import-dialog-conflicts">
+                    {changed.map(entry => {
+                      const resolution = resolutions[entry.id] || entry.resolution;
+                      return (
+                        <li key={entry.id} className="import-dialog-conflict">
+                          <div className="import-dialog-conflict-title">
+                            {entry.local.title}
+                            {entry.imported.title !== entry.local.title && ` → ${entry.imported.title}`}
+                          </div>
+                          <div className="import-dialog-conflict-meta">
+                            Local: {formatModified(entry.local)} · Imported: {formatModified(entry.imported)}
+                          </div>
+                          <div className="import-dialog-options">
+                            {RESOLUTION_OPTIONS.map(option => (
+                              <label key={option.id} className="import-dialog-option">
+                                <input
+                                  type="radio"
+                                  name={`resolution-${entry.id}`}
+                                  checked={resolution === option.id}
+                                  onChange={() =>
+                                    setResolutions(prev => ({ ...prev, [entry.id]: option.id }))
+                                  }
+                                />
+                                {option.label}
+                                {option.id === entry.resolution && ' (newer)'}
+                              </label>
+                            ))}
+                          </div>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                </>
+              )}
+
+              {preview.remapped.length > 0 && (
+                <>
+                  <h4 className="import-dialog-heading">Unknown categories (imported as Other)</h4>
+                  <ul className="import-dialog-invalid">
+                    {preview.remapped.map((item, index) => (
+                      <li key={index}>
+                        <strong>{item.title || '(untitled)'}</strong> — category "{item.category}"
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              {preview.invalid.length > 0 && (
+                <>
+                  <h4 className="import-dialog-heading">Invalid records (will be skipped)</h4>
+                  <ul className="import-dialog-invalid">
+                    {preview.invalid.map((item, index) => (
+                      <li key={index}>
+                        <strong>{(item.record && item.record.title) || '(untitled)'}</strong> — {item.error}
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+
+          {error && <div className="form-error">{error}</div>}
+        </div>
+
+        <div className="dialog-actions">
+          <button className="btn btn-secondary" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleImport} disabled={!preview}>
+            {replace ? 'Replace' : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ImportConflictDialog;
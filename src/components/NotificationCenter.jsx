@@ -0,0 +1,94 @@
+import React from 'react';
+import { formatDate } from '../services/DateService';
+import './NotificationCenter.css';
+
+const PERMISSION_HINTS = {
+  denied: 'Browser notifications are blocked, so reminders only appear here.',
+  unsupported: 'This browser cannot show notifications, so reminders only appear here.',
+  default: 'Enable browser notifications to also get reminders outside the app.',
+};
+
+function NotificationCenter({
+  entries,
+  anniversaries,
+  permission,
+  onOpen,
+  onMarkAllRead,
+  onClear,
+  onClose
+}) {
+  const unreadCount = entries.filter(entry => !entry.readAt).length;
+  const titles = new Map(anniversaries.map(a => [a.id, a.title]));
+
+  const describeAnniversary = (entry) => {
+    if (!entry.anniversaryId) {
+      return entry.kind === 'weekly' ? 'Weekly summary' : '';
+    }
+    return titles.get(entry.anniversaryId) || 'Deleted anniversary';
+  };
+
+  return (
+    <div className="inbox-overlay" onClick={onClose}>
+      <div className="inbox-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="inbox-header">
+          <h2 className="inbox-title">
+            🔔 通知 (Notifications)
+            {unreadCount > 0 && <span className="inbox-unread-count">{unreadCount} unread</span>}
+          </h2>
+          <button className="btn-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="inbox-body">
+          {PERMISSION_HINTS[permission] && (
+            <p className="inbox-hint">{PERMISSION_HINTS[permission]}</p>
+          )}
+
+          {entries.length > 0 && (
+            <div className="inbox-actions">
+              <button
+                className="btn btn-secondary btn-sm"
+                onClick={onMarkAllRead}
+                disabled={unreadCount === 0}
+              >
+                Mark all read
+              </button>
+              <button className="btn btn-sm inbox-clear" onClick={onClear}>
+                Clear
+              </button>
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <p className="inbox-empty">No reminders yet.</p>
+          ) : (
+            <ul className="inbox-list">
+              {entries.map(entry => (
+                <li key={entry.id}>
+                  <button
+                    className={`inbox-item ${entry.readAt ? '' : 'inbox-item-unread'}`}
+                    onClick={() => onOpen(entry)}
+                  >
+                    <span className="inbox-item-dot" aria-label={entry.readAt ? 'Read' : 'Unread'} />
+                    <span className="inbox-item-content">
+                      <span className="inbox-item-title">{entry.title}</span>
+                      <span className="inbox-item-body">{entry.body}</span>
+                      <span className="inbox-item-meta">
+                        {[describeAnniversary(entry), formatDate(entry.firedAt, 'MMM d, yyyy HH:mm')]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default NotificationCenter;
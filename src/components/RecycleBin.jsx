@@ -1,8 +1,60 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { formatDate } from '../services/DateService';
+import { getTrashDaysLeft } from '../services/StorageService';
+import { findCategory, formatCategoryLabel } from '../models/Anniversary';
 import './RecycleBin.css';
 
-function RecycleBin({ trash, onRestore, onPermanentDelete, onClearAll, onClose }) {
+function formatDaysLeft(daysLeft) {
+  if (daysLeft === 0) {
+    return 'Will be permanently deleted at next startup';
+  }
+  return `Will be permanently deleted in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`;
+}
+
+function RecycleBin({
+  trash,
+  categories,
+  retentionDays,
+  onRestore,
+  onPermanentDelete,
+  onRestoreMany,
+  onPermanentDeleteMany,
+  onClearAll,
+  onClose
+}) {
+  const [selected, setSelected] = useState(() => new Set());
+
+  // Drop selections for items that have left the bin
+  const selectedItems = (trash || []).filter(item => selected.has(item.id));
+  const allSelected = trash && trash.length > 0 && selectedItems.length === trash.length;
+
+  const toggleItem = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelected(allSelected ? new Set() : new Set(trash.map(item => item.id)));
+  };
+
+  const handleRestoreSelected = () => {
+    onRestoreMany(selectedItems);
+    setSelected(new Set());
+  };
+
+  const handleDeleteSelected = () => {
+    if (onPermanentDeleteMany(selectedItems)) {
+      setSelected(new Set());
+    }
+  };
+
   if (!trash || trash.length === 0) {
     return (
       <div className="recycle-bin-overlay" onClick={onClose}>
@@ -49,44 +101,85 @@ function RecycleBin({ trash, onRestore, onPermanentDelete, onClearAll, onClose }
         <div className="recycle-bin-body">
           <div className="trash-count">
             {trash.length} {trash.length === 1 ? 'item' : 'items'} in recycle bin
+            {retentionDays
+              ? ` · items are kept for ${retentionDays} days`
+              : ' · items are kept until you delete them'}
+          </div>
+
+          <div className="trash-bulk-bar">
+            <label className="trash-select-all">
+              <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+              Select all
+            </label>
+            {selectedItems.length > 0 && (
+              <div className="trash-bulk-actions">
+                <button className="btn btn-secondary btn-sm" onClick={handleRestoreSelected}>
+                  ↶ Restore {selectedItems.length}
+                </button>
+                <button className="btn btn-danger btn-sm" onClick={handleDeleteSelected}>
+                  🗑️ Delete {selectedItems.length}
+                </button>
+              </div>
+            )}
           </div>
 
           <div className="trash-list">
-            {trash.map((item) => (
-              <div key={item.id} className="trash-item">
-                <div className="trash-item-content">
-                  <div className="trash-item-header">
-                    <h3 className="trash-item-title">{item.title}</h3>
-                    <span className="trash-item-category">{item.category}</span>
+            {trash.map((item) => {
+              const daysLeft = getTrashDaysLeft(item, retentionDays);
+
+              return (
+                <div
+                  key={item.id}
+                  className={`trash-item ${selected.has(item.id) ? 'trash-item-selected' : ''}`}
+                >
+                  <input
+                    type="checkbox"
+                    className="trash-item-checkbox"
+                    checked={selected.has(item.id)}
+                    onChange={() => toggleItem(item.id)}
+                    aria-label={`Select ${item.title}`}
+                  />
+                  <div className="trash-item-content">
+                    <div className="trash-item-header">
+                      <h3 className="trash-item-title">{item.title}</h3>
+                      <span className="trash-item-category">
+                        {formatCategoryLabel(findCategory(categories, item.category))}
+                      </span>
+                    </div>
+                    <p className="trash-item-date">
+                      📅 {formatDate(item.date)}
+                    </p>
+                    {item.description && (
+                      <p className="trash-item-description">{item.description}</p>
+                    )}
+                    <p className="trash-item-deleted">
+                      Deleted: {formatDate(item.deletedAt)}
+                    </p>
+                    {daysLeft !== null && (
+                      <p className={`trash-item-expiry ${daysLeft <= 3 ? 'trash-item-expiry-soon' : ''}`}>
+                        ⏳ {formatDaysLeft(daysLeft)}
+                      </p>
+                    )}
+                  </div>
+                  <div className="trash-item-actions">
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      onClick={() => onRestore(item)}
+                      title="Restore this item"
+                    >
+                      ↶ Restore
+                    </button>
+                    <button
+                      className="btn btn-danger btn-sm"
+                      onClick={() => onPermanentDelete(item)}
+                      title="Delete permanently"
+                    >
+                      🗑️ Delete
+                    </button>
                   </div>
-                  <p className="trash-item-date">
-                    📅 {formatDate(item.date)}
-                  </p>
-                  {item.description && (
-                    <p className="trash-item-description">{item.description}</p>
-                  )}
-                  <p className="trash-item-deleted">
-                    Deleted: {formatDate(item.deletedAt)}
-                  </p>
-                </div>
-                <div className="trash-item-actions">
-                  <button
-                    className="btn btn-secondary btn-sm"
-                    onClick={() => onRestore(item)}
-                    title="Restore this item"
-                  >
-                    ↶ Restore
-                  </button>
-                  <button
-                    className="btn btn-danger btn-sm"
-                    onClick={() => onPermanentDelete(item)}
-                    title="Delete permanently"
-                  >
-                    🗑️ Delete
-                  </button>
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         </div>
       </div>
@@ -0,0 +1,566 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_MILESTONES, ANNIVERSARY_CATEGORIES } from '../models/Anniversary';
+import {
+  TRASH_RETENTION_OPTIONS,
+  NOTIFICATION_MODES,
+  loadWebhookLog,
+  clearWebhookLog,
+  subscribeWebhookLog
+} from '../services/StorageService';
+import { listNotificationChannels } from '../services/NotificationService';
+import {
+  DEFAULT_WEBHOOK_TEMPLATE,
+  WEBHOOK_PLACEHOLDERS,
+  MAX_WEBHOOK_RETRIES,
+  isValidWebhookUrl,
+  renderWebhookPayload,
+  sendTestWebhook
+} from '../services/WebhookService';
+import { formatDate } from '../services/DateService';
+import './SettingsPanel.css';
+
+const NEW_CATEGORY = { label: '', emoji: '', color: '#A8E6CF' };
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const WEBHOOK_LOG_SHOWN = 10;
+
+/**
+ * Check that a payload template renders to JSON
+ *
+ * @param {string} template - Payload template
+ * @returns {string} Error message, or '' if the template is valid
+ */
+const validateTemplate = (template) => {
+  try {
+    renderWebhookPayload(template, WEBHOOK_PLACEHOLDERS);
+    return '';
+  } catch (err) {
+    return err.message;
+  }
+};
+
+function SettingsPanel({
+  settings,
+  categories,
+  onChange,
+  onAddCategory,
+  onUpdateCategory,
+  onDeleteCategory,
+  onClose
+}) {
+  const [newMilestone, setNewMilestone] = useState('');
+  const [error, setError] = useState('');
+  const [newCategory, setNewCategory] = useState(NEW_CATEGORY);
+  const [categoryError, setCategoryError] = useState('');
+  const [webhookUrl, setWebhookUrl] = useState(settings.webhook.url);
+  const [webhookTemplate, setWebhookTemplate] = useState(settings.webhook.template || DEFAULT_WEBHOOK_TEMPLATE);
+  const [webhookError, setWebhookError] = useState('');
+  const [isTestingWebhook, setIsTestingWebhook] = useState(false);
+  const [webhookLog, setWebhookLog] = useState(loadWebhookLog);
+
+  // Deliveries are also logged by other tabs and the service worker
+  useEffect(() => subscribeWebhookLog(setWebhookLog), []);
+
+  // Category handlers report failures inline instead of closing the panel
+  const runCategoryAction = (action) => {
+    try {
+      action();
+      setCategoryError('');
+      return true;
+    } catch (err) {
+      setCategoryError(err.message);
+      return false;
+    }
+  };
+
+  const handleAddCategory = (e) => {
+    e.preventDefault();
+    if (runCategoryAction(() => onAddCategory(newCategory))) {
+      setNewCategory(NEW_CATEGORY);
+    }
+  };
+
+  const handleRenameCategory = (category, label) => {
+    if (label.trim() && label.trim() !== category.label) {
+      runCategoryAction(() => onUpdateCategory(category.id, { label: label.trim() }));
+    }
+  };
+
+  const handleDeleteCategory = (category) => {
+    if (window.confirm(`Delete the "${category.label}" category? Its anniversaries will be moved to "Other".`)) {
+      runCategoryAction(() => onDeleteCategory(category.id));
+    }
+  };
+
+  const milestones = settings.milestones || [];
+
+  const handleAddMilestone = (e) => {
+    e.preventDefault();
+    const days = parseInt(newMilestone);
+
+    if (!Number.isInteger(days) || days <= 0) {
+      setError('Please enter a positive number of days');
+      return;
+    }
+    if (milestones.includes(days)) {
+      setError(`${days} days is already in the list`);
+      return;
+    }
+
+    onChange({
+      ...settings,
+      milestones: [...milestones, days].sort((a, b) => a - b)
+    });
+    setNewMilestone('');
+    setError('');
+  };
+
+  const handleRemoveMilestone = (days) => {
+    onChange({
+      ...settings,
+      milestones: milestones.filter(d => d !== days)
+    });
+  };
+
+  const handleResetMilestones = () => {
+    onChange({ ...settings, milestones: [...DEFAULT_MILESTONES] });
+    setError('');
+  };
+
+  const quietHours = settings.quietHours;
+  const weeklySummary = settings.weeklySummary;
+
+  const updateQuietHours = (changes) => {
+    onChange({ ...settings, quietHours: { ...quietHours, ...changes } });
+  };
+
+  const updateWeeklySummary = (changes) => {
+    onChange({ ...settings, weeklySummary: { ...weeklySummary, ...changes } });
+  };
+
+  const defaultChannels = settings.notificationChannels;
+
+  const handleDefaultChannelToggle = (id, checked) => {
+    onChange({
+      ...settings,
+      notificationChannels: checked
+        ? [...defaultChannels, id]
+        : defaultChannels.filter(channel => channel !== id)
+    });
+  };
+
+  // URL and template are saved once they are valid and editing is done
+  const saveWebhook = () => {
+    const url = webhookUrl.trim();
+    if (url && !isValidWebhookUrl(url)) {
+      setWebhookError('The webhook URL must start with http:// or https://');
+      return null;
+    }
+    const templateError = validateTemplate(webhookTemplate);
+    if (templateError) {
+      setWebhookError(templateError);
+      return null;
+    }
+
+    const webhook = {
+      ...settings.webhook,
+      url,
+      template: webhookTemplate === DEFAULT_WEBHOOK_TEMPLATE ? '' : webhookTemplate
+    };
+    setWebhookError('');
+    if (webhook.url !== settings.webhook.url || webhook.template !== settings.webhook.template) {
+      onChange({ ...settings, webhook });
+    }
+    return webhook;
+  };
+
+  const handleTestWebhook = async () => {
+    const webhook = saveWebhook();
+    if (!webhook) {
+      return;
+    }
+    if (!webhook.url) {
+      setWebhookError('Enter a webhook URL first');
+      return;
+    }
+
+    setIsTestingWebhook(true);
+    const delivery = await sendTestWebhook(webhook);
+    setIsTestingWebhook(false);
+    setWebhookError(delivery.status === 'delivered' ? '' : `Test failed: ${delivery.error}`);
+  };
+
+  return (
+    <div className="settings-overlay" onClick={onClose}>
+      <div className="settings-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="settings-header">
+          <h2 className="settings-title">⚙️ Settings</h2>
+          <button className="btn-close" onClick={onClose} aria-label="Close">
+            ✕
+          </button>
+        </div>
+
+        <div className="settings-body">
+          <section className="settings-section">
+            <h3 className="settings-section-title">纪念日里程碑 (Day Milestones)</h3>
+            <p className="settings-section-hint">
+              Day counts since the original date that are celebrated for every anniversary
+              with global milestones enabled.
+            </p>
+
+            <div className="settings-chips">
+              {milestones.length === 0 && (
+                <span className="settings-empty">No global milestones</span>
+              )}
+              {milestones.map(days => (
+                <span key={days} className="settings-chip">
+                  {days.toLocaleString()} days
+                  <button
+                    type="button"
+                    className="settings-chip-remove"
+                    onClick={() => handleRemoveMilestone(days)}
+                    aria-label={`Remove ${days} days`}
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <form className="settings-inline-form" onSubmit={handleAddMilestone}>
+              <input
+                type="number"
+                className="form-input"
+                min="1"
+                value={newMilestone}
+                onChange={(e) => setNewMilestone(e.target.value)}
+                placeholder="e.g., 365"
+              />
+              <button type="submit" className="btn btn-secondary btn-sm">
+                Add
+              </button>
+              <button type="button" className="btn btn-sm settings-reset" onClick={handleResetMilestones}>
+                Reset
+              </button>
+            </form>
+            {error && <div className="form-error">{error}</div>}
+          </section>
+
+          <section className="settings-section">
+            <h3 className="settings-section-title">通知 (Notifications)</h3>
+            <p className="settings-section-hint">
+              Choose how reminders are delivered. Reminders due during quiet hours are
+              held and delivered when quiet hours end.
+            </p>
+
+            <div className="settings-field">
+              <span className="settings-field-label">Delivery</span>
+              <div className="settings-inline-form">
+                <select
+                  className="form-input"
+                  value={settings.notificationMode}
+                  onChange={(e) => onChange({ ...settings, notificationMode: e.target.value })}
+                  aria-label="Notification delivery"
+                >
+                  <option value={NOTIFICATION_MODES.INDIVIDUAL}>One notification per reminder</option>
+                  <option value={NOTIFICATION_MODES.DIGEST}>Daily digest</option>
+                </select>
+                {settings.notificationMode === NOTIFICATION_MODES.DIGEST && (
+                  <input
+                    type="time"
+                    className="form-input settings-time"
+                    value={settings.digestTime}
+                    onChange={(e) => e.target.value && onChange({ ...settings, digestTime: e.target.value })}
+                    aria-label="Daily digest time"
+                  />
+                )}
+              </div>
+            </div>
+
+            <div className="settings-field">
+              <label className="settings-checkbox">
+                <input
+                  type="checkbox"
+                  checked={quietHours.enabled}
+                  onChange={(e) => updateQuietHours({ enabled: e.target.checked })}
+                />
+                Quiet hours
+              </label>
+              {quietHours.enabled && (
+                <div className="settings-inline-form">
+                  <input
+                    type="time"
+                    className="form-input settings-time"
+                    value={quietHours.start}
+                    onChange={(e) => e.target.value && updateQuietHours({ start: e.target.value })}
+                    aria-label="Quiet hours start"
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    className="form-input settings-time"
+                    value={quietHours.end}
+                    onChange={(e) => e.target.value && updateQuietHours({ end: e.target.value })}
+                    aria-label="Quiet hours end"
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="settings-field">
+              <label className="settings-checkbox">
+                <input
+                  type="checkbox"
+                  checked={weeklySummary.enabled}
+                  onChange={(e) => updateWeeklySummary({ enabled: e.target.checked })}
+                />
+                Weekly "coming up this week" summary
+              </label>
+              {weeklySummary.enabled && (
+                <div className="settings-inline-form">
+                  <select
+                    className="form-input"
+                    value={weeklySummary.weekday}
+                    onChange={(e) => updateWeeklySummary({ weekday: Number(e.target.value) })}
+                    aria-label="Weekly summary day"
+                  >
+                    {WEEKDAYS.map((day, index) => (
+                      <option key={day} value={index}>{day}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="time"
+                    className="form-input settings-time"
+                    value={weeklySummary.time}
+                    onChange={(e) => e.target.value && updateWeeklySummary({ time: e.target.value })}
+                    aria-label="Weekly summary time"
+                  />
+                </div>
+              )}
+            </div>
+          </section>
+
+          <section className="settings-section">
+            <h3 className="settings-section-title">提醒渠道 (Channels)</h3>
+            <p className="settings-section-hint">
+              Where reminders are sent unless an anniversary picks its own channels. Every
+              reminder is also kept in the notification center.
+            </p>
+
+            <div className="settings-field">
+              {listNotificationChannels().map(channel => (
+                <label key={channel.id} className="settings-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={defaultChannels.includes(channel.id)}
+                    onChange={(e) => handleDefaultChannelToggle(channel.id, e.target.checked)}
+                  />
+                  {channel.label}
+                </label>
+              ))}
+            </div>
+
+            <div className="settings-field">
+              <span className="settings-field-label">Webhook</span>
+              <p className="settings-section-hint">
+                Reminders are POSTed as JSON built from the template below. The server has to
+                allow cross-origin requests; <code>npm run webhook:stand-in</code> starts a local
+                one to try it out.
+              </p>
+              <div className="settings-inline-form">
+                <input
+                  type="url"
+                  className="form-input"
+                  value={webhookUrl}
+                  onChange={(e) => setWebhookUrl(e.target.value)}
+                  onBlur={saveWebhook}
+                  placeholder="https://example.com/hooks/anniversaries"
+                  aria-label="Webhook URL"
+                />
+                <select
+                  className="form-input settings-time"
+                  value={settings.webhook.retries}
+                  onChange={(e) => onChange({
+                    ...settings,
+                    webhook: { ...settings.webhook, retries: Number(e.target.value) }
+                  })}
+                  aria-label="Webhook retries"
+                >
+                  {Array.from({ length: MAX_WEBHOOK_RETRIES + 1 }, (_, retries) => (
+                    <option key={retries} value={retries}>
+                      {retries === 0 ? 'No retries' : `${retries} ${retries === 1 ? 'retry' : 'retries'}`}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <textarea
+                className="form-input settings-template"
+                value={webhookTemplate}
+                onChange={(e) => setWebhookTemplate(e.target.value)}
+                onBlur={saveWebhook}
+                rows={5}
+                spellCheck={false}
+                aria-label="Webhook payload template"
+              />
+              <small className="settings-placeholders">
+                {Object.keys(WEBHOOK_PLACEHOLDERS).map(name => (
+                  <code key={name} title={WEBHOOK_PLACEHOLDERS[name]}>{`{{${name}}}`}</code>
+                ))}
+              </small>
+              {webhookError && <div className="form-error">{webhookError}</div>}
+              <div className="settings-inline-form settings-webhook-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary btn-sm"
+                  onClick={handleTestWebhook}
+                  disabled={isTestingWebhook}
+                >
+                  {isTestingWebhook ? 'Sending…' : 'Send test'}
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-sm settings-reset"
+                  onClick={() => setWebhookTemplate(DEFAULT_WEBHOOK_TEMPLATE)}
+                >
+                  Default template
+                </button>
+              </div>
+            </div>
+
+            <div className="settings-field">
+              <span className="settings-field-label">
+                Delivery log
+                {webhookLog.length > 0 && (
+                  <button type="button" className="btn btn-sm settings-reset" onClick={clearWebhookLog}>
+                    Clear
+                  </button>
+                )}
+              </span>
+              {webhookLog.length === 0 ? (
+                <span className="settings-empty">No webhook deliveries yet</span>
+              ) : (
+                <ul className="settings-webhook-log">
+                  {webhookLog.slice(0, WEBHOOK_LOG_SHOWN).map(delivery => (
+                    <li key={delivery.id} className={`settings-webhook-${delivery.status}`}>
+                      <span>{delivery.status === 'delivered' ? '✓' : '✕'} {delivery.title}</span>
+                      <span className="settings-webhook-meta">
+                        {[
+                          formatDate(delivery.sentAt, 'MMM d, HH:mm'),
+                          `${delivery.attempts} ${delivery.attempts === 1 ? 'attempt' : 'attempts'}`,
+                          delivery.error
+                        ].filter(Boolean).join(' · ')}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </section>
+
+          <section className="settings-section">
+            <h3 className="settings-section-title">回收站 (Recycle Bin)</h3>
+            <p className="settings-section-hint">
+              How long deleted anniversaries stay in the recycle bin. Older items are
+              permanently deleted the next time the app starts.
+            </p>
+            <select
+              className="form-input"
+              value={settings.trashRetentionDays || 'never'}
+              onChange={(e) => onChange({
+                ...settings,
+                trashRetentionDays: e.target.value === 'never' ? null : Number(e.target.value)
+              })}
+              aria-label="Recycle bin retention"
+            >
+              {TRASH_RETENTION_OPTIONS.map(days => (
+                <option key={days || 'never'} value={days || 'never'}>
+                  {days ? `Keep for ${days} days` : 'Keep forever'}
+                </option>
+              ))}
+            </select>
+          </section>
+
+          <section className="settings-section">
+            <h3 className="settings-section-title">分类 (Categories)</h3>
+            <p className="settings-section-hint">
+              Rename, recolour or delete categories. Anniversaries in a deleted category move to "Other".
+            </p>
+
+            <div className="settings-category-list">
+              {categories.map(category => (
+                <div key={category.id} className="settings-category-row">
+                  <input
+                    type="color"
+                    className="settings-color"
+                    value={category.color}
+                    onChange={(e) => runCategoryAction(() => onUpdateCategory(category.id, { color: e.target.value }))}
+                    aria-label={`${category.label} colour`}
+                  />
+                  <input
+                    type="text"
+                    className="form-input settings-emoji"
+                    value={category.emoji}
+                    maxLength={4}
+                    onChange={(e) => runCategoryAction(() => onUpdateCategory(category.id, { emoji: e.target.value }))}
+                    aria-label={`${category.label} emoji`}
+                  />
+                  <input
+                    type="text"
+                    className="form-input"
+                    defaultValue={category.label}
+                    maxLength={30}
+                    onBlur={(e) => handleRenameCategory(category, e.target.value)}
+                    aria-label={`${category.label} name`}
+                  />
+                  <button
+                    type="button"
+                    className="btn btn-sm settings-reset"
+                    onClick={() => handleDeleteCategory(category)}
+                    disabled={category.id === ANNIVERSARY_CATEGORIES.OTHER}
+                    title={category.id === ANNIVERSARY_CATEGORIES.OTHER ? 'The fallback category cannot be deleted' : 'Delete category'}
+                  >
+                    🗑️
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <form className="settings-category-row" onSubmit={handleAddCategory}>
+              <input
+                type="color"
+                className="settings-color"
+                value={newCategory.color}
+                onChange={(e) => setNewCategory(prev => ({ ...prev, color: e.target.value }))}
+                aria-label="New category colour"
+              />
+              <input
+                type="text"
+                className="form-input settings-emoji"
+                value={newCategory.emoji}
+                maxLength={4}
+                onChange={(e) => setNewCategory(prev => ({ ...prev, emoji: e.target.value }))}
+                placeholder="🎉"
+                aria-label="New category emoji"
+              />
+              <input
+                type="text"
+                className="form-input"
+                value={newCategory.label}
+                maxLength={30}
+                onChange={(e) => setNewCategory(prev => ({ ...prev, label: e.target.value }))}
+                placeholder="New category name"
+              />
+              <button type="submit" className="btn btn-secondary btn-sm">
+                Add
+              </button>
+            </form>
+            {categoryError && <div className="form-error">{categoryError}</div>}
+          </section>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPanel;
@@ -1,28 +1,28 @@
 import React, { useMemo } from 'react';
+import { findCategory, formatCategoryLabel } from '../models/Anniversary';
 import './TagStats.css';
 
-const CATEGORY_CONFIG = {
-  birthday: { label: '🎂 Birthday', color: '#FFB6C1' },
-  wedding: { label: '💒 Wedding', color: '#FF69B4' },
-  work: { label: '💼 Work', color: '#87CEEB' },
-  other: { label: '🎈 Other', color: '#DDA0DD' },
-};
-
-function TagStats({ anniversaries, trashCount }) {
+function TagStats({ anniversaries, categories, trashCount }) {
   const categoryCounts = useMemo(() => {
     const counts = {};
-    for (const key of Object.keys(CATEGORY_CONFIG)) {
-      counts[key] = 0;
+    for (const category of categories) {
+      counts[category.id] = 0;
     }
     for (const a of anniversaries) {
-      const cat = a.category || 'other';
-      if (counts[cat] !== undefined) {
-        counts[cat]++;
-      } else {
-        counts.other++;
-      }
+      // Unknown categories are counted under the fallback category
+      counts[findCategory(categories, a.category).id]++;
     }
     return counts;
+  }, [anniversaries, categories]);
+
+  const tagCounts = useMemo(() => {
+    const counts = new Map();
+    for (const a of anniversaries) {
+      for (const tag of a.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
   }, [anniversaries]);
 
   const total = anniversaries.length;
@@ -35,12 +35,12 @@ function TagStats({ anniversaries, trashCount }) {
           <span className="tag-stats-total">{total} total</span>
         </div>
         <div className="tag-stats-tags">
-          {Object.entries(CATEGORY_CONFIG).map(([key, { label, color }]) => (
-            <div className="tag-stats-item" key={key}>
-              <span className="tag-stats-badge" style={{ backgroundColor: color }}>
-                {label}
+          {categories.map((category) => (
+            <div className="tag-stats-item" key={category.id}>
+              <span className="tag-stats-badge" style={{ backgroundColor: category.color }}>
+                {formatCategoryLabel(category)}
               </span>
-              <span className="tag-stats-count">{categoryCounts[key]}</span>
+              <span className="tag-stats-count">{categoryCounts[category.id] || 0}</span>
             </div>
           ))}
           <div className="tag-stats-item">
@@ -50,6 +50,16 @@ function TagStats({ anniversaries, trashCount }) {
             <span className="tag-stats-count">{trashCount}</span>
           </div>
         </div>
+        {tagCounts.length > 0 && (
+          <div className="tag-stats-tags tag-stats-free-tags">
+            {tagCounts.map(([tag, count]) => (
+              <div className="tag-stats-item" key={tag}>
+                <span className="tag-stats-badge tag-stats-badge-tag">#{tag}</span>
+                <span className="tag-stats-count">{count}</span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
     </footer>
   );
@@ -0,0 +1,28 @@
+import React, { useEffect } from 'react';
+import './Toast.css';
+
+const TOAST_DURATION = 6000;
+
+function Toast({ message, actionLabel, onAction, onDismiss }) {
+  // Restart the timer whenever a new message is shown
+  useEffect(() => {
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="toast" role="status">
+      <span className="toast-message">{message}</span>
+      {actionLabel && (
+        <button className="toast-action" onClick={onAction}>
+          {actionLabel}
+        </button>
+      )}
+      <button className="toast-close" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default Toast;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { formatDate } from '../services/DateService';
+import './VCardImport.css';
+
+function VCardImport({ fileName, preview, onImport, onDone }) {
+  const { candidates, skipped } = preview;
+  const selectable = candidates.filter(candidate => !candidate.duplicate);
+  const [selected, setSelected] = useState(
+    () => new Set(selectable.map(candidate => candidate.anniversary.id))
+  );
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState('');
+
+  const toggle = (id) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleImport = () => {
+    try {
+      setReport(onImport(
+        selectable
+          .filter(candidate => selected.has(candidate.anniversary.id))
+          .map(candidate => candidate.anniversary)
+      ));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (report) {
+    return (
+      <div className="vcard-import">
+        <p className="vcard-import-summary">
+          {fileName}: imported {report.imported.length} of {candidates.length}
+        </p>
+        <button className="btn btn-secondary btn-sm" onClick={onDone}>
+          Done
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="vcard-import">
+      <p className="vcard-import-summary">
+        {fileName}: {candidates.length} found
+        {candidates.length > selectable.length &&
+          `, ${candidates.length - selectable.length} already exist`}
+      </p>
+
+      {selectable.length > 0 && (
+        <div className="vcard-import-toolbar">
+          <button
+            className="btn btn-secondary btn-sm"
+            onClick={() => setSelected(new Set(selectable.map(c => c.anniversary.id)))}
+          >
+            Select all
+          </button>
+          <button className="btn btn-secondary btn-sm" onClick={() => setSelected(new Set())}>
+            Select none
+          </button>
+        </div>
+      )}
+
+      {candidates.length > 0 && (
+        <ul className="vcard-import-list">
+          {candidates.map(({ anniversary, duplicate }) => (
+            <li
+              key={anniversary.id}
+              className={`vcard-import-item ${duplicate ? 'vcard-import-duplicate' : ''}`}
+            >
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!duplicate && selected.has(anniversary.id)}
+                  disabled={duplicate}
+                  onChange={() => toggle(anniversary.id)}
+                />
+                <span className="vcard-import-title">{anniversary.title}</span>
+                <span className="vcard-import-date">
+                  {anniversary.yearUnknown
+                    ? formatDate(anniversary.date, 'MMM d')
+                    : formatDate(anniversary.date)}
+                  {duplicate && ' · Already exists'}
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {skipped.length > 0 && (
+        <ul className="vcard-import-skipped">
+          {skipped.map((item, index) => (
+            <li key={index}>
+              <strong>{item.name}</strong> — {item.reason}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {error && <div className="form-error">{error}</div>}
+
+      <div className="vcard-import-actions">
+        <button className="btn btn-secondary btn-sm" onClick={onDone}>
+          Cancel
+        </button>
+        <button
+          className="btn btn-primary btn-sm"
+          onClick={handleImport}
+          disabled={selected.size === 0}
+        >
+          Import {selected.size} selected
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default VCardImport;
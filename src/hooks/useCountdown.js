@@ -1,31 +1,49 @@
 import { useState, useEffect } from 'react';
-import { calculateDaysUntil, formatCountdown } from '../services/DateService';
+import {
+  calculateDaysUntil,
+  calculateDaysSince,
+  calculateYearsSince,
+  formatCountdown,
+  formatDaysSince,
+} from '../services/DateService';
+
+/**
+ * Calculate all day counters for a date
+ *
+ * @param {string|Date|Anniversary} date - Target date or anniversary
+ * @returns {Object} Days until, days since and whole years since
+ */
+function calculateCounts(date) {
+  return {
+    daysUntil: calculateDaysUntil(date),
+    daysSince: calculateDaysSince(date),
+    yearsSince: calculateYearsSince(date),
+  };
+}
 
 /**
  * useCountdown - Custom hook for real-time countdown to a date
  *
- * Calculates and maintains a live countdown to a specific date, automatically
- * updating at midnight each day.
+ * Calculates and maintains a live countdown to a specific date, along with the
+ * number of days elapsed since the original date, automatically updating at
+ * midnight each day.
  *
- * @param {string|Date} date - Target date for countdown
+ * @param {string|Date|Anniversary} date - Target date or anniversary for countdown
  * @param {boolean} [autoUpdate] - Whether to automatically update at midnight (default: true)
  * @returns {Object} Countdown information
  */
 function useCountdown(date, autoUpdate = true) {
-  // Calculate initial countdown
-  const [daysUntil, setDaysUntil] = useState(() => calculateDaysUntil(date));
-  const [countdown, setCountdown] = useState(() => formatCountdown(daysUntil));
+  // Calculate initial counters
+  const [counts, setCounts] = useState(() => calculateCounts(date));
 
-  // Update countdown
+  // Update counters
   useEffect(() => {
     if (!date) {
       return;
     }
 
     // Recalculate immediately
-    const days = calculateDaysUntil(date);
-    setDaysUntil(days);
-    setCountdown(formatCountdown(days));
+    setCounts(calculateCounts(date));
 
     if (!autoUpdate) {
       return;
@@ -38,28 +56,26 @@ function useCountdown(date, autoUpdate = true) {
     tomorrow.setHours(0, 0, 0, 0);
     const msUntilMidnight = tomorrow - now;
 
+    let dailyInterval = null;
+
     // Set up timer to update at midnight
     const midnightTimer = setTimeout(() => {
-      const newDays = calculateDaysUntil(date);
-      setDaysUntil(newDays);
-      setCountdown(formatCountdown(newDays));
+      setCounts(calculateCounts(date));
 
       // Set up daily interval after first midnight
-      const dailyInterval = setInterval(() => {
-        const updatedDays = calculateDaysUntil(date);
-        setDaysUntil(updatedDays);
-        setCountdown(formatCountdown(updatedDays));
+      dailyInterval = setInterval(() => {
+        setCounts(calculateCounts(date));
       }, 24 * 60 * 60 * 1000); // 24 hours
-
-      // Store interval ID for cleanup
-      return () => clearInterval(dailyInterval);
     }, msUntilMidnight);
 
     return () => {
       clearTimeout(midnightTimer);
+      clearInterval(dailyInterval);
     };
   }, [date, autoUpdate]);
 
+  const { daysUntil, daysSince, yearsSince } = counts;
+
   // Determine status
   const isToday = daysUntil === 0;
   const isPast = daysUntil < 0;
@@ -68,7 +84,10 @@ function useCountdown(date, autoUpdate = true) {
 
   return {
     daysUntil,
-    countdown,
+    countdown: formatCountdown(daysUntil),
+    daysSince,
+    countUp: formatDaysSince(daysSince),
+    yearsSince,
     isToday,
     isPast,
     isFuture,
@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  undoOperation,
+  redoOperation,
+  getHistoryState,
+  subscribeHistory,
+} from '../services/StorageService';
+
+/**
+ * Check whether a keyboard event comes from a text field, where Ctrl+Z
+ * should keep its native meaning
+ *
+ * @param {KeyboardEvent} event - Keyboard event
+ * @returns {boolean} True if the target edits text
+ */
+function isEditingText(event) {
+  const target = event.target;
+  return (
+    target instanceof HTMLElement &&
+    (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+  );
+}
+
+/**
+ * useHistory - Custom hook for undo/redo of anniversary operations
+ *
+ * Exposes the persisted operation history from StorageService and binds
+ * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS; Ctrl+Y also redoes) outside of text
+ * fields.
+ *
+ * @param {Function} onApply - Called with ({anniversaries, trash, label}, 'undo'|'redo') after an undo or redo
+ * @param {Function} [onError] - Called with an Error when an operation cannot be undone or redone
+ * @returns {Object} History state ({canUndo, canRedo, undoLabel, redoLabel}) plus undo() and redo()
+ */
+function useHistory(onApply, onError = console.error) {
+  const [state, setState] = useState(() => getHistoryState());
+
+  // Keep the latest callbacks without re-binding the keyboard listener
+  const callbacks = useRef({ onApply, onError });
+  useEffect(() => {
+    callbacks.current = { onApply, onError };
+  });
+
+  useEffect(() => subscribeHistory(setState), []);
+
+  const run = useCallback((operation, direction) => {
+    try {
+      const result = operation();
+      if (result) {
+        callbacks.current.onApply(result, direction);
+      }
+      return result;
+    } catch (error) {
+      callbacks.current.onError(error);
+      return null;
+    }
+  }, []);
+
+  const undo = useCallback(() => run(undoOperation, 'undo'), [run]);
+  const redo = useCallback(() => run(redoOperation, 'redo'), [run]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || isEditingText(e)) {
+        return;
+      }
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return { ...state, undo, redo };
+}
+
+export default useHistory;
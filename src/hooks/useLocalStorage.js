@@ -1,102 +0,0 @@
-import { useState, useEffect, useCallback } from 'react';
-
-/**
- * useLocalStorage - Custom hook for syncing state with localStorage
- *
- * Automatically syncs React state with localStorage, handling serialization,
- * deserialization, and error cases. Updates persist across page reloads.
- *
- * @param {string} key - localStorage key
- * @param {*} initialValue - Initial value if key doesn't exist
- * @returns {[any, Function, Function]} [storedValue, setValue, removeValue]
- */
-function useLocalStorage(key, initialValue) {
-  // State to store our value
-  // Pass initial state function to useState so logic is only executed once
-  const [storedValue, setStoredValue] = useState(() => {
-    if (typeof window === 'undefined') {
-      return initialValue;
-    }
-
-    try {
-      // Get from local storage by key
-      const item = window.localStorage.getItem(key);
-      // Parse stored json or if none return initialValue
-      return item ? JSON.parse(item) : initialValue;
-    } catch (error) {
-      // If error also return initialValue
-      console.error(`Error loading localStorage key "${key}":`, error);
-      return initialValue;
-    }
-  });
-
-  // Return a wrapped version of useState's setter function that
-  // persists the new value to localStorage.
-  const setValue = useCallback(
-    (value) => {
-      try {
-        // Allow value to be a function so we have same API as useState
-        const valueToStore = value instanceof Function ? value(storedValue) : value;
-
-        // Save state
-        setStoredValue(valueToStore);
-
-        // Save to local storage
-        if (typeof window !== 'undefined') {
-          window.localStorage.setItem(key, JSON.stringify(valueToStore));
-        }
-      } catch (error) {
-        // Handle quota exceeded error
-        if (error.name === 'QuotaExceededError') {
-          console.error(
-            `localStorage quota exceeded for key "${key}". ` +
-              'Please clear some data or export your data.'
-          );
-        } else {
-          console.error(`Error setting localStorage key "${key}":`, error);
-        }
-      }
-    },
-    [key, storedValue]
-  );
-
-  // Remove value from localStorage
-  const removeValue = useCallback(() => {
-    try {
-      setStoredValue(initialValue);
-      if (typeof window !== 'undefined') {
-        window.localStorage.removeItem(key);
-      }
-    } catch (error) {
-      console.error(`Error removing localStorage key "${key}":`, error);
-    }
-  }, [key, initialValue]);
-
-  // Listen for changes to this key from other tabs/windows
-  useEffect(() => {
-    if (typeof window === 'undefined') {
-      return;
-    }
-
-    const handleStorageChange = (e) => {
-      if (e.key === key && e.newValue !== null) {
-        try {
-          setStoredValue(JSON.parse(e.newValue));
-        } catch (error) {
-          console.error(`Error parsing storage event for key "${key}":`, error);
-        }
-      }
-    };
-
-    // Listen for storage events (changes from other tabs)
-    window.addEventListener('storage', handleStorageChange);
-
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-    };
-  }, [key]);
-
-  return [storedValue, setValue, removeValue];
-}
-
-export default useLocalStorage;
@@ -10,7 +10,12 @@ import {
  * useNotifications - Custom hook for managing browser notifications
  *
  * Manages notification permission state, provides functions to request permission,
- * and handles periodic checking for notifications to fire.
+ * and handles periodic checking for notifications to fire. Reminders are also
+ * re-checked whenever the app becomes visible again, since timers are paused
+ * or throttled while the tab is hidden or the device sleeps.
+ *
+ * Reminders are checked even without permission: they are then only recorded
+ * in the in-app notification center.
  *
  * @param {Anniversary[]} anniversaries - Array of anniversaries to monitor
  * @param {number} [checkInterval] - Interval in milliseconds to check for notifications (default: 60000 = 1 minute)
@@ -29,18 +34,18 @@ function useNotifications(anniversaries = [], checkInterval = 60000) {
   }, []);
 
   // Check and fire notifications
-  const checkAndFire = useCallback(() => {
-    if (permission === 'granted' && Array.isArray(anniversaries)) {
-      const count = checkNotifications(anniversaries);
+  const checkAndFire = useCallback(async () => {
+    if (Array.isArray(anniversaries)) {
+      const count = await checkNotifications(anniversaries);
       setLastCheck(new Date());
       return count;
     }
     return 0;
-  }, [permission, anniversaries]);
+  }, [anniversaries]);
 
   // Set up periodic notification checking
   useEffect(() => {
-    if (!isSupported || permission !== 'granted' || !anniversaries.length) {
+    if (!anniversaries.length) {
       return;
     }
 
@@ -52,10 +57,19 @@ function useNotifications(anniversaries = [], checkInterval = 60000) {
       checkAndFire();
     }, checkInterval);
 
+    // Check again when the app wakes up
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'visible') {
+        checkAndFire();
+      }
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
     return () => {
       clearInterval(intervalId);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
-  }, [isSupported, permission, anniversaries, checkInterval, checkAndFire]);
+  }, [anniversaries, checkInterval, checkAndFire]);
 
   // Listen for permission changes (though this is rare in practice)
   useEffect(() => {
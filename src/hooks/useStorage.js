@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getStoredValue,
+  setStoredValue,
+  removeStoredValue,
+  subscribe,
+} from '../services/StorageService';
+
+/**
+ * useStorage - Custom hook for syncing state with the storage adapter
+ *
+ * Keeps React state in sync with a StorageService key, whichever backend
+ * (IndexedDB or localStorage) is active. Updates persist across page reloads
+ * and changes written elsewhere (other components or other tabs) are picked up.
+ *
+ * @param {string} key - Storage key
+ * @param {*} initialValue - Initial value if key doesn't exist
+ * @returns {[any, Function, Function]} [storedValue, setValue, removeValue]
+ */
+function useStorage(key, initialValue) {
+  // Pass initial state function to useState so logic is only executed once
+  const [storedValue, setStoredState] = useState(() => {
+    try {
+      const value = getStoredValue(key);
+      return value === null ? initialValue : value;
+    } catch (error) {
+      console.error(`Error loading storage key "${key}":`, error);
+      return initialValue;
+    }
+  });
+
+  // Return a wrapped version of useState's setter function that
+  // persists the new value through the storage adapter.
+  const setValue = useCallback(
+    (value) => {
+      try {
+        // Allow value to be a function so we have same API as useState
+        const valueToStore = value instanceof Function ? value(storedValue) : value;
+
+        setStoredValue(key, valueToStore);
+      } catch (error) {
+        console.error(`Error setting storage key "${key}":`, error);
+      }
+    },
+    [key, storedValue]
+  );
+
+  // Remove value from storage
+  const removeValue = useCallback(() => {
+    try {
+      removeStoredValue(key);
+    } catch (error) {
+      console.error(`Error removing storage key "${key}":`, error);
+    }
+  }, [key]);
+
+  // Follow writes to this key made through StorageService
+  useEffect(() => {
+    return subscribe(key, (value) => {
+      setStoredState(value === null ? initialValue : value);
+    });
+    // initialValue is only a fallback; re-subscribing on every render is unnecessary
+  }, [key]);
+
+  return [storedValue, setValue, removeValue];
+}
+
+export default useStorage;
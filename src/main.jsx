@@ -2,9 +2,19 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initStorage } from './services/StorageService'
+import { registerServiceWorker } from './services/ServiceWorkerService'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Load persisted data (migrating from localStorage on first run) before rendering
+initStorage()
+  .catch((error) => console.error('Error initializing storage:', error))
+  .then(() => {
+    createRoot(document.getElementById('root')).render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+
+    // Offline app shell and background reminders
+    registerServiceWorker()
+  })
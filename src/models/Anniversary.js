@@ -1,4 +1,6 @@
 import { v4 as uuidv4 } from 'uuid';
+import { format } from 'date-fns';
+import { lunarToSolar, solarToLunar } from '../services/LunarCalendar';
 
 /**
  * Anniversary Data Model
@@ -8,10 +10,19 @@ import { v4 as uuidv4 } from 'uuid';
  * @typedef {Object} Anniversary
  * @property {string} id - Unique identifier (UUID)
  * @property {string} title - Name/title of the anniversary
- * @property {string} date - ISO date string (YYYY-MM-DD)
+ * @property {string} date - ISO date string (YYYY-MM-DD), the Gregorian date of the original day
+ * @property {('solar'|'lunar')} [calendar] - Calendar the anniversary recurs on (defaults to 'solar')
+ * @property {LunarDate|null} [lunarDate] - Original lunar date (only set when calendar is 'lunar')
+ * @property {Recurrence|null} [recurrence] - Rule-based recurrence (null recurs on the date's month/day)
+ * @property {('feb28'|'mar1'|'leap-only')} [leapDayPolicy] - When a Feb 29 date is observed in non-leap years (defaults to 'feb28')
+ * @property {boolean} [yearUnknown] - Only the month and day are known; `date` then uses UNKNOWN_YEAR
+ * @property {('countdown'|'countup'|'both')} [countMode] - How the card counts days (defaults to 'countdown')
  * @property {string} [description] - Optional description/notes
- * @property {('birthday'|'wedding'|'work'|'other')} category - Anniversary category
+ * @property {string} category - Category id from the category registry (e.g. 'birthday')
+ * @property {string[]} [tags] - Free-form tags
  * @property {ReminderSettings} reminderSettings - Notification preferences
+ * @property {MilestoneSettings} [milestoneSettings] - Day-count milestone preferences
+ * @property {string} [sourceUid] - UID of the calendar event it was imported from (other calendars only)
  * @property {string} createdAt - ISO datetime string of creation
  * @property {string} updatedAt - ISO datetime string of last update
  */
@@ -21,12 +32,108 @@ import { v4 as uuidv4 } from 'uuid';
  *
  * @typedef {Object} ReminderSettings
  * @property {boolean} enabled - Whether reminders are enabled
- * @property {number[]} timings - Array of days before anniversary to remind (e.g., [1, 7, 30])
+ * @property {Array<number|ReminderTiming>} timings - Offsets to remind at; plain numbers are days before (e.g., [0, 1, 7])
  * @property {string} timeOfDay - Time to send reminder in HH:mm format (e.g., "09:00")
  * @property {('once'|'monthly'|'half-yearly'|'yearly'|'custom')} cycle - Reminder cycle type
  * @property {number} [customMonths] - Custom cycle in months (only used when cycle is 'custom')
+ * @property {string[]|null} [channels] - Channels to deliver reminders through (null uses the default channels from settings)
  */
 
+/**
+ * Reminder offset before an anniversary
+ *
+ * Day and week offsets fire at their own time of day, or the anniversary's
+ * `timeOfDay` when none is set. Hour offsets count back from the
+ * anniversary's `timeOfDay` on the day itself.
+ *
+ * @typedef {Object} ReminderTiming
+ * @property {number} amount - Number of units before the anniversary
+ * @property {('hours'|'days'|'weeks')} unit - Unit of the offset
+ * @property {string|null} [timeOfDay] - Own time of day in HH:mm format (days and weeks only)
+ */
+
+/**
+ * Milestone Settings for an anniversary
+ *
+ * Milestones are day counts since the original date (e.g. 100 days, 1000 days).
+ * They are reminded with the same timings and time of day as the anniversary itself.
+ *
+ * @typedef {Object} MilestoneSettings
+ * @property {boolean} enabled - Whether milestones are tracked for this anniversary
+ * @property {boolean} useGlobal - Whether to include the global milestone list
+ * @property {number[]} days - Additional day counts for this anniversary (e.g., [99, 365])
+ * @property {number|null} everyDays - Repeat a milestone every N days (e.g., every 100 days)
+ */
+
+/**
+ * Rule-based recurrence, modelled after iCalendar RRULEs
+ *
+ * The anniversary date is the start of the recurrence. Yearly and monthly rules
+ * fall on the nth weekday of a month; weekly rules repeat on the start date's weekday.
+ *
+ * @typedef {Object} Recurrence
+ * @property {('yearly'|'monthly'|'weekly')} freq - Recurrence frequency
+ * @property {number} [interval] - Repeat every N periods (defaults to 1)
+ * @property {number} [month] - Month (1-12), yearly rules only
+ * @property {number} [weekday] - Day of week (0 = Sunday ... 6 = Saturday), yearly and monthly rules
+ * @property {number} [nth] - Week of the month (1-5), or -1 for the last one, yearly and monthly rules
+ */
+
+/**
+ * Anniversary category from the user-editable registry
+ *
+ * @typedef {Object} Category
+ * @property {string} id - Unique identifier (built-in ids are 'birthday', 'wedding', 'work', 'other')
+ * @property {string} label - Display name
+ * @property {string} emoji - Emoji shown before the label
+ * @property {string} color - Badge colour as a hex string (e.g. '#FFB6C1')
+ */
+
+/**
+ * Lunar calendar date
+ *
+ * @typedef {Object} LunarDate
+ * @property {number} year - Lunar year
+ * @property {number} month - Lunar month (1-12)
+ * @property {number} day - Day of the lunar month (1-30)
+ * @property {boolean} isLeap - Whether the date is in the leap month (闰月)
+ */
+
+/**
+ * Calendar types an anniversary can recur on
+ */
+export const CALENDAR_TYPES = {
+  SOLAR: 'solar', // Gregorian calendar (公历)
+  LUNAR: 'lunar', // Chinese lunar calendar (农历)
+};
+
+/**
+ * Recurrence rule frequencies
+ */
+export const RECURRENCE_FREQUENCIES = {
+  YEARLY: 'yearly',   // nth weekday of a given month every year (e.g. Mother's Day)
+  MONTHLY: 'monthly', // nth weekday of every month
+  WEEKLY: 'weekly',   // every N weeks from the start date
+};
+
+/**
+ * How a February 29 anniversary is observed in non-leap years
+ */
+export const LEAP_DAY_POLICIES = {
+  FEB_28: 'feb28',              // Observe on February 28
+  MAR_1: 'mar1',                // Observe on March 1
+  LEAP_YEARS_ONLY: 'leap-only', // Only occurs in leap years
+};
+
+/**
+ * Day counting modes
+ */
+export const COUNT_MODES = {
+  COUNTDOWN: 'countdown', // Days until the next occurrence
+  COUNTUP: 'countup',     // Days since the original date
+  BOTH: 'both',           // Show both counters
+};
+
 /**
  * Reminder cycle options
  */
@@ -41,16 +148,53 @@ export const REMINDER_CYCLES = {
 /**
  * Default reminder settings
  */
-const DEFAULT_REMINDER_SETTINGS = {
+export const DEFAULT_REMINDER_SETTINGS = {
   enabled: true,
   timings: [0, 1, 7], // Today, 1 day before, 7 days before
   timeOfDay: '09:00',
   cycle: REMINDER_CYCLES.YEARLY, // Default to yearly reminders
   customMonths: null,
+  channels: null,
 };
 
 /**
- * Valid anniversary categories
+ * Units a reminder offset can be given in
+ */
+export const REMINDER_UNITS = {
+  HOURS: 'hours',
+  DAYS: 'days',
+  WEEKS: 'weeks',
+};
+
+/**
+ * Longest reminder offset, in days
+ */
+const MAX_REMINDER_DAYS = 366;
+
+/**
+ * Placeholder year for dates whose year is unknown (e.g. a birthday saved as
+ * --MM-DD). It is a leap year so Feb 29 keeps its day, and matches the year
+ * Apple Contacts uses for the same purpose.
+ */
+export const UNKNOWN_YEAR = 1604;
+
+/**
+ * Default global milestone list (days since the original date)
+ */
+export const DEFAULT_MILESTONES = [100, 520, 1000, 10000];
+
+/**
+ * Default milestone settings
+ */
+export const DEFAULT_MILESTONE_SETTINGS = {
+  enabled: true,
+  useGlobal: true,
+  days: [],
+  everyDays: null,
+};
+
+/**
+ * Built-in anniversary category ids
  */
 export const ANNIVERSARY_CATEGORIES = {
   BIRTHDAY: 'birthday',
@@ -59,55 +203,473 @@ export const ANNIVERSARY_CATEGORIES = {
   OTHER: 'other',
 };
 
+/**
+ * Default category registry. 'other' is the fallback and cannot be deleted.
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: ANNIVERSARY_CATEGORIES.BIRTHDAY, label: 'Birthday', emoji: '🎂', color: '#FFB6C1' },
+  { id: ANNIVERSARY_CATEGORIES.WEDDING, label: 'Wedding', emoji: '💒', color: '#FF69B4' },
+  { id: ANNIVERSARY_CATEGORIES.WORK, label: 'Work', emoji: '💼', color: '#87CEEB' },
+  { id: ANNIVERSARY_CATEGORIES.OTHER, label: 'Other', emoji: '🎈', color: '#DDA0DD' },
+];
+
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Factory function to create a new category
+ *
+ * @param {Object} data - Category data
+ * @param {string} data.label - Display name (required)
+ * @param {string} [data.emoji] - Emoji shown before the label
+ * @param {string} [data.color] - Badge colour as a hex string
+ * @returns {Category} New category object
+ * @throws {Error} If the label or colour is invalid
+ */
+export function createCategory(data) {
+  const category = {
+    id: uuidv4(),
+    label: data.label,
+    emoji: data.emoji || '',
+    color: data.color || DEFAULT_CATEGORIES[DEFAULT_CATEGORIES.length - 1].color,
+  };
+  validateCategory(category);
+  return { ...category, label: category.label.trim(), emoji: category.emoji.trim() };
+}
+
+/**
+ * Validates a category object
+ *
+ * @param {Category} category - Category to validate
+ * @returns {boolean} True if valid
+ * @throws {Error} If validation fails
+ */
+export function validateCategory(category) {
+  if (!category.id || typeof category.id !== 'string') {
+    throw new Error('Invalid category: missing or invalid id');
+  }
+
+  if (!category.label || typeof category.label !== 'string' || category.label.trim() === '') {
+    throw new Error('Category name is required');
+  }
+
+  if (typeof category.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(category.color)) {
+    throw new Error('Invalid category colour');
+  }
+
+  return true;
+}
+
+/**
+ * Find a category in the registry, falling back to 'other'
+ *
+ * @param {Category[]} categories - Category registry
+ * @param {string} id - Category id
+ * @returns {Category} Matching category or the fallback category
+ */
+export function findCategory(categories, id) {
+  const registry = categories && categories.length ? categories : DEFAULT_CATEGORIES;
+  return (
+    registry.find((category) => category.id === id) ||
+    registry.find((category) => category.id === ANNIVERSARY_CATEGORIES.OTHER) ||
+    DEFAULT_CATEGORIES[DEFAULT_CATEGORIES.length - 1]
+  );
+}
+
+/**
+ * Match free text against the registry by id or label
+ *
+ * Case-insensitive, and a plural name ("Birthdays") matches its singular
+ * category. Used when importing data from other apps.
+ *
+ * @param {Category[]} categories - Category registry
+ * @param {string} name - Category id or label to look up
+ * @returns {Category|null} Matching category, or null if none matches
+ */
+export function matchCategory(categories, name) {
+  const lower = String(name || '').trim().toLowerCase();
+  if (!lower) {
+    return null;
+  }
+
+  const singular = lower.replace(/s$/, '');
+
+  return (
+    categories.find((category) =>
+      [category.id.toLowerCase(), category.label.toLowerCase()].some(
+        (candidate) => candidate === lower || candidate === singular
+      )
+    ) || null
+  );
+}
+
+/**
+ * Format a category for display, e.g. "🎂 Birthday"
+ *
+ * @param {Category} category - Category object
+ * @returns {string} Display label
+ */
+export function formatCategoryLabel(category) {
+  return category.emoji ? `${category.emoji} ${category.label}` : category.label;
+}
+
+/**
+ * Normalize free-form tags: trimmed, non-empty and unique (case-insensitive)
+ *
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Normalized tags
+ * @throws {Error} If tags is not an array or a tag is too long
+ */
+export function normalizeTags(tags) {
+  if (!tags) {
+    return [];
+  }
+  if (!Array.isArray(tags)) {
+    throw new Error('Tags must be an array');
+  }
+
+  const seen = new Set();
+  return tags
+    .map((tag) => String(tag).trim())
+    .filter((tag) => {
+      if (!tag || seen.has(tag.toLowerCase())) {
+        return false;
+      }
+      if (tag.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag "${tag}" must be ${MAX_TAG_LENGTH} characters or less`);
+      }
+      seen.add(tag.toLowerCase());
+      return true;
+    });
+}
+
+/**
+ * Check if a category id exists in the registry
+ *
+ * @param {Category[]} categories - Category registry
+ * @param {string} id - Category id
+ * @returns {boolean} True if the category exists
+ */
+function hasCategory(categories, id) {
+  return categories.some((category) => category.id === id);
+}
+
+/**
+ * Resolve the calendar fields of an anniversary
+ *
+ * For lunar anniversaries the Gregorian date is derived from the lunar date
+ * when one is given, otherwise the lunar date is derived from the Gregorian date.
+ *
+ * @param {string} calendar - Calendar type
+ * @param {LunarDate|null} lunarDate - Lunar date, if provided
+ * @param {string|null} dateString - ISO date string, if provided
+ * @returns {{calendar: string, lunarDate: LunarDate|null, date: string|null}} Resolved fields
+ * @throws {Error} If the calendar type or lunar date is invalid
+ */
+function resolveCalendarFields(calendar, lunarDate, dateString) {
+  if (!Object.values(CALENDAR_TYPES).includes(calendar)) {
+    throw new Error(`Invalid calendar: ${calendar}`);
+  }
+
+  if (calendar === CALENDAR_TYPES.SOLAR) {
+    return { calendar, lunarDate: null, date: dateString };
+  }
+
+  if (lunarDate) {
+    const year = Number(lunarDate.year);
+    const month = Number(lunarDate.month);
+    const day = Number(lunarDate.day);
+    const isLeap = Boolean(lunarDate.isLeap);
+    const solarDate = lunarToSolar(year, month, day, isLeap);
+
+    if (!solarDate) {
+      throw new Error('Invalid lunar date');
+    }
+
+    return {
+      calendar,
+      lunarDate: { year, month, day, isLeap },
+      date: format(solarDate, 'yyyy-MM-dd'),
+    };
+  }
+
+  const derived = dateString ? solarToLunar(new Date(`${dateString}T00:00:00`)) : null;
+  if (!derived) {
+    throw new Error('Invalid lunar date');
+  }
+
+  return { calendar, lunarDate: derived, date: dateString };
+}
+
+/**
+ * Replace the year of an ISO date with UNKNOWN_YEAR
+ *
+ * @param {string} dateString - ISO date (YYYY-MM-DD)
+ * @returns {string} Same month and day in UNKNOWN_YEAR
+ */
+function withUnknownYear(dateString) {
+  return `${UNKNOWN_YEAR}${dateString.slice(4)}`;
+}
+
+/**
+ * Validate and normalize a recurrence rule
+ *
+ * @param {Recurrence|null} recurrence - Recurrence rule
+ * @returns {Recurrence|null} Normalized recurrence, or null for fixed-date anniversaries
+ * @throws {Error} If the rule is invalid
+ */
+function normalizeRecurrence(recurrence) {
+  if (!recurrence) {
+    return null;
+  }
+
+  const { freq } = recurrence;
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(freq)) {
+    throw new Error(`Invalid recurrence frequency: ${freq}`);
+  }
+
+  const interval = Number(recurrence.interval) || 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Invalid recurrence interval');
+  }
+
+  if (freq === RECURRENCE_FREQUENCIES.WEEKLY) {
+    return { freq, interval };
+  }
+
+  const weekday = Number(recurrence.weekday);
+  const nth = Number(recurrence.nth);
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    throw new Error('Invalid recurrence weekday');
+  }
+  if (nth !== -1 && !(Number.isInteger(nth) && nth >= 1 && nth <= 5)) {
+    throw new Error('Invalid recurrence week of month');
+  }
+
+  if (freq === RECURRENCE_FREQUENCIES.MONTHLY) {
+    return { freq, interval, weekday, nth };
+  }
+
+  const month = Number(recurrence.month);
+  if (!Number.isInteger(month) || month < 1 || month > 12) {
+    throw new Error('Invalid recurrence month');
+  }
+
+  return { freq, interval, month, weekday, nth };
+}
+
+/**
+ * Normalize a reminder timing into a ReminderTiming object
+ *
+ * Plain numbers (the original format) are days before the anniversary.
+ *
+ * @param {number|ReminderTiming} timing - Stored timing
+ * @returns {ReminderTiming|null} Normalized timing, or null if invalid
+ */
+export function normalizeReminderTiming(timing) {
+  const { amount, unit = REMINDER_UNITS.DAYS, timeOfDay = null } =
+    typeof timing === 'number' ? { amount: timing } : timing || {};
+
+  if (!Object.values(REMINDER_UNITS).includes(unit) || !Number.isInteger(amount) || amount < 0) {
+    return null;
+  }
+
+  const days = unit === REMINDER_UNITS.HOURS ? amount / 24 : amount * (unit === REMINDER_UNITS.WEEKS ? 7 : 1);
+  if (days > MAX_REMINDER_DAYS) {
+    return null;
+  }
+
+  if (unit === REMINDER_UNITS.HOURS) {
+    return { amount, unit, timeOfDay: null };
+  }
+
+  if (timeOfDay !== null && !(typeof timeOfDay === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay))) {
+    return null;
+  }
+
+  return { amount, unit, timeOfDay };
+}
+
+/**
+ * Validate, de-duplicate and sort a list of reminder timings
+ *
+ * Day offsets without their own time of day are stored as plain numbers so
+ * existing data keeps its shape. Sorted from the closest offset to the
+ * furthest.
+ *
+ * @param {Array<number|ReminderTiming>} timings - Reminder timings
+ * @returns {Array<number|ReminderTiming>} Normalized timings
+ * @throws {Error} If a timing is invalid
+ */
+export function normalizeReminderTimings(timings) {
+  if (!Array.isArray(timings)) {
+    throw new Error('Invalid reminder timings');
+  }
+
+  const unitMinutes = { [REMINDER_UNITS.HOURS]: 60, [REMINDER_UNITS.DAYS]: 1440, [REMINDER_UNITS.WEEKS]: 10080 };
+  const byKey = new Map();
+
+  timings.forEach((timing) => {
+    const normalized = normalizeReminderTiming(timing);
+    if (!normalized) {
+      throw new Error(`Invalid reminder: ${formatReminderTiming(timing) || JSON.stringify(timing)}`);
+    }
+    byKey.set(JSON.stringify(normalized), normalized);
+  });
+
+  return [...byKey.values()]
+    .sort((a, b) =>
+      a.amount * unitMinutes[a.unit] - b.amount * unitMinutes[b.unit] ||
+      String(a.timeOfDay).localeCompare(String(b.timeOfDay))
+    )
+    .map((timing) =>
+      timing.unit === REMINDER_UNITS.DAYS && !timing.timeOfDay ? timing.amount : timing
+    );
+}
+
+/**
+ * Describe a reminder timing (e.g. "3 weeks before at 18:00")
+ *
+ * @param {number|ReminderTiming} timing - Reminder timing
+ * @returns {string} Description, or '' if the timing is invalid
+ */
+export function formatReminderTiming(timing) {
+  const normalized = normalizeReminderTiming(timing);
+  if (!normalized) {
+    return '';
+  }
+
+  const { amount, unit, timeOfDay } = normalized;
+  const at = timeOfDay ? ` at ${timeOfDay}` : '';
+
+  if (amount === 0) {
+    return unit === REMINDER_UNITS.HOURS ? 'At the reminder time' : `On the day${at}`;
+  }
+
+  return `${amount} ${amount === 1 ? unit.slice(0, -1) : unit} before${at}`;
+}
+
+/**
+ * Validate and de-duplicate the channels an anniversary reminds through
+ *
+ * @param {string[]|null} [channels] - Channel IDs, or null for the default channels
+ * @returns {string[]|null} Unique channel IDs, or null
+ * @throws {Error} If channels is neither null nor a list of channel IDs
+ */
+export function normalizeReminderChannels(channels) {
+  if (channels === null || channels === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(channels) || channels.some((channel) => typeof channel !== 'string' || !channel)) {
+    throw new Error('Invalid reminder channels');
+  }
+
+  return [...new Set(channels)];
+}
+
 /**
  * Factory function to create a new Anniversary object with defaults
  *
  * @param {Object} data - Anniversary data
  * @param {string} data.title - Title of the anniversary (required)
- * @param {string|Date} data.date - Date of the anniversary (required)
+ * @param {string|Date} data.date - Date of the anniversary (required unless a lunar date is given)
+ * @param {string} [data.calendar] - Calendar type (defaults to 'solar')
+ * @param {LunarDate} [data.lunarDate] - Lunar date (used when calendar is 'lunar')
  * @param {string} [data.description] - Optional description
- * @param {string} [data.category] - Category (defaults to 'other')
+ * @param {string} [data.category] - Category id (defaults to 'other')
+ * @param {string[]} [data.tags] - Free-form tags
+ * @param {Recurrence} [data.recurrence] - Rule-based recurrence (solar calendar only)
+ * @param {string} [data.leapDayPolicy] - Leap-day policy for Feb 29 dates (defaults to 'feb28')
+ * @param {string} [data.countMode] - Day counting mode (defaults to 'countdown')
  * @param {ReminderSettings} [data.reminderSettings] - Custom reminder settings
+ * @param {MilestoneSettings} [data.milestoneSettings] - Custom milestone settings
+ * @param {Category[]} [categories] - Category registry to validate against
  * @returns {Anniversary} New anniversary object
  * @throws {Error} If required fields are missing or invalid
  */
-export function createAnniversary(data) {
+export function createAnniversary(data, categories = DEFAULT_CATEGORIES) {
   // Validate required fields
   if (!data.title || typeof data.title !== 'string' || data.title.trim() === '') {
     throw new Error('Anniversary title is required');
   }
 
-  if (!data.date) {
+  const calendar = data.calendar || CALENDAR_TYPES.SOLAR;
+  const hasLunarDate = calendar === CALENDAR_TYPES.LUNAR && data.lunarDate;
+
+  if (!data.date && !hasLunarDate) {
     throw new Error('Anniversary date is required');
   }
 
   // Convert date to ISO string if it's a Date object
-  let dateString;
+  let dateString = null;
   if (data.date instanceof Date) {
     dateString = data.date.toISOString().split('T')[0];
   } else if (typeof data.date === 'string') {
     dateString = data.date;
-  } else {
+  } else if (data.date) {
     throw new Error('Invalid date format');
   }
 
+  const calendarFields = resolveCalendarFields(calendar, data.lunarDate || null, dateString);
+
+  const recurrence = normalizeRecurrence(data.recurrence);
+  if (recurrence && calendar !== CALENDAR_TYPES.SOLAR) {
+    throw new Error('Recurrence rules are only supported for Gregorian dates');
+  }
+
   // Validate category
   const category = data.category || ANNIVERSARY_CATEGORIES.OTHER;
-  if (!Object.values(ANNIVERSARY_CATEGORIES).includes(category)) {
+  if (!hasCategory(categories, category)) {
     throw new Error(`Invalid category: ${category}`);
   }
 
+  const tags = normalizeTags(data.tags);
+
+  // Validate leap-day policy
+  const leapDayPolicy = data.leapDayPolicy || LEAP_DAY_POLICIES.FEB_28;
+  if (!Object.values(LEAP_DAY_POLICIES).includes(leapDayPolicy)) {
+    throw new Error(`Invalid leap day policy: ${leapDayPolicy}`);
+  }
+
+  // Validate count mode
+  let countMode = data.countMode || COUNT_MODES.COUNTDOWN;
+  if (!Object.values(COUNT_MODES).includes(countMode)) {
+    throw new Error(`Invalid count mode: ${countMode}`);
+  }
+
+  // Without a year there is nothing to count up from
+  const yearUnknown =
+    Boolean(data.yearUnknown) && calendarFields.calendar === CALENDAR_TYPES.SOLAR && !recurrence;
+  if (yearUnknown) {
+    countMode = COUNT_MODES.COUNTDOWN;
+  }
+
   const now = new Date().toISOString();
 
   return {
     id: uuidv4(),
     title: data.title.trim(),
-    date: dateString,
+    date: yearUnknown ? withUnknownYear(calendarFields.date) : calendarFields.date,
+    yearUnknown,
+    calendar: calendarFields.calendar,
+    lunarDate: calendarFields.lunarDate,
+    recurrence,
+    leapDayPolicy,
     description: data.description ? data.description.trim() : '',
     category,
+    tags,
+    countMode,
     reminderSettings: data.reminderSettings
-      ? { ...DEFAULT_REMINDER_SETTINGS, ...data.reminderSettings }
+      ? {
+        ...DEFAULT_REMINDER_SETTINGS,
+        ...data.reminderSettings,
+        timings: normalizeReminderTimings(data.reminderSettings.timings || DEFAULT_REMINDER_SETTINGS.timings),
+        channels: normalizeReminderChannels(data.reminderSettings.channels),
+      }
       : { ...DEFAULT_REMINDER_SETTINGS },
+    milestoneSettings: data.milestoneSettings
+      ? { ...DEFAULT_MILESTONE_SETTINGS, ...data.milestoneSettings }
+      : { ...DEFAULT_MILESTONE_SETTINGS },
     createdAt: now,
     updatedAt: now,
   };
@@ -118,9 +680,10 @@ export function createAnniversary(data) {
  *
  * @param {Anniversary} anniversary - Existing anniversary object
  * @param {Object} updates - Fields to update
+ * @param {Category[]} [categories] - Category registry to validate against
  * @returns {Anniversary} Updated anniversary object
  */
-export function updateAnniversary(anniversary, updates) {
+export function updateAnniversary(anniversary, updates, categories = DEFAULT_CATEGORIES) {
   const updated = {
     ...anniversary,
     ...updates,
@@ -138,11 +701,70 @@ export function updateAnniversary(anniversary, updates) {
     }
   }
 
+  // Re-resolve calendar fields if the calendar or either date changed
+  if (updates.calendar || updates.lunarDate || updates.date) {
+    const calendarFields = resolveCalendarFields(
+      updated.calendar || CALENDAR_TYPES.SOLAR,
+      updates.lunarDate || (updates.date ? null : updated.lunarDate),
+      updated.date
+    );
+    Object.assign(updated, calendarFields);
+  }
+
+  // Validate if recurrence is being updated
+  if (updates.recurrence !== undefined) {
+    updated.recurrence = normalizeRecurrence(updates.recurrence);
+  }
+  if (updated.recurrence && updated.calendar === CALENDAR_TYPES.LUNAR) {
+    throw new Error('Recurrence rules are only supported for Gregorian dates');
+  }
+
   // Validate if category is being updated
-  if (updates.category && !Object.values(ANNIVERSARY_CATEGORIES).includes(updates.category)) {
+  if (updates.category && !hasCategory(categories, updates.category)) {
     throw new Error(`Invalid category: ${updates.category}`);
   }
 
+  // Validate reminder timings if they are being updated
+  if (updates.reminderSettings && updates.reminderSettings.timings) {
+    updated.reminderSettings = {
+      ...updated.reminderSettings,
+      timings: normalizeReminderTimings(updates.reminderSettings.timings),
+    };
+  }
+
+  // Validate reminder channels if they are being updated
+  if (updates.reminderSettings && updates.reminderSettings.channels !== undefined) {
+    updated.reminderSettings = {
+      ...updated.reminderSettings,
+      channels: normalizeReminderChannels(updates.reminderSettings.channels),
+    };
+  }
+
+  // Normalize tags if they are being updated
+  if (updates.tags !== undefined) {
+    updated.tags = normalizeTags(updates.tags);
+  }
+
+  // Validate if leap-day policy is being updated
+  if (updates.leapDayPolicy && !Object.values(LEAP_DAY_POLICIES).includes(updates.leapDayPolicy)) {
+    throw new Error(`Invalid leap day policy: ${updates.leapDayPolicy}`);
+  }
+
+  // Validate if count mode is being updated
+  if (updates.countMode && !Object.values(COUNT_MODES).includes(updates.countMode)) {
+    throw new Error(`Invalid count mode: ${updates.countMode}`);
+  }
+
+  // A year can only be unknown for plain Gregorian dates
+  if (updated.yearUnknown) {
+    if (updated.calendar === CALENDAR_TYPES.LUNAR || updated.recurrence) {
+      updated.yearUnknown = false;
+    } else {
+      updated.date = withUnknownYear(updated.date);
+      updated.countMode = COUNT_MODES.COUNTDOWN;
+    }
+  }
+
   return updated;
 }
 
@@ -150,10 +772,11 @@ export function updateAnniversary(anniversary, updates) {
  * Validates an anniversary object
  *
  * @param {Anniversary} anniversary - Anniversary to validate
+ * @param {Category[]} [categories] - Category registry to validate against
  * @returns {boolean} True if valid
  * @throws {Error} If validation fails
  */
-export function validateAnniversary(anniversary) {
+export function validateAnniversary(anniversary, categories = DEFAULT_CATEGORIES) {
   if (!anniversary.id || typeof anniversary.id !== 'string') {
     throw new Error('Invalid anniversary: missing or invalid id');
   }
@@ -166,14 +789,59 @@ export function validateAnniversary(anniversary) {
     throw new Error('Invalid anniversary: missing or invalid date');
   }
 
-  if (!Object.values(ANNIVERSARY_CATEGORIES).includes(anniversary.category)) {
+  if (!hasCategory(categories, anniversary.category)) {
     throw new Error('Invalid anniversary: invalid category');
   }
 
+  if (
+    anniversary.tags !== undefined &&
+    (!Array.isArray(anniversary.tags) || anniversary.tags.some((tag) => typeof tag !== 'string'))
+  ) {
+    throw new Error('Invalid anniversary: invalid tags');
+  }
+
   if (!anniversary.reminderSettings || typeof anniversary.reminderSettings !== 'object') {
     throw new Error('Invalid anniversary: missing or invalid reminderSettings');
   }
 
+  // Calendar is optional for data saved before lunar support was added
+  if (anniversary.calendar && !Object.values(CALENDAR_TYPES).includes(anniversary.calendar)) {
+    throw new Error('Invalid anniversary: invalid calendar');
+  }
+
+  if (
+    anniversary.calendar === CALENDAR_TYPES.LUNAR &&
+    (!anniversary.lunarDate ||
+      typeof anniversary.lunarDate.month !== 'number' ||
+      typeof anniversary.lunarDate.day !== 'number')
+  ) {
+    throw new Error('Invalid anniversary: missing or invalid lunarDate');
+  }
+
+  if (anniversary.recurrence) {
+    try {
+      normalizeRecurrence(anniversary.recurrence);
+    } catch (error) {
+      throw new Error(`Invalid anniversary: ${error.message}`);
+    }
+  }
+
+  if (anniversary.leapDayPolicy && !Object.values(LEAP_DAY_POLICIES).includes(anniversary.leapDayPolicy)) {
+    throw new Error('Invalid anniversary: invalid leapDayPolicy');
+  }
+
+  if (anniversary.countMode && !Object.values(COUNT_MODES).includes(anniversary.countMode)) {
+    throw new Error('Invalid anniversary: invalid countMode');
+  }
+
+  if (
+    anniversary.milestoneSettings &&
+    (typeof anniversary.milestoneSettings !== 'object' ||
+      !Array.isArray(anniversary.milestoneSettings.days))
+  ) {
+    throw new Error('Invalid anniversary: invalid milestoneSettings');
+  }
+
   return true;
 }
 
@@ -181,6 +849,26 @@ export default {
   createAnniversary,
   updateAnniversary,
   validateAnniversary,
+  createCategory,
+  validateCategory,
+  findCategory,
+  matchCategory,
+  formatCategoryLabel,
+  normalizeTags,
+  normalizeReminderTiming,
+  normalizeReminderTimings,
+  formatReminderTiming,
+  normalizeReminderChannels,
   ANNIVERSARY_CATEGORIES,
+  DEFAULT_CATEGORIES,
   REMINDER_CYCLES,
+  REMINDER_UNITS,
+  CALENDAR_TYPES,
+  RECURRENCE_FREQUENCIES,
+  LEAP_DAY_POLICIES,
+  COUNT_MODES,
+  DEFAULT_MILESTONES,
+  UNKNOWN_YEAR,
+  DEFAULT_REMINDER_SETTINGS,
+  DEFAULT_MILESTONE_SETTINGS,
 };
@@ -0,0 +1,254 @@
+/**
+ * CryptoService - Password-based encryption for backup files
+ *
+ * Uses the Web Crypto API: a 512-bit key is derived from the password with
+ * PBKDF2-SHA-256. The first half is the AES-GCM key; the SHA-256 hash of the
+ * second half is stored as a password check, so a wrong password can be told
+ * apart from a damaged or modified file. The envelope header is bound to the
+ * ciphertext as AES-GCM additional data, so changing any parameter is
+ * detected as tampering.
+ */
+
+/**
+ * Envelope format identifier
+ */
+export const ENCRYPTED_FORMAT = 'anniversary-app-encrypted-backup';
+
+/**
+ * Envelope version written by this build
+ */
+export const ENCRYPTED_FORMAT_VERSION = 1;
+
+/**
+ * PBKDF2 iteration count for new backups (OWASP 2023 recommendation for SHA-256)
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Minimum accepted iteration count, so a tampered header cannot weaken the key
+ */
+const MIN_PBKDF2_ITERATIONS = 100000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Minimum password length for new backups
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Check whether Web Crypto is available (it requires a secure context)
+ *
+ * @returns {boolean} True if encryption can be used
+ */
+export function isCryptoAvailable() {
+  return typeof crypto !== 'undefined' && !!crypto.subtle;
+}
+
+/**
+ * Encode bytes as base64
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - Bytes
+ * @returns {string} Base64 text
+ */
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ *
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} If the text is not valid base64
+ */
+function fromBase64(text) {
+  try {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+  } catch {
+    throw new Error('Backup file is damaged (invalid encoding)');
+  }
+}
+
+/**
+ * Derive the encryption key and password check from a password
+ *
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<{key: CryptoKey, check: string}>} AES-GCM key and base64 password check
+ */
+async function deriveKeys(password, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      material,
+      512
+    )
+  );
+
+  const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, [
+    'encrypt',
+    'decrypt',
+  ]);
+  const check = toBase64(await crypto.subtle.digest('SHA-256', bits.slice(32)));
+
+  return { key, check };
+}
+
+/**
+ * Serialize the envelope header used as AES-GCM additional data
+ *
+ * @param {Object} envelope - Envelope without its data field
+ * @returns {Uint8Array} Header bytes
+ */
+function headerBytes(envelope) {
+  const { format, version, kdf, cipher, check } = envelope;
+  return new TextEncoder().encode(JSON.stringify({ format, version, kdf, cipher, check }));
+}
+
+/**
+ * Compare two strings without exiting early on the first difference
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function safeEqual(a, b) {
+  if (a.length !== b.length) {
+    return false;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Encrypt a JSON-serializable value with a password
+ *
+ * @param {*} value - Value to encrypt
+ * @param {string} password - Password
+ * @returns {Promise<Object>} Encrypted envelope (JSON-serializable)
+ * @throws {Error} If Web Crypto is unavailable or the password is too short
+ */
+export async function encryptJSON(value, password) {
+  if (!isCryptoAvailable()) {
+    throw new Error('Encryption is not available in this browser (a secure https:// page is required)');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const { key, check } = await deriveKeys(password, salt, PBKDF2_ITERATIONS);
+
+  const envelope = {
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_FORMAT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    check,
+  };
+
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerBytes(envelope) },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+
+  return { ...envelope, data: toBase64(ciphertext) };
+}
+
+/**
+ * Check whether a parsed value looks like an encrypted envelope
+ *
+ * @param {*} value - Parsed JSON
+ * @returns {boolean} True if it carries the encrypted backup format marker
+ */
+export function isEncryptedEnvelope(value) {
+  return !!value && typeof value === 'object' && value.format === ENCRYPTED_FORMAT;
+}
+
+/**
+ * Decrypt an envelope produced by encryptJSON
+ *
+ * @param {Object} envelope - Encrypted envelope
+ * @param {string} password - Password
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} If the password is wrong, or the file is damaged, modified or unsupported
+ */
+export async function decryptJSON(envelope, password) {
+  if (!isCryptoAvailable()) {
+    throw new Error('Encryption is not available in this browser (a secure https:// page is required)');
+  }
+  if (!isEncryptedEnvelope(envelope)) {
+    throw new Error('Not an encrypted backup file');
+  }
+  if (envelope.version !== ENCRYPTED_FORMAT_VERSION) {
+    throw new Error(`Unsupported encrypted backup version: ${envelope.version}`);
+  }
+
+  const { kdf, cipher, check, data } = envelope;
+  if (
+    !kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+    !Number.isInteger(kdf.iterations) || kdf.iterations < MIN_PBKDF2_ITERATIONS ||
+    !cipher || cipher.name !== 'AES-GCM' ||
+    typeof kdf.salt !== 'string' || typeof cipher.iv !== 'string' ||
+    typeof check !== 'string' || typeof data !== 'string'
+  ) {
+    throw new Error('Backup file is damaged (invalid header)');
+  }
+
+  const { key, check: expectedCheck } = await deriveKeys(
+    password,
+    fromBase64(kdf.salt),
+    kdf.iterations
+  );
+
+  if (!safeEqual(check, expectedCheck)) {
+    throw new Error('Wrong password');
+  }
+
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(cipher.iv), additionalData: headerBytes(envelope) },
+      key,
+      fromBase64(data)
+    );
+  } catch {
+    // The password is right, so the authentication tag does not match the data
+    throw new Error('Backup file has been modified or is damaged');
+  }
+
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export default {
+  ENCRYPTED_FORMAT,
+  ENCRYPTED_FORMAT_VERSION,
+  MIN_PASSWORD_LENGTH,
+  isCryptoAvailable,
+  isEncryptedEnvelope,
+  encryptJSON,
+  decryptJSON,
+};
@@ -0,0 +1,348 @@
+import { format, isValid, parse } from 'date-fns';
+import {
+  createAnniversary,
+  findCategory,
+  matchCategory,
+  formatReminderTiming,
+  ANNIVERSARY_CATEGORIES,
+} from '../models/Anniversary';
+
+/**
+ * CsvService - CSV serialization for anniversaries
+ *
+ * Exports anniversaries with their reminder settings flattened into columns,
+ * and imports spreadsheet rows through a user-chosen column mapping.
+ */
+
+/**
+ * Export columns, in order
+ *
+ * Each column reads one value from an anniversary; list values are joined
+ * with ";" so they stay in a single cell.
+ */
+export const CSV_COLUMNS = [
+  { key: 'id', get: (a) => a.id },
+  { key: 'title', get: (a) => a.title },
+  { key: 'date', get: (a) => a.date },
+  { key: 'yearUnknown', get: (a) => Boolean(a.yearUnknown) },
+  { key: 'calendar', get: (a) => a.calendar || 'solar' },
+  { key: 'lunarMonth', get: (a) => (a.lunarDate ? a.lunarDate.month : '') },
+  { key: 'lunarDay', get: (a) => (a.lunarDate ? a.lunarDate.day : '') },
+  { key: 'lunarLeapMonth', get: (a) => (a.lunarDate ? a.lunarDate.isLeap : '') },
+  { key: 'category', get: (a, categories) => findCategory(categories, a.category).label },
+  { key: 'tags', get: (a) => (a.tags || []).join(';') },
+  { key: 'description', get: (a) => a.description || '' },
+  { key: 'countMode', get: (a) => a.countMode || '' },
+  { key: 'leapDayPolicy', get: (a) => a.leapDayPolicy || '' },
+  { key: 'reminderEnabled', get: (a) => Boolean(a.reminderSettings && a.reminderSettings.enabled) },
+  {
+    key: 'reminderTimings',
+    // Days before stay plain numbers; other offsets are written out (e.g. "2 hours before")
+    get: (a) => ((a.reminderSettings && a.reminderSettings.timings) || [])
+      .map((timing) => (typeof timing === 'number' ? timing : formatReminderTiming(timing)))
+      .join(';'),
+  },
+  { key: 'reminderTimeOfDay', get: (a) => (a.reminderSettings && a.reminderSettings.timeOfDay) || '' },
+  { key: 'reminderCycle', get: (a) => (a.reminderSettings && a.reminderSettings.cycle) || '' },
+  { key: 'reminderCustomMonths', get: (a) => (a.reminderSettings && a.reminderSettings.customMonths) || '' },
+  { key: 'createdAt', get: (a) => a.createdAt || '' },
+  { key: 'updatedAt', get: (a) => a.updatedAt || '' },
+];
+
+/**
+ * Fields that can be mapped from CSV columns on import
+ */
+export const CSV_IMPORT_FIELDS = [
+  { key: 'title', label: '标题 (Title)', required: true, aliases: ['name', 'event', 'summary'] },
+  { key: 'date', label: '日期 (Date)', required: true, aliases: ['start date', 'hire date', 'birthday'] },
+  { key: 'yearUnknown', label: '年份未知 (Year unknown)', required: false, aliases: ['yearunknown', 'year unknown', 'no year'] },
+  { key: 'category', label: '分类 (Category)', required: false, aliases: ['type', 'kind'] },
+  { key: 'description', label: '描述 (Description)', required: false, aliases: ['notes', 'note', 'details'] },
+];
+
+/**
+ * Supported date formats for import (date-fns parse patterns)
+ */
+export const CSV_DATE_FORMATS = [
+  { id: 'yyyy-M-d', label: 'YYYY-MM-DD' },
+  { id: 'M/d/yyyy', label: 'MM/DD/YYYY' },
+  { id: 'd/M/yyyy', label: 'DD/MM/YYYY' },
+  { id: 'd.M.yyyy', label: 'DD.MM.YYYY' },
+  { id: 'yyyy/M/d', label: 'YYYY/MM/DD' },
+];
+
+/**
+ * Earliest year accepted on import; earlier years are almost always a
+ * two-digit year read literally (e.g. "1/2/90" as the year 90)
+ */
+const MIN_IMPORT_YEAR = 1900;
+
+/**
+ * Cell values read as "yes" in flag columns
+ */
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+
+/**
+ * Quote a cell if it contains a delimiter, quote or line break
+ *
+ * Text starting with =, +, - or @ is prefixed with an apostrophe so
+ * spreadsheets do not evaluate it as a formula; mapRows removes it again.
+ * Text that already starts with apostrophes before one of those characters
+ * gets one more, so it survives the round trip unchanged.
+ *
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (typeof value === 'string' && /^'*[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from anniversaries
+ *
+ * @param {Anniversary[]} anniversaries - Anniversaries to export
+ * @param {Category[]} categories - Category registry
+ * @returns {string} CSV text with a header row (CRLF line endings)
+ */
+export function buildCSV(anniversaries, categories) {
+  const header = CSV_COLUMNS.map((column) => column.key);
+  const rows = anniversaries.map((anniversary) =>
+    CSV_COLUMNS.map((column) => column.get(anniversary, categories))
+  );
+
+  return `${[header, ...rows].map((row) => row.map(escapeCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Guess the delimiter from the first line (comma, semicolon or tab)
+ *
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter character
+ */
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map((delimiter) => ({
+    delimiter,
+    count: firstLine.split(delimiter).length - 1,
+  }));
+
+  const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+
+  return best.count > 0 ? best.delimiter : ',';
+}
+
+/**
+ * Parse CSV text into rows of cells
+ *
+ * Handles quoted cells with embedded delimiters, quotes and line breaks.
+ * Blank lines are dropped.
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+export function parseCSV(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Guess a column mapping from header names
+ *
+ * @param {string[]} header - Header row
+ * @returns {Object} Field key mapped to column index (-1 when not found)
+ */
+export function guessColumnMapping(header) {
+  const names = header.map((name) => name.trim().toLowerCase());
+
+  return CSV_IMPORT_FIELDS.reduce((mapping, field) => {
+    const candidates = [field.key, ...field.aliases];
+    mapping[field.key] = names.findIndex((name) => candidates.includes(name));
+    return mapping;
+  }, {});
+}
+
+/**
+ * Parse a date cell with the chosen format
+ *
+ * @param {string} value - Cell value
+ * @param {string} dateFormat - date-fns parse pattern from CSV_DATE_FORMATS
+ * @param {boolean} [yearUnknown] - Whether the year is a placeholder, which may be before 1900
+ * @returns {string} ISO date (YYYY-MM-DD)
+ * @throws {Error} If the value does not match the format or its year is before 1900
+ */
+export function parseDateCell(value, dateFormat, yearUnknown = false) {
+  const text = value.trim();
+  const date = parse(text, dateFormat, new Date());
+
+  if (!text || !isValid(date)) {
+    const label = (CSV_DATE_FORMATS.find((f) => f.id === dateFormat) || {}).label || dateFormat;
+    throw new Error(`Date "${text}" does not match ${label}`);
+  }
+
+  if (!yearUnknown && date.getFullYear() < MIN_IMPORT_YEAR) {
+    throw new Error(`Date "${text}" has year ${date.getFullYear()}; write the year with four digits`);
+  }
+
+  return format(date, 'yyyy-MM-dd');
+}
+
+/**
+ * Guess the date format from sample values
+ *
+ * A few malformed cells should not decide the format, so the one accepting
+ * the most samples wins; ties go to the format listed first.
+ *
+ * @param {string[]} values - Sample date cells
+ * @returns {string} Format in CSV_DATE_FORMATS that parses the most samples
+ */
+export function guessDateFormat(values) {
+  const samples = values.map((value) => value.trim()).filter(Boolean);
+  const parses = (value, dateFormat) => {
+    try {
+      parseDateCell(value, dateFormat);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  const best = CSV_DATE_FORMATS
+    .map((dateFormat) => ({
+      id: dateFormat.id,
+      count: samples.filter((value) => parses(value, dateFormat.id)).length,
+    }))
+    .reduce((a, b) => (b.count > a.count ? b : a));
+
+  return best.id;
+}
+
+/**
+ * A CSV row that could not be imported, or was imported with a change
+ *
+ * @typedef {Object} CsvRowError
+ * @property {number} row - 1-based row number in the file, counting the header row
+ * @property {string} message - Why the row was rejected or what was changed
+ */
+
+/**
+ * Convert CSV rows into anniversaries using a column mapping
+ *
+ * Every row goes through createAnniversary, so it is validated the same way
+ * as anniversaries created in the form. A category that matches no registry
+ * entry falls back to "Other" and is reported as a warning.
+ *
+ * @param {string[][]} rows - Parsed rows
+ * @param {Object} mapping - Field key mapped to column index (-1 = not mapped)
+ * @param {Object} options - Import options
+ * @param {boolean} options.hasHeader - Whether the first row is a header
+ * @param {string} options.dateFormat - date-fns parse pattern from CSV_DATE_FORMATS
+ * @param {Category[]} options.categories - Category registry
+ * @returns {{anniversaries: Anniversary[], errors: CsvRowError[], warnings: CsvRowError[]}}
+ *   Converted rows, rejected rows and rows imported with a change
+ * @throws {Error} If a required field is not mapped
+ */
+export function mapRows(rows, mapping, { hasHeader, dateFormat, categories }) {
+  CSV_IMPORT_FIELDS.filter((field) => field.required).forEach((field) => {
+    if (!(mapping[field.key] >= 0)) {
+      throw new Error(`Choose a column for ${field.label}`);
+    }
+  });
+
+  // Drop the apostrophe escapeCell adds in front of formula characters
+  const cell = (cells, key) =>
+    mapping[key] >= 0 ? (cells[mapping[key]] || '').trim().replace(/^'(?='*[=+\-@])/, '') : '';
+  const anniversaries = [];
+  const errors = [];
+  const warnings = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach((cells, index) => {
+    const row = index + (hasHeader ? 2 : 1);
+
+    try {
+      const categoryText = cell(cells, 'category');
+      const match = categoryText ? matchCategory(categories, categoryText) : null;
+      const yearUnknown = TRUE_VALUES.includes(cell(cells, 'yearUnknown').toLowerCase());
+
+      anniversaries.push(
+        createAnniversary(
+          {
+            title: cell(cells, 'title'),
+            date: parseDateCell(cell(cells, 'date'), dateFormat, yearUnknown),
+            yearUnknown,
+            category: match ? match.id : ANNIVERSARY_CATEGORIES.OTHER,
+            description: cell(cells, 'description'),
+          },
+          categories
+        )
+      );
+
+      if (categoryText && !match) {
+        const other = findCategory(categories, ANNIVERSARY_CATEGORIES.OTHER).label;
+        warnings.push({ row, message: `Unknown category "${categoryText}", imported as "${other}"` });
+      }
+    } catch (error) {
+      errors.push({ row, message: error.message });
+    }
+  });
+
+  return { anniversaries, errors, warnings };
+}
+
+export default {
+  CSV_COLUMNS,
+  CSV_IMPORT_FIELDS,
+  CSV_DATE_FORMATS,
+  buildCSV,
+  parseCSV,
+  guessColumnMapping,
+  guessDateFormat,
+  parseDateCell,
+  mapRows,
+};
@@ -1,22 +1,170 @@
 import {
   differenceInDays,
+  differenceInCalendarMonths,
   format,
   isToday as isTodayFns,
   parseISO,
   startOfDay,
-  addYears,
   isBefore,
   isAfter,
   addMonths,
+  addDays,
+  isLeapYear,
 } from 'date-fns';
-import { REMINDER_CYCLES } from '../models/Anniversary';
+import {
+  REMINDER_CYCLES,
+  CALENDAR_TYPES,
+  RECURRENCE_FREQUENCIES,
+  LEAP_DAY_POLICIES,
+  DEFAULT_MILESTONES,
+  REMINDER_UNITS,
+  normalizeReminderTiming,
+} from '../models/Anniversary';
+import { solarToLunar, resolveLunarDate } from './LunarCalendar';
+import { getNextRecurrence, getRecurrenceInYear } from './RecurrenceService';
 
 /**
  * DateService - Date calculation and formatting utilities
  *
  * Provides date operations for anniversary tracking including countdown
  * calculations, formatting, and notification timing logic.
+ *
+ * Functions that work with recurrences accept either a plain date or a whole
+ * anniversary object; lunar anniversaries are only resolved correctly when the
+ * anniversary object is passed. The same goes for rule-based recurrences
+ * such as "second Sunday of May".
+ */
+
+/**
+ * Normalize a date or anniversary into the fields needed to find occurrences
+ *
+ * @param {string|Date|Anniversary} input - ISO date string, Date object or anniversary
+ * @returns {{date: Date, calendar: string, lunarDate: LunarDate|null, recurrence: Recurrence|null, leapDayPolicy: string}} Occurrence source
+ */
+function resolveSource(input) {
+  if (input && typeof input === 'object' && !(input instanceof Date)) {
+    const date = typeof input.date === 'string' ? parseISO(input.date) : input.date;
+    const calendar = input.calendar || CALENDAR_TYPES.SOLAR;
+    let lunarDate = null;
+
+    if (calendar === CALENDAR_TYPES.LUNAR) {
+      lunarDate = input.lunarDate && input.lunarDate.year
+        ? input.lunarDate
+        : { ...solarToLunar(date), ...input.lunarDate };
+    }
+
+    return {
+      date,
+      calendar,
+      lunarDate,
+      recurrence: input.recurrence || null,
+      leapDayPolicy: input.leapDayPolicy || LEAP_DAY_POLICIES.FEB_28,
+    };
+  }
+
+  return {
+    date: typeof input === 'string' ? parseISO(input) : input,
+    calendar: CALENDAR_TYPES.SOLAR,
+    lunarDate: null,
+    recurrence: null,
+    leapDayPolicy: LEAP_DAY_POLICIES.FEB_28,
+  };
+}
+
+/**
+ * Check if a date is February 29
+ *
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if the date is a leap day
+ */
+export function isLeapDay(date) {
+  return date.getMonth() === 1 && date.getDate() === 29;
+}
+
+/**
+ * Resolve a February 29 anniversary in a given year according to its leap-day policy
+ *
+ * @param {number} year - Full year
+ * @param {string} policy - Leap-day policy
+ * @returns {Date|null} Feb 29 in leap years; Feb 28, Mar 1 or null otherwise
+ */
+function resolveLeapDay(year, policy) {
+  if (isLeapYear(new Date(year, 0, 1))) {
+    return new Date(year, 1, 29);
+  }
+
+  switch (policy) {
+    case LEAP_DAY_POLICIES.MAR_1:
+      return new Date(year, 2, 1);
+    case LEAP_DAY_POLICIES.LEAP_YEARS_ONLY:
+      return null;
+    default:
+      return new Date(year, 1, 28);
+  }
+}
+
+/**
+ * Get the year an occurrence is counted in (lunar year for lunar anniversaries)
+ *
+ * @param {Object} source - Occurrence source from resolveSource
+ * @param {Date} date - Gregorian date
+ * @returns {number} Gregorian or lunar year containing the date
  */
+function getCycleYear(source, date) {
+  if (source.calendar === CALENDAR_TYPES.LUNAR) {
+    const lunar = solarToLunar(date);
+    return lunar ? lunar.year : date.getFullYear();
+  }
+  return date.getFullYear();
+}
+
+/**
+ * Get the Gregorian date an anniversary falls on in a given (Gregorian or lunar) year
+ *
+ * @param {Object} source - Occurrence source from resolveSource
+ * @param {number} year - Year to resolve in
+ * @returns {Date|null} Occurrence date, or null if it cannot be resolved
+ */
+function getOccurrenceInYear(source, year) {
+  if (source.calendar === CALENDAR_TYPES.LUNAR) {
+    return resolveLunarDate(year, source.lunarDate);
+  }
+
+  if (source.recurrence && source.recurrence.freq === RECURRENCE_FREQUENCIES.YEARLY) {
+    return getRecurrenceInYear(source.recurrence, year);
+  }
+
+  if (isLeapDay(source.date)) {
+    return resolveLeapDay(year, source.leapDayPolicy);
+  }
+
+  return startOfDay(new Date(year, source.date.getMonth(), source.date.getDate()));
+}
+
+/**
+ * Find the first occurrence on or after a given day
+ *
+ * @param {Object} source - Occurrence source from resolveSource
+ * @param {Date} today - Start of the current day
+ * @returns {Date|null} Next occurrence date
+ */
+function findNextOccurrence(source, today) {
+  if (source.recurrence) {
+    return getNextRecurrence(source.recurrence, source.date, today);
+  }
+
+  const currentYear = getCycleYear(source, today);
+
+  // Leap-day anniversaries observed only in leap years can be up to 8 years away
+  for (let year = currentYear; year <= currentYear + 8; year++) {
+    const occurrence = getOccurrenceInYear(source, year);
+    if (occurrence && !isBefore(occurrence, today)) {
+      return occurrence;
+    }
+  }
+
+  return null;
+}
 
 /**
  * Calculate days until the next occurrence of an anniversary
@@ -24,29 +172,16 @@ import { REMINDER_CYCLES } from '../models/Anniversary';
  * Takes the anniversary date and calculates how many days until its next occurrence.
  * If the date has passed this year, calculates for next year.
  *
- * @param {string|Date} date - ISO date string or Date object
+ * @param {string|Date|Anniversary} date - ISO date string, Date object or anniversary
  * @returns {number} Number of days until anniversary (0 if today, negative if in the past)
  */
 export function calculateDaysUntil(date) {
   try {
     const today = startOfDay(new Date());
-    const targetDate = typeof date === 'string' ? parseISO(date) : date;
+    const nextAnniversary = findNextOccurrence(resolveSource(date), today);
 
-    // Get the anniversary date for this year
-    const thisYear = new Date().getFullYear();
-    let anniversaryThisYear = new Date(
-      thisYear,
-      targetDate.getMonth(),
-      targetDate.getDate()
-    );
-    anniversaryThisYear = startOfDay(anniversaryThisYear);
-
-    // If the anniversary has already passed this year, use next year's date
-    let nextAnniversary;
-    if (isBefore(anniversaryThisYear, today)) {
-      nextAnniversary = addYears(anniversaryThisYear, 1);
-    } else {
-      nextAnniversary = anniversaryThisYear;
+    if (!nextAnniversary) {
+      return 0;
     }
 
     const days = differenceInDays(nextAnniversary, today);
@@ -77,14 +212,55 @@ export function formatCountdown(days) {
   }
 }
 
+/**
+ * Calculate days elapsed since the original anniversary date
+ *
+ * @param {string|Date|Anniversary} date - Original anniversary date or anniversary
+ * @returns {number} Number of days since the date (0 on the day itself, negative if it is still ahead)
+ */
+export function calculateDaysSince(date) {
+  try {
+    const { date: originDate } = resolveSource(date);
+    return differenceInDays(startOfDay(new Date()), startOfDay(originDate));
+  } catch (error) {
+    console.error('Error calculating days since anniversary:', error);
+    return 0;
+  }
+}
+
+/**
+ * Format days since the original date as human-readable string
+ *
+ * @param {number} days - Number of days since the original date
+ * @returns {string} Formatted count-up string
+ */
+export function formatDaysSince(days) {
+  if (days === 0) {
+    return 'Day one';
+  } else if (days === 1) {
+    return '1 day';
+  } else if (days === -1) {
+    return 'Starts in 1 day';
+  } else if (days < 0) {
+    return `Starts in ${Math.abs(days).toLocaleString()} days`;
+  } else {
+    return `${days.toLocaleString()} days`;
+  }
+}
+
 /**
  * Check if a date is today
  *
- * @param {string|Date} date - ISO date string or Date object
+ * When given an anniversary, checks whether its next occurrence is today.
+ *
+ * @param {string|Date|Anniversary} date - ISO date string, Date object or anniversary
  * @returns {boolean} True if date is today
  */
 export function isToday(date) {
   try {
+    if (date && typeof date === 'object' && !(date instanceof Date)) {
+      return calculateDaysUntil(date) === 0;
+    }
     const targetDate = typeof date === 'string' ? parseISO(date) : date;
     return isTodayFns(targetDate);
   } catch (error) {
@@ -96,7 +272,7 @@ export function isToday(date) {
 /**
  * Check if anniversary is approaching within threshold days
  *
- * @param {string|Date} date - ISO date string or Date object
+ * @param {string|Date|Anniversary} date - ISO date string, Date object or anniversary
  * @param {number} threshold - Number of days to consider "approaching" (default: 7)
  * @returns {boolean} True if anniversary is within threshold days
  */
@@ -122,7 +298,14 @@ export function isApproaching(date, threshold = 7) {
  * @param {Date} [now] - Current date/time (defaults to now)
  * @returns {boolean} True if notification should be triggered
  */
-function getCycleIntervalMonths(cycle, customMonths) {
+/**
+ * Get the length of a reminder cycle in months
+ *
+ * @param {string} cycle - Reminder cycle (REMINDER_CYCLES)
+ * @param {number} [customMonths] - Interval for the custom cycle (clamped to 1-60)
+ * @returns {number|null} Interval in months, or null for one-time reminders
+ */
+export function getCycleIntervalMonths(cycle, customMonths) {
   switch (cycle) {
     case REMINDER_CYCLES.MONTHLY:
       return 1;
@@ -137,6 +320,50 @@ function getCycleIntervalMonths(cycle, customMonths) {
   }
 }
 
+/**
+ * Step a lunar anniversary forward in lunar months until it reaches today
+ *
+ * Leap months are skipped when stepping, so a 12-month interval always lands
+ * on the yearly lunar occurrence.
+ *
+ * @param {LunarDate} lunarDate - Original lunar date
+ * @param {number} intervalMonths - Interval in lunar months
+ * @param {Date} today - Start of the current day
+ * @returns {Date|null} Next reminder date
+ */
+function getNextLunarReminderDate(lunarDate, intervalMonths, today) {
+  const originIndex = lunarDate.year * 12 + (lunarDate.month - 1);
+  const current = solarToLunar(today);
+
+  if (!current) {
+    return null;
+  }
+
+  // Jump close to the current lunar year instead of stepping from the origin
+  let index = originIndex;
+  const floorIndex = (current.year - 1) * 12;
+  if (index < floorIndex) {
+    index += Math.floor((floorIndex - index) / intervalMonths) * intervalMonths;
+  }
+
+  for (;;) {
+    const month = (index % 12) + 1;
+    const occurrence = resolveLunarDate(Math.floor(index / 12), {
+      month,
+      day: lunarDate.day,
+      isLeap: lunarDate.isLeap && month === lunarDate.month,
+    });
+
+    if (!occurrence) {
+      return null;
+    }
+    if (!isBefore(occurrence, today)) {
+      return occurrence;
+    }
+    index += intervalMonths;
+  }
+}
+
 export function getNextReminderDate(anniversary, now = new Date()) {
   try {
     const { reminderSettings } = anniversary;
@@ -155,15 +382,27 @@ export function getNextReminderDate(anniversary, now = new Date()) {
       return null;
     }
 
-    // One-time reminders only fire on the original date
+    // One-time reminders only fire on the original date. Without a year
+    // (stored in UNKNOWN_YEAR) that is the next time the month and day come round.
     if (cycle === REMINDER_CYCLES.ONCE) {
-      const oneTimeDate = startOfDay(targetDate);
+      const oneTimeDate = anniversary.yearUnknown
+        ? findNextOccurrence(resolveSource(anniversary), today)
+        : startOfDay(targetDate);
+      if (!oneTimeDate) {
+        return null;
+      }
       if (isBefore(oneTimeDate, today)) {
         return null;
       }
       return oneTimeDate;
     }
 
+    // Rule-based recurrences define their own schedule
+    const source = resolveSource(anniversary);
+    if (source.recurrence) {
+      return findNextOccurrence(source, today);
+    }
+
     const intervalMonths = getCycleIntervalMonths(
       cycle,
       reminderSettings.customMonths
@@ -172,18 +411,99 @@ export function getNextReminderDate(anniversary, now = new Date()) {
     // Fallback to yearly if interval is invalid
     const safeInterval = intervalMonths || 12;
 
-    let nextDate = startOfDay(targetDate);
-    while (isBefore(nextDate, today)) {
-      nextDate = addMonths(nextDate, safeInterval);
+    if (source.calendar === CALENDAR_TYPES.LUNAR) {
+      return getNextLunarReminderDate(source.lunarDate, safeInterval, today);
     }
 
-    return nextDate;
+    // Step from the original date each time so a Feb 29 start is not clamped for good.
+    // Skip straight to the last interval boundary before today: old dates, and
+    // year-unknown ones stored in UNKNOWN_YEAR, would otherwise step from the origin.
+    const start = startOfDay(targetDate);
+    const elapsed = Math.floor(differenceInCalendarMonths(today, start) / safeInterval);
+    for (let step = Math.max(0, elapsed - 1); ; step++) {
+      let nextDate = addMonths(start, step * safeInterval);
+
+      if (isLeapDay(start) && nextDate.getMonth() === 1 && !isLeapDay(nextDate)) {
+        nextDate = resolveLeapDay(nextDate.getFullYear(), source.leapDayPolicy);
+      }
+
+      if (nextDate && !isBefore(nextDate, today)) {
+        return nextDate;
+      }
+    }
   } catch (error) {
     console.error('Error getting next reminder date:', error);
     return null;
   }
 }
 
+/**
+ * Resolve a reminder timing into the day and time of day it fires
+ *
+ * Day and week offsets fire at their own time of day, or the anniversary's.
+ * Hour offsets count back from the anniversary's time of day on the day
+ * itself: with a 09:00 reminder, "2 hours before" fires at 07:00 and
+ * "12 hours before" at 21:00 the day before.
+ *
+ * @param {number|ReminderTiming} timing - Reminder timing
+ * @param {string} [timeOfDay] - The anniversary's reminder time (HH:mm)
+ * @returns {{daysBefore: number, timeOfDay: string}|null} Resolved timing, or null if invalid
+ */
+export function resolveReminderTiming(timing, timeOfDay = '09:00') {
+  const normalized = normalizeReminderTiming(timing);
+  if (!normalized) {
+    return null;
+  }
+
+  if (normalized.unit !== REMINDER_UNITS.HOURS) {
+    return {
+      daysBefore: normalized.amount * (normalized.unit === REMINDER_UNITS.WEEKS ? 7 : 1),
+      timeOfDay: normalized.timeOfDay || timeOfDay,
+    };
+  }
+
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const offset = hours * 60 + minutes - normalized.amount * 60;
+  const daysBefore = Math.max(0, Math.ceil(-offset / 1440));
+  const fireMinutes = offset + daysBefore * 1440;
+
+  return {
+    daysBefore,
+    timeOfDay: `${String(Math.floor(fireMinutes / 60)).padStart(2, '0')}:${String(fireMinutes % 60).padStart(2, '0')}`,
+  };
+}
+
+/**
+ * Resolve every valid timing of a reminder configuration
+ *
+ * @param {ReminderSettings} reminderSettings - Reminder settings
+ * @returns {{daysBefore: number, timeOfDay: string}[]} Resolved timings (invalid ones are skipped)
+ */
+export function getReminderTimings(reminderSettings) {
+  const timeOfDay = reminderSettings.timeOfDay || '09:00';
+
+  return (reminderSettings.timings || [0])
+    .map((timing) => resolveReminderTiming(timing, timeOfDay))
+    .filter(Boolean);
+}
+
+/**
+ * Check if the current time matches a reminder time of day
+ *
+ * @param {string} targetTime - Reminder time (HH:mm)
+ * @param {Date} now - Current date/time
+ * @returns {boolean} True if within a 5-minute window of the reminder time
+ */
+function isReminderTime(targetTime, now) {
+  const currentTime = format(now, 'HH:mm');
+
+  // Allow a 5-minute window for notification
+  const [targetHour, targetMinute] = targetTime.split(':').map(Number);
+  const [currentHour, currentMinute] = currentTime.split(':').map(Number);
+
+  return currentHour === targetHour && Math.abs(currentMinute - targetMinute) <= 5;
+}
+
 export function shouldNotify(anniversary, now = new Date()) {
   try {
     const { reminderSettings } = anniversary;
@@ -193,18 +513,11 @@ export function shouldNotify(anniversary, now = new Date()) {
       return false;
     }
 
-    // Check if current time matches the configured time of day
-    const currentTime = format(now, 'HH:mm');
-    const targetTime = reminderSettings.timeOfDay || '09:00';
+    // Only timings whose time of day matches the current time can fire
+    const timings = getReminderTimings(reminderSettings)
+      .filter((timing) => isReminderTime(timing.timeOfDay, now));
 
-    // Allow a 5-minute window for notification
-    const [targetHour, targetMinute] = targetTime.split(':').map(Number);
-    const [currentHour, currentMinute] = currentTime.split(':').map(Number);
-
-    const timeMatches =
-      currentHour === targetHour && Math.abs(currentMinute - targetMinute) <= 5;
-
-    if (!timeMatches) {
+    if (timings.length === 0) {
       return false;
     }
 
@@ -216,15 +529,299 @@ export function shouldNotify(anniversary, now = new Date()) {
     }
 
     const daysUntil = differenceInDays(startOfDay(nextReminderDate), startOfDay(now));
-    const timings = reminderSettings.timings || [0];
 
-    return timings.includes(daysUntil);
+    return timings.some((timing) => timing.daysBefore === daysUntil);
   } catch (error) {
     console.error('Error checking if should notify:', error);
     return false;
   }
 }
 
+/**
+ * Get the milestone settings of an anniversary, falling back to defaults
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @returns {MilestoneSettings} Milestone settings
+ */
+function getMilestoneSettings(anniversary) {
+  const settings = {
+    enabled: true,
+    useGlobal: true,
+    days: [],
+    everyDays: null,
+    ...anniversary.milestoneSettings,
+  };
+
+  // Day counts need a real start date
+  return anniversary.yearUnknown ? { ...settings, enabled: false } : settings;
+}
+
+/**
+ * Get the fixed milestone day counts that apply to an anniversary
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {number[]} [globalMilestones] - Global milestone list
+ * @returns {number[]} Sorted, de-duplicated day counts (empty if milestones are disabled)
+ */
+export function getMilestoneDays(anniversary, globalMilestones = DEFAULT_MILESTONES) {
+  const settings = getMilestoneSettings(anniversary);
+  if (!settings.enabled) {
+    return [];
+  }
+
+  const days = [
+    ...(settings.useGlobal ? globalMilestones || [] : []),
+    ...(settings.days || []),
+  ]
+    .map(Number)
+    .filter((day) => Number.isInteger(day) && day > 0);
+
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Check if a day count is a milestone for an anniversary
+ *
+ * @param {number} dayCount - Days since the original date
+ * @param {number[]} milestoneDays - Fixed milestone day counts
+ * @param {number|null} everyDays - Repeating milestone interval
+ * @returns {boolean} True if the day count is a milestone
+ */
+function isMilestoneDay(dayCount, milestoneDays, everyDays) {
+  if (dayCount <= 0) {
+    return false;
+  }
+  return milestoneDays.includes(dayCount) || (everyDays > 0 && dayCount % everyDays === 0);
+}
+
+/**
+ * Get the next day-count milestone of an anniversary
+ *
+ * Milestone N falls N days after the original date, i.e. on the day the
+ * "days since" counter shows N.
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {number[]} [globalMilestones] - Global milestone list
+ * @param {Date} [now] - Current date/time (defaults to now)
+ * @returns {{days: number, date: Date, daysUntil: number}|null} Next milestone, or null if none
+ */
+export function getNextMilestone(anniversary, globalMilestones = DEFAULT_MILESTONES, now = new Date()) {
+  try {
+    const settings = getMilestoneSettings(anniversary);
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const { date: originDate } = resolveSource(anniversary);
+    const origin = startOfDay(originDate);
+    const daysSince = differenceInDays(startOfDay(now), origin);
+
+    const candidates = getMilestoneDays(anniversary, globalMilestones).filter(
+      (day) => day >= daysSince
+    );
+
+    const everyDays = Number(settings.everyDays) || 0;
+    if (everyDays > 0) {
+      candidates.push(Math.max(1, Math.ceil(daysSince / everyDays)) * everyDays);
+    }
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const days = Math.min(...candidates);
+    return {
+      days,
+      date: addDays(origin, days),
+      daysUntil: days - daysSince,
+    };
+  } catch (error) {
+    console.error('Error getting next milestone:', error);
+    return null;
+  }
+}
+
+/**
+ * Get milestones that should trigger a notification now
+ *
+ * Uses the anniversary's reminder settings: reminders must be enabled, and
+ * the milestone must be one of the configured timings away, with the current
+ * time matching that timing's time of day.
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {Date} [now] - Current date/time (defaults to now)
+ * @param {number[]} [globalMilestones] - Global milestone list
+ * @returns {{days: number, date: Date, daysUntil: number}[]} Due milestones
+ */
+export function getDueMilestones(anniversary, now = new Date(), globalMilestones = DEFAULT_MILESTONES) {
+  try {
+    const { reminderSettings } = anniversary;
+    const settings = getMilestoneSettings(anniversary);
+
+    if (!reminderSettings || !reminderSettings.enabled || !settings.enabled) {
+      return [];
+    }
+
+    const daysBefore = [...new Set(
+      getReminderTimings(reminderSettings)
+        .filter((timing) => isReminderTime(timing.timeOfDay, now))
+        .map((timing) => timing.daysBefore)
+    )];
+
+    if (daysBefore.length === 0) {
+      return [];
+    }
+
+    const { date: originDate } = resolveSource(anniversary);
+    const origin = startOfDay(originDate);
+    const daysSince = differenceInDays(startOfDay(now), origin);
+    const milestoneDays = getMilestoneDays(anniversary, globalMilestones);
+    const everyDays = Number(settings.everyDays) || 0;
+
+    return daysBefore
+      .filter((days) => isMilestoneDay(daysSince + days, milestoneDays, everyDays))
+      .map((days) => ({
+        days: daysSince + days,
+        date: addDays(origin, daysSince + days),
+        daysUntil: days,
+      }));
+  } catch (error) {
+    console.error('Error getting due milestones:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the moments at a time of day that fall within a time window
+ *
+ * @param {Date} from - Start of the window (exclusive)
+ * @param {Date} to - End of the window (inclusive)
+ * @param {string} timeOfDay - Time as HH:mm
+ * @param {number|null} [weekday] - Only this day of the week (0 = Sunday), or every day
+ * @returns {Date[]} Moments within the window, oldest first
+ */
+export function getTimesInWindow(from, to, timeOfDay, weekday = null) {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const times = [];
+
+  if (!isBefore(from, to)) {
+    return times;
+  }
+
+  for (let day = startOfDay(from); !isAfter(day, to); day = addDays(day, 1)) {
+    const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+
+    if (isAfter(time, from) && !isAfter(time, to) && (weekday === null || time.getDay() === weekday)) {
+      times.push(time);
+    }
+  }
+
+  return times;
+}
+
+/**
+ * Check whether a moment falls within a daily time range
+ *
+ * Ranges may wrap past midnight (e.g. 22:00 to 07:00). The start is
+ * included and the end is not.
+ *
+ * @param {Date} date - Moment to check
+ * @param {string} start - Range start as HH:mm
+ * @param {string} end - Range end as HH:mm
+ * @returns {boolean} True if the moment is within the range
+ */
+export function isWithinTimeRange(date, start, end) {
+  const time = format(date, 'HH:mm');
+
+  if (start === end) {
+    return false;
+  }
+
+  return start < end
+    ? time >= start && time < end
+    : time >= start || time < end;
+}
+
+/**
+ * A reminder that was scheduled to fire at a specific moment
+ *
+ * @typedef {Object} DueReminder
+ * @property {string} key - Identifies the reminder by anniversary, occurrence and timing (plus the
+ *   time of day for timings that do not fire at the anniversary's own time)
+ * @property {string} occurrenceKey - Identifies the occurrence (shared by all its timings)
+ * @property {('reminder'|'milestone')} kind - Anniversary reminder or day-count milestone
+ * @property {string} anniversaryId - Anniversary ID
+ * @property {Date} occurrence - Date the reminder is about
+ * @property {number} daysUntil - Timing: days between fireAt and the occurrence
+ * @property {number} [days] - Milestone day count (milestones only)
+ * @property {Date} fireAt - Moment the reminder was scheduled for
+ */
+
+/**
+ * Get the reminders of an anniversary scheduled within a time window
+ *
+ * Each day in the window is checked at every timing's time of day, using the
+ * same rules as shouldNotify and getDueMilestones. Unlike those, this finds
+ * reminders whose moment has passed, so they can be caught up on.
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {Date} from - Start of the window (exclusive)
+ * @param {Date} to - End of the window (inclusive)
+ * @param {number[]} [globalMilestones] - Global milestone list
+ * @returns {DueReminder[]} Reminders scheduled within the window, oldest first
+ */
+export function getDueReminders(anniversary, from, to, globalMilestones = DEFAULT_MILESTONES) {
+  const { reminderSettings } = anniversary;
+  if (!reminderSettings || !reminderSettings.enabled) {
+    return [];
+  }
+
+  const timeOfDay = reminderSettings.timeOfDay || '09:00';
+  const reminders = [];
+
+  getReminderTimings(reminderSettings).forEach((timing) => {
+    // Timings at the anniversary's own time keep the original reminder keys
+    const suffix = timing.timeOfDay === timeOfDay ? '' : `@${timing.timeOfDay}`;
+
+    getTimesInWindow(from, to, timing.timeOfDay).forEach((fireAt) => {
+      const occurrence = getNextReminderDate(anniversary, fireAt);
+
+      if (occurrence && differenceInDays(occurrence, startOfDay(fireAt)) === timing.daysBefore) {
+        const occurrenceKey = `${anniversary.id}|${format(occurrence, 'yyyy-MM-dd')}`;
+
+        reminders.push({
+          key: `${occurrenceKey}|${timing.daysBefore}${suffix}`,
+          occurrenceKey,
+          kind: 'reminder',
+          anniversaryId: anniversary.id,
+          occurrence,
+          daysUntil: timing.daysBefore,
+          fireAt,
+        });
+      }
+
+      getDueMilestones(anniversary, fireAt, globalMilestones)
+        .filter((milestone) => milestone.daysUntil === timing.daysBefore)
+        .forEach((milestone) => {
+          const occurrenceKey = `${anniversary.id}|milestone-${milestone.days}`;
+
+          reminders.push({
+            key: `${occurrenceKey}|${milestone.daysUntil}${suffix}`,
+            occurrenceKey,
+            kind: 'milestone',
+            anniversaryId: anniversary.id,
+            occurrence: milestone.date,
+            daysUntil: milestone.daysUntil,
+            days: milestone.days,
+            fireAt,
+          });
+        });
+    });
+  });
+
+  return reminders.sort((a, b) => a.fireAt - b.fireAt);
+}
+
 /**
  * Format date for display
  *
@@ -245,21 +842,19 @@ export function formatDate(date, formatString = 'MMM d, yyyy') {
 /**
  * Calculate the age/years since an anniversary date
  *
- * @param {string|Date} date - Original anniversary date
+ * @param {string|Date|Anniversary} date - Original anniversary date or anniversary
  * @returns {number} Number of years since the date
  */
 export function calculateYearsSince(date) {
   try {
-    const targetDate = typeof date === 'string' ? parseISO(date) : date;
-    const today = new Date();
-    const years = today.getFullYear() - targetDate.getFullYear();
-
-    // Check if this year's anniversary has passed
-    const thisYearAnniversary = new Date(
-      today.getFullYear(),
-      targetDate.getMonth(),
-      targetDate.getDate()
-    );
+    const source = resolveSource(date);
+    const today = startOfDay(new Date());
+    const currentYear = getCycleYear(source, today);
+    const years = currentYear - getCycleYear(source, source.date);
+
+    // Check if this year's anniversary has passed (a skipped leap day counts as passing on Mar 1)
+    const thisYearAnniversary =
+      getOccurrenceInYear(source, currentYear) || new Date(currentYear, 2, 1);
 
     if (isBefore(today, thisYearAnniversary)) {
       return years - 1;
@@ -275,27 +870,13 @@ export function calculateYearsSince(date) {
 /**
  * Get the next occurrence date of an anniversary
  *
- * @param {string|Date} date - Original anniversary date
+ * @param {string|Date|Anniversary} date - Original anniversary date or anniversary
  * @returns {Date} Next occurrence date
  */
 export function getNextOccurrence(date) {
   try {
     const today = startOfDay(new Date());
-    const targetDate = typeof date === 'string' ? parseISO(date) : date;
-
-    const thisYear = new Date().getFullYear();
-    let anniversaryThisYear = new Date(
-      thisYear,
-      targetDate.getMonth(),
-      targetDate.getDate()
-    );
-    anniversaryThisYear = startOfDay(anniversaryThisYear);
-
-    if (isBefore(anniversaryThisYear, today)) {
-      return addYears(anniversaryThisYear, 1);
-    }
-
-    return anniversaryThisYear;
+    return findNextOccurrence(resolveSource(date), today) || today;
   } catch (error) {
     console.error('Error getting next occurrence:', error);
     return new Date();
@@ -312,8 +893,8 @@ export function getNextOccurrence(date) {
 export function sortByDaysUntil(anniversaries, ascending = true) {
   try {
     return [...anniversaries].sort((a, b) => {
-      const daysA = calculateDaysUntil(a.date);
-      const daysB = calculateDaysUntil(b.date);
+      const daysA = calculateDaysUntil(a);
+      const daysB = calculateDaysUntil(b);
 
       return ascending ? daysA - daysB : daysB - daysA;
     });
@@ -325,13 +906,25 @@ export function sortByDaysUntil(anniversaries, ascending = true) {
 
 export default {
   calculateDaysUntil,
+  calculateDaysSince,
   formatCountdown,
+  formatDaysSince,
   isToday,
   isApproaching,
   shouldNotify,
+  resolveReminderTiming,
+  getReminderTimings,
   formatDate,
   calculateYearsSince,
   getNextOccurrence,
   getNextReminderDate,
+  getCycleIntervalMonths,
+  isLeapDay,
+  getMilestoneDays,
+  getNextMilestone,
+  getDueMilestones,
+  getDueReminders,
+  getTimesInWindow,
+  isWithinTimeRange,
   sortByDaysUntil,
 };
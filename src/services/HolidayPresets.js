@@ -1,3 +1,6 @@
+import { format } from 'date-fns';
+import { getNthWeekdayOfMonth } from './RecurrenceService';
+
 /**
  * Holiday Presets Service
  *
@@ -6,7 +9,8 @@
 
 /**
  * Common holidays with their dates
- * Format: { month, day } where month is 1-12
+ * Format: { month, day } where month is 1-12, or { month, recurrence } for
+ * holidays that fall on the nth weekday of a month
  */
 export const HOLIDAY_PRESETS = [
   // Chinese Holidays
@@ -46,6 +50,15 @@ export const HOLIDAY_PRESETS = [
     category: 'other',
     description: '劳动最光荣'
   },
+  {
+    id: 'mothers-day',
+    name: '母亲节 (Mother\'s Day)',
+    emoji: '💐',
+    month: 5,
+    recurrence: { freq: 'yearly', month: 5, weekday: 0, nth: 2 },
+    category: 'other',
+    description: '感恩妈妈'
+  },
   {
     id: 'childrens-day',
     name: '儿童节 (Children\'s Day)',
@@ -55,6 +68,15 @@ export const HOLIDAY_PRESETS = [
     category: 'birthday',
     description: '快乐童年'
   },
+  {
+    id: 'fathers-day',
+    name: '父亲节 (Father\'s Day)',
+    emoji: '👔',
+    month: 6,
+    recurrence: { freq: 'yearly', month: 6, weekday: 0, nth: 3 },
+    category: 'other',
+    description: '感恩爸爸'
+  },
   {
     id: 'national-day',
     name: '国庆节 (National Day)',
@@ -82,6 +104,15 @@ export const HOLIDAY_PRESETS = [
     category: 'other',
     description: '购物狂欢节'
   },
+  {
+    id: 'thanksgiving',
+    name: '感恩节 (Thanksgiving)',
+    emoji: '🦃',
+    month: 11,
+    recurrence: { freq: 'yearly', month: 11, weekday: 4, nth: 4 },
+    category: 'other',
+    description: '心怀感恩'
+  },
   {
     id: 'christmas',
     name: '圣诞节 (Christmas)',
@@ -112,6 +143,15 @@ export function getHolidayDate(holiday, year = null) {
   const now = new Date();
   const currentYear = now.getFullYear();
 
+  if (holiday.recurrence) {
+    const { month, weekday, nth } = holiday.recurrence;
+    let date = getNthWeekdayOfMonth(year || currentYear, month, weekday, nth);
+    if (!year && date < now) {
+      date = getNthWeekdayOfMonth(currentYear + 1, month, weekday, nth);
+    }
+    return format(date, 'yyyy-MM-dd');
+  }
+
   // Use provided year or calculate next occurrence
   let targetYear = year || currentYear;
 
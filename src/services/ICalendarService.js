@@ -0,0 +1,909 @@
+import { format, parseISO } from 'date-fns';
+import {
+  createAnniversary,
+  ANNIVERSARY_CATEGORIES,
+  CALENDAR_TYPES,
+  DEFAULT_REMINDER_SETTINGS,
+  LEAP_DAY_POLICIES,
+  RECURRENCE_FREQUENCIES,
+  REMINDER_CYCLES,
+  REMINDER_UNITS,
+  findCategory,
+  matchCategory,
+  normalizeReminderTimings,
+} from '../models/Anniversary';
+import { getCycleIntervalMonths, getReminderTimings, isLeapDay } from './DateService';
+import { MAX_LUNAR_YEAR, resolveLunarDate, solarToLunar } from './LunarCalendar';
+
+/**
+ * ICalendarService - iCalendar (RFC 5545) serialization for anniversaries
+ *
+ * Builds .ics files that phone and desktop calendars can subscribe to or
+ * import. Each anniversary becomes an all-day VEVENT with an RRULE derived
+ * from its reminder cycle, and one VALARM per reminder timing. Calendars
+ * exported from Google, Outlook or this app can be parsed back into
+ * anniversaries the same way.
+ */
+
+const PRODUCT_ID = '-//Simple Anniversary//Anniversary Export//EN';
+const UID_DOMAIN = 'simple-anniversary';
+const MAX_LINE_OCTETS = 75;
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const LUNAR_PROPERTY = 'X-ANNIVERSARY-CALENDAR';
+
+/**
+ * DTSTART parameter Apple calendars use for dates without a known year; its
+ * value repeats the placeholder year
+ */
+const OMIT_YEAR_PARAM = 'X-APPLE-OMIT-YEAR';
+const MAX_CUSTOM_MONTHS = 60;
+
+/**
+ * Number of yearly occurrences listed for lunar anniversaries, which RRULE
+ * cannot express
+ */
+const LUNAR_OCCURRENCE_YEARS = 20;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT property value
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line joined with CRLF + space
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+
+    current += char;
+    currentOctets += octets;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as an iCalendar DATE value (YYYYMMDD)
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} DATE value
+ */
+function formatDateValue(date) {
+  return format(date, 'yyyyMMdd');
+}
+
+/**
+ * Format an ISO datetime as an iCalendar UTC DATE-TIME value
+ *
+ * @param {string|Date} value - ISO datetime string or Date
+ * @returns {string} DATE-TIME value (e.g. 20240101T090000Z)
+ */
+function formatDateTimeValue(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const valid = Number.isNaN(date.getTime()) ? new Date() : date;
+  return valid.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a signed number of minutes as an iCalendar DURATION
+ *
+ * @param {number} minutes - Offset in minutes (negative = before)
+ * @returns {string} DURATION value (e.g. -P6DT15H)
+ */
+export function formatDuration(minutes) {
+  const sign = minutes < 0 ? '-' : '';
+  let remaining = Math.abs(minutes);
+
+  const days = Math.floor(remaining / 1440);
+  remaining -= days * 1440;
+  const hours = Math.floor(remaining / 60);
+  const mins = remaining - hours * 60;
+
+  let duration = 'P';
+  if (days) {
+    duration += `${days}D`;
+  }
+  if (hours || mins) {
+    duration += `T${hours ? `${hours}H` : ''}${mins ? `${mins}M` : ''}`;
+  }
+
+  return duration === 'P' ? 'PT0S' : `${sign}${duration}`;
+}
+
+/**
+ * Build the BYDAY part for an nth-weekday recurrence (e.g. 2SU, -1FR)
+ *
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @returns {string} BYDAY value
+ */
+function formatByDay(recurrence) {
+  return `${recurrence.nth}${ICAL_WEEKDAYS[recurrence.weekday]}`;
+}
+
+/**
+ * Build the RRULE value for an anniversary
+ *
+ * One-time reminders produce no rule. Rule-based recurrences are translated
+ * directly; otherwise the rule follows `reminderSettings.cycle` and
+ * `customMonths`. Month-end and Feb 29 dates are mapped so calendars clamp
+ * them the same way the app does.
+ *
+ * @param {Anniversary} anniversary - Anniversary to describe
+ * @returns {string|null} RRULE value (without the "RRULE:" prefix), or null
+ */
+export function buildRecurrenceRule(anniversary) {
+  const { reminderSettings = {}, recurrence } = anniversary;
+  const intervalMonths = getCycleIntervalMonths(
+    reminderSettings.cycle,
+    reminderSettings.customMonths
+  );
+
+  if (intervalMonths === null) {
+    return null;
+  }
+
+  if (recurrence) {
+    const interval = Math.max(1, Number(recurrence.interval) || 1);
+    const intervalPart = interval > 1 ? `;INTERVAL=${interval}` : '';
+
+    switch (recurrence.freq) {
+      case RECURRENCE_FREQUENCIES.WEEKLY:
+        return `FREQ=WEEKLY${intervalPart}`;
+      case RECURRENCE_FREQUENCIES.MONTHLY:
+        return `FREQ=MONTHLY${intervalPart};BYDAY=${formatByDay(recurrence)}`;
+      case RECURRENCE_FREQUENCIES.YEARLY:
+        return `FREQ=YEARLY${intervalPart};BYMONTH=${recurrence.month};BYDAY=${formatByDay(recurrence)}`;
+      default:
+        return null;
+    }
+  }
+
+  const date = parseISO(anniversary.date);
+
+  if (intervalMonths === 12) {
+    if (!isLeapDay(date)) {
+      return 'FREQ=YEARLY';
+    }
+
+    switch (anniversary.leapDayPolicy) {
+      case LEAP_DAY_POLICIES.MAR_1:
+        // Day 60 is Feb 29 in leap years and Mar 1 otherwise
+        return 'FREQ=YEARLY;BYYEARDAY=60';
+      case LEAP_DAY_POLICIES.LEAP_YEARS_ONLY:
+        // Calendars skip the invalid Feb 29 in common years
+        return 'FREQ=YEARLY';
+      default:
+        return 'FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=-1';
+    }
+  }
+
+  const rule = intervalMonths === 1 ? 'FREQ=MONTHLY' : `FREQ=MONTHLY;INTERVAL=${intervalMonths}`;
+  const day = date.getDate();
+
+  // Clamp to the last day of shorter months, like date-fns addMonths
+  if (day === 31) {
+    return `${rule};BYMONTHDAY=-1`;
+  }
+  if (day > 28) {
+    return `${rule};BYMONTHDAY=${day},-1;BYSETPOS=1`;
+  }
+
+  return rule;
+}
+
+/**
+ * List the Gregorian dates of a lunar anniversary's yearly occurrences
+ *
+ * @param {Anniversary} anniversary - Lunar anniversary
+ * @param {Date} now - Current date
+ * @returns {Date[]} Occurrence dates, starting with the original date
+ */
+function getLunarOccurrences(anniversary, now) {
+  const origin = parseISO(anniversary.date);
+  const originYear = anniversary.lunarDate.year || (solarToLunar(origin) || {}).year;
+  const currentYear = (solarToLunar(now) || {}).year || now.getFullYear();
+  const lastYear = Math.min(currentYear + LUNAR_OCCURRENCE_YEARS, MAX_LUNAR_YEAR);
+  const dates = [origin];
+
+  // Past occurrences other than the original add nothing for a calendar
+  for (let year = Math.max(originYear + 1, currentYear - 1); year <= lastYear; year++) {
+    const occurrence = resolveLunarDate(year, anniversary.lunarDate);
+    if (occurrence) {
+      dates.push(occurrence);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Build the VALARM components for an anniversary
+ *
+ * One alarm per reminder timing, firing at that timing's time of day.
+ *
+ * @param {Anniversary} anniversary - Anniversary with reminderSettings
+ * @returns {string[]} Content lines
+ */
+function buildAlarms(anniversary) {
+  const { reminderSettings } = anniversary;
+
+  if (!reminderSettings || !reminderSettings.enabled) {
+    return [];
+  }
+
+  const triggers = getReminderTimings({ ...reminderSettings, timings: reminderSettings.timings || [] })
+    .map(({ daysBefore, timeOfDay }) => {
+      const [hours, minutes] = timeOfDay.split(':').map(Number);
+      return { daysBefore, offset: hours * 60 + minutes - daysBefore * 1440 };
+    })
+    .filter((trigger, index, list) => list.findIndex((other) => other.offset === trigger.offset) === index)
+    .sort((a, b) => b.offset - a.offset);
+
+  return triggers.flatMap(({ daysBefore, offset }) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${escapeText(
+      daysBefore === 0
+        ? `${anniversary.title} is today`
+        : `${anniversary.title} in ${daysBefore} day${daysBefore === 1 ? '' : 's'}`
+    )}`,
+    `TRIGGER:${formatDuration(offset)}`,
+    'END:VALARM',
+  ]);
+}
+
+/**
+ * Build the VEVENT component for an anniversary
+ *
+ * @param {Anniversary} anniversary - Anniversary to export
+ * @param {Category[]} categories - Category registry
+ * @param {Date} now - Export time
+ * @returns {string[]} Content lines
+ */
+export function buildEvent(anniversary, categories, now = new Date()) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${anniversary.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTimeValue(now)}`,
+  ];
+
+  if (anniversary.createdAt) {
+    lines.push(`CREATED:${formatDateTimeValue(anniversary.createdAt)}`);
+  }
+  if (anniversary.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTimeValue(anniversary.updatedAt)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(anniversary.title)}`);
+
+  if (anniversary.description) {
+    lines.push(`DESCRIPTION:${escapeText(anniversary.description)}`);
+  }
+
+  const category = findCategory(categories, anniversary.category);
+  const categoryNames = [category.label, ...(anniversary.tags || [])];
+  lines.push(`CATEGORIES:${categoryNames.map(escapeText).join(',')}`);
+
+  const isLunar = anniversary.calendar === CALENDAR_TYPES.LUNAR && anniversary.lunarDate;
+  const rule = buildRecurrenceRule(anniversary);
+
+  if (isLunar && rule) {
+    // RRULE cannot follow the lunar calendar, so list the yearly dates instead
+    const [first, ...rest] = getLunarOccurrences(anniversary, now);
+    lines.push(`${LUNAR_PROPERTY}:LUNAR`);
+    lines.push(`DTSTART;VALUE=DATE:${formatDateValue(first)}`);
+    if (rest.length > 0) {
+      lines.push(`RDATE;VALUE=DATE:${rest.map(formatDateValue).join(',')}`);
+    }
+  } else {
+    if (isLunar) {
+      lines.push(`${LUNAR_PROPERTY}:LUNAR`);
+    }
+    const omitYear = anniversary.yearUnknown ? `;${OMIT_YEAR_PARAM}=${anniversary.date.slice(0, 4)}` : '';
+    lines.push(`DTSTART;VALUE=DATE${omitYear}:${formatDateValue(parseISO(anniversary.date))}`);
+    if (rule) {
+      lines.push(`RRULE:${rule}`);
+    }
+  }
+
+  lines.push('TRANSP:TRANSPARENT', ...buildAlarms(anniversary), 'END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * Build a complete iCalendar document
+ *
+ * @param {Anniversary[]} anniversaries - Anniversaries to export
+ * @param {Category[]} categories - Category registry
+ * @returns {string} .ics file contents (CRLF line endings)
+ */
+export function buildCalendar(anniversaries, categories) {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Anniversaries',
+    ...anniversaries.flatMap((anniversary) => buildEvent(anniversary, categories, now)),
+    'END:VCALENDAR',
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Undo TEXT escaping
+ *
+ * @param {string} text - Escaped text
+ * @returns {string} Raw text
+ */
+export function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === 'n' || char === 'N' ? '\n' : char
+  );
+}
+
+/**
+ * Split a value on separators that are not escaped or quoted
+ *
+ * @param {string} value - Value to split
+ * @param {string} separator - Single separator character
+ * @returns {string[]} Parts, still escaped
+ */
+function splitUnescaped(value, separator) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+
+    if (char === '\\' && i + 1 < value.length) {
+      current += char + value[i + 1];
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+      current += char;
+    } else if (char === separator && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return parts;
+}
+
+/**
+ * Parse a single (unfolded) content line
+ *
+ * @param {string} line - Content line, e.g. DTSTART;VALUE=DATE:20240101
+ * @returns {{name: string, params: Object, value: string}|null} Parsed property, or null if malformed
+ */
+function parseContentLine(line) {
+  let quoted = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      quoted = !quoted;
+    } else if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+
+  if (colon === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = splitUnescaped(line.slice(0, colon), ';');
+  const params = {};
+
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse an iCalendar document into raw VEVENT components
+ *
+ * @param {string} text - .ics file contents
+ * @returns {Array<{properties: Object, alarms: Object[]}>} Events; properties map
+ *   each property name to a list of { params, value }
+ * @throws {Error} If the text is not an iCalendar document
+ */
+export function parseCalendar(text) {
+  const lines = String(text)
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== '');
+
+  if (lines.length === 0 || lines[0].trim().toUpperCase() !== 'BEGIN:VCALENDAR') {
+    throw new Error('Not an iCalendar file (missing BEGIN:VCALENDAR)');
+  }
+
+  const events = [];
+  const stack = [];
+
+  lines.forEach((line) => {
+    const property = parseContentLine(line.trim());
+    if (!property) {
+      return;
+    }
+
+    const current = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { type: property.value.toUpperCase(), properties: {}, alarms: [] };
+      if (component.type === 'VALARM' && current && current.type === 'VEVENT') {
+        current.alarms.push(component);
+      }
+      stack.push(component);
+      return;
+    }
+
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && component.type === 'VEVENT') {
+        events.push(component);
+      }
+      return;
+    }
+
+    if (current) {
+      (current.properties[property.name] = current.properties[property.name] || []).push(property);
+    }
+  });
+
+  return events.map(({ properties, alarms }) => ({ properties, alarms }));
+}
+
+/**
+ * Get the first value of a property
+ *
+ * @param {Object} component - Parsed component
+ * @param {string} name - Property name
+ * @returns {{params: Object, value: string}|null} Property, or null if absent
+ */
+function getProperty(component, name) {
+  const values = component.properties[name];
+  return values && values.length > 0 ? values[0] : null;
+}
+
+/**
+ * Parse a DATE or DATE-TIME value
+ *
+ * UTC times are converted to the local date; floating and TZID times keep
+ * their written date.
+ *
+ * @param {string} value - DATE (YYYYMMDD) or DATE-TIME (YYYYMMDDTHHMMSS[Z]) value
+ * @returns {{date: string, minutes: number}|null} ISO date and minutes after midnight
+ */
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+
+  if (utc) {
+    const local = new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes));
+    return {
+      date: format(local, 'yyyy-MM-dd'),
+      minutes: local.getHours() * 60 + local.getMinutes(),
+    };
+  }
+
+  const date = new Date(+year, +month - 1, +day);
+  if (date.getMonth() !== +month - 1) {
+    return null;
+  }
+
+  return {
+    date: `${year}-${month}-${day}`,
+    minutes: hours ? +hours * 60 + +minutes : 0,
+  };
+}
+
+/**
+ * Parse a DURATION value into signed minutes
+ *
+ * @param {string} value - DURATION value, e.g. -P1DT15H
+ * @returns {number|null} Minutes, or null if malformed
+ */
+export function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(
+    value.trim()
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total =
+    (+weeks || 0) * 10080 + (+days || 0) * 1440 + (+hours || 0) * 60 + (+minutes || 0);
+
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value into its parts
+ *
+ * @param {string} value - RRULE value, e.g. FREQ=YEARLY;BYMONTH=5;BYDAY=2SU
+ * @returns {Object} Upper-case part names mapped to values
+ */
+function parseRule(value) {
+  return value.split(';').reduce((parts, part) => {
+    const [key, partValue] = part.split('=');
+    if (key && partValue !== undefined) {
+      parts[key.toUpperCase()] = partValue.toUpperCase();
+    }
+    return parts;
+  }, {});
+}
+
+/**
+ * Parse an nth-weekday BYDAY value such as 2SU or -1FR
+ *
+ * @param {string} value - BYDAY value (first entry only)
+ * @returns {{nth: number, weekday: number}|null} Parsed weekday, or null if not an nth weekday
+ */
+function parseByDay(value) {
+  const match = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value.split(',')[0]);
+  if (!match) {
+    return null;
+  }
+  return { nth: match[1] ? Number(match[1]) : null, weekday: ICAL_WEEKDAYS.indexOf(match[2]) };
+}
+
+/**
+ * Map an RRULE onto reminder cycle, rule-based recurrence and leap-day fields
+ *
+ * @param {string|null} value - RRULE value, or null for one-off events
+ * @param {string} date - ISO start date
+ * @returns {Object} Anniversary fields (reminder cycle, recurrence, leapDayPolicy)
+ * @throws {Error} If the rule cannot be represented
+ */
+function mapRecurrenceRule(value, date) {
+  if (!value) {
+    return { cycle: REMINDER_CYCLES.ONCE };
+  }
+
+  const rule = parseRule(value);
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const byDay = rule.BYDAY ? parseByDay(rule.BYDAY) : null;
+
+  switch (rule.FREQ) {
+    case 'YEARLY': {
+      if (byDay && byDay.nth) {
+        return {
+          cycle: REMINDER_CYCLES.YEARLY,
+          recurrence: {
+            freq: RECURRENCE_FREQUENCIES.YEARLY,
+            interval,
+            month: Number(rule.BYMONTH) || parseISO(date).getMonth() + 1,
+            weekday: byDay.weekday,
+            nth: byDay.nth,
+          },
+        };
+      }
+
+      const fields = {};
+      if (isLeapDay(parseISO(date))) {
+        if (rule.BYYEARDAY === '60') {
+          fields.leapDayPolicy = LEAP_DAY_POLICIES.MAR_1;
+        } else if (rule.BYMONTHDAY === '-1') {
+          fields.leapDayPolicy = LEAP_DAY_POLICIES.FEB_28;
+        } else {
+          // A plain yearly Feb 29 rule only fires in leap years
+          fields.leapDayPolicy = LEAP_DAY_POLICIES.LEAP_YEARS_ONLY;
+        }
+      }
+
+      if (interval === 1) {
+        return { ...fields, cycle: REMINDER_CYCLES.YEARLY };
+      }
+      if (interval * 12 <= MAX_CUSTOM_MONTHS) {
+        return { ...fields, cycle: REMINDER_CYCLES.CUSTOM, customMonths: interval * 12 };
+      }
+      throw new Error(`Repeats every ${interval} years, more than the supported ${MAX_CUSTOM_MONTHS / 12}`);
+    }
+
+    case 'MONTHLY': {
+      if (byDay && byDay.nth) {
+        return {
+          cycle: REMINDER_CYCLES.YEARLY,
+          recurrence: {
+            freq: RECURRENCE_FREQUENCIES.MONTHLY,
+            interval,
+            weekday: byDay.weekday,
+            nth: byDay.nth,
+          },
+        };
+      }
+      if (interval === 1) {
+        return { cycle: REMINDER_CYCLES.MONTHLY };
+      }
+      if (interval === 6) {
+        return { cycle: REMINDER_CYCLES.HALF_YEARLY };
+      }
+      if (interval === 12) {
+        return { cycle: REMINDER_CYCLES.YEARLY };
+      }
+      if (interval <= MAX_CUSTOM_MONTHS) {
+        return { cycle: REMINDER_CYCLES.CUSTOM, customMonths: interval };
+      }
+      throw new Error(`Repeats every ${interval} months, more than the supported ${MAX_CUSTOM_MONTHS}`);
+    }
+
+    case 'WEEKLY':
+      return {
+        cycle: REMINDER_CYCLES.YEARLY,
+        recurrence: { freq: RECURRENCE_FREQUENCIES.WEEKLY, interval },
+      };
+
+    default:
+      throw new Error(`Unsupported recurrence (FREQ=${rule.FREQ || 'missing'})`);
+  }
+}
+
+/**
+ * Map VALARM components onto reminder timings and time of day
+ *
+ * Triggers are converted to "days before" plus a time of day; the first
+ * alarm's time of day is used for the whole anniversary, and later alarms at
+ * another time keep their own. Alarms after the event are ignored.
+ *
+ * @param {Object[]} alarms - Parsed VALARM components
+ * @param {{date: string, minutes: number}} start - Parsed DTSTART
+ * @returns {Object|null} Reminder settings, or null if there are no usable alarms
+ */
+function mapAlarms(alarms, start) {
+  const timings = [];
+  let timeOfDay = null;
+
+  alarms.forEach((alarm) => {
+    const trigger = getProperty(alarm, 'TRIGGER');
+    if (!trigger) {
+      return;
+    }
+
+    let offset;
+    if (trigger.params.VALUE === 'DATE-TIME') {
+      const absolute = parseDateValue(trigger.value);
+      if (!absolute) {
+        return;
+      }
+      offset = Math.round((parseISO(absolute.date) - parseISO(start.date)) / 60000) + absolute.minutes;
+    } else {
+      const duration = parseDuration(trigger.value);
+      if (duration === null) {
+        return;
+      }
+      // All-day events end one day after they start
+      const related = trigger.params.RELATED === 'END' ? 1440 : start.minutes;
+      offset = related + duration;
+    }
+
+    const daysBefore = -Math.floor(offset / 1440);
+    if (daysBefore < 0) {
+      return;
+    }
+
+    const minutes = offset + daysBefore * 1440;
+    const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    if (timeOfDay === null) {
+      timeOfDay = time;
+    }
+    timings.push(time === timeOfDay ? daysBefore : { amount: daysBefore, unit: REMINDER_UNITS.DAYS, timeOfDay: time });
+  });
+
+  if (timings.length === 0) {
+    return null;
+  }
+
+  return {
+    enabled: true,
+    timings: normalizeReminderTimings(timings),
+    timeOfDay,
+  };
+}
+
+/**
+ * Map CATEGORIES values onto a registry category and free tags
+ *
+ * The first value matching a category id or label (singular or plural, e.g.
+ * "Birthdays") becomes the category; the rest become tags.
+ *
+ * @param {Object} event - Parsed VEVENT
+ * @param {Category[]} categories - Category registry
+ * @returns {{category: string, tags: string[]}} Category id and tags
+ */
+function mapCategories(event, categories) {
+  const names = (event.properties.CATEGORIES || [])
+    .flatMap(({ value }) => splitUnescaped(value, ','))
+    .map((name) => unescapeText(name).trim())
+    .filter(Boolean);
+
+  let category = null;
+  const tags = [];
+
+  names.forEach((name) => {
+    const match = matchCategory(categories, name);
+
+    if (match && !category) {
+      category = match.id;
+    } else if (!match) {
+      tags.push(name);
+    }
+  });
+
+  return { category: category || ANNIVERSARY_CATEGORIES.OTHER, tags };
+}
+
+/**
+ * Convert a parsed VEVENT into anniversary data for createAnniversary
+ *
+ * @param {Object} event - Parsed VEVENT
+ * @param {Category[]} categories - Category registry
+ * @returns {{uid: string|null, data: Object}} Event UID and anniversary data
+ * @throws {Error} Describing why the event cannot be imported
+ */
+function mapEvent(event, categories) {
+  if (getProperty(event, 'RECURRENCE-ID')) {
+    throw new Error('Changed instance of a recurring event');
+  }
+
+  const status = getProperty(event, 'STATUS');
+  if (status && status.value.toUpperCase() === 'CANCELLED') {
+    throw new Error('Event is cancelled');
+  }
+
+  const summary = getProperty(event, 'SUMMARY');
+  const title = summary ? unescapeText(summary.value).trim() : '';
+  if (!title) {
+    throw new Error('Missing title (SUMMARY)');
+  }
+
+  const dtstart = getProperty(event, 'DTSTART');
+  const start = dtstart ? parseDateValue(dtstart.value) : null;
+  if (!start) {
+    throw new Error('Missing or invalid start date (DTSTART)');
+  }
+
+  const calendar = getProperty(event, LUNAR_PROPERTY);
+  const isLunar = calendar && calendar.value.toUpperCase() === 'LUNAR';
+  const rrule = getProperty(event, 'RRULE');
+
+  // Lunar events are exported as a list of yearly RDATEs instead of an RRULE
+  const { cycle, customMonths, recurrence, leapDayPolicy } =
+    isLunar && !rrule && getProperty(event, 'RDATE')
+      ? { cycle: REMINDER_CYCLES.YEARLY }
+      : mapRecurrenceRule(rrule ? rrule.value : null, start.date);
+
+  const description = getProperty(event, 'DESCRIPTION');
+  const reminders = mapAlarms(event.alarms, start);
+  const uid = getProperty(event, 'UID');
+  const yearUnknown = dtstart.params[OMIT_YEAR_PARAM] === start.date.slice(0, 4);
+
+  return {
+    uid: uid ? uid.value.trim() : null,
+    data: {
+      title,
+      date: start.date,
+      yearUnknown,
+      calendar: isLunar ? CALENDAR_TYPES.LUNAR : CALENDAR_TYPES.SOLAR,
+      description: description ? unescapeText(description.value) : '',
+      ...mapCategories(event, categories),
+      recurrence: recurrence || null,
+      leapDayPolicy,
+      reminderSettings: {
+        ...DEFAULT_REMINDER_SETTINGS,
+        ...(reminders || { enabled: false }),
+        cycle,
+        customMonths: customMonths || null,
+      },
+    },
+  };
+}
+
+/**
+ * An event that could not be imported
+ *
+ * @typedef {Object} SkippedEvent
+ * @property {string} title - Event title (or a placeholder)
+ * @property {string|null} uid - Event UID
+ * @property {string} reason - Why the event was skipped
+ */
+
+/**
+ * Convert an iCalendar document into new anniversaries
+ *
+ * Events without alarms are imported with reminders turned off. Events exported by
+ * this app keep their original id (taken from the UID); events from other
+ * calendars keep their UID as `sourceUid`. Either way re-importing them can be
+ * detected as duplicates.
+ *
+ * @param {string} text - .ics file contents
+ * @param {Category[]} categories - Category registry
+ * @returns {{anniversaries: Anniversary[], skipped: SkippedEvent[]}} Converted anniversaries and skipped events
+ * @throws {Error} If the text is not an iCalendar document
+ */
+export function parseAnniversaries(text, categories) {
+  const anniversaries = [];
+  const skipped = [];
+
+  parseCalendar(text).forEach((event, index) => {
+    const summary = getProperty(event, 'SUMMARY');
+    const title = summary ? unescapeText(summary.value).trim() : `Event ${index + 1}`;
+
+    try {
+      const { uid, data } = mapEvent(event, categories);
+      const anniversary = createAnniversary(data, categories);
+
+      if (uid && uid.endsWith(`@${UID_DOMAIN}`)) {
+        anniversary.id = uid.slice(0, -(UID_DOMAIN.length + 1));
+      } else if (uid) {
+        anniversary.sourceUid = uid;
+      }
+
+      anniversaries.push(anniversary);
+    } catch (error) {
+      const uid = getProperty(event, 'UID');
+      skipped.push({ title, uid: uid ? uid.value.trim() : null, reason: error.message });
+    }
+  });
+
+  return { anniversaries, skipped };
+}
+
+export default {
+  escapeText,
+  unescapeText,
+  foldLine,
+  formatDuration,
+  parseDuration,
+  buildRecurrenceRule,
+  buildEvent,
+  buildCalendar,
+  parseCalendar,
+  parseAnniversaries,
+};
@@ -0,0 +1,282 @@
+/**
+ * LunarCalendar - Chinese lunar (农历) calendar conversion utilities
+ *
+ * Converts between Gregorian dates and Chinese lunar dates for the years
+ * 1900-2100, including leap months (闰月).
+ */
+
+/**
+ * Lunar year data for 1900-2100, one entry per year.
+ *
+ * Bits 0-3:   leap month number (0 if the year has no leap month)
+ * Bits 4-15:  month lengths, bit 15 = month 1 ... bit 4 = month 12 (1 = 30 days, 0 = 29 days)
+ * Bit 16:     leap month length (1 = 30 days, 0 = 29 days)
+ */
+const LUNAR_INFO = [
+  0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0, 0x09ad0, 0x055d2,
+  0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540, 0x0d6a0, 0x18da3, 0x095b0, 0x14977,
+  0x04970, 0x0a4b0, 0x1b0b6, 0x06a50, 0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970,
+  0x06566, 0x0d4a0, 0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950,
+  0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2, 0x0a950, 0x0b557,
+  0x06ca0, 0x0b550, 0x15355, 0x04db0, 0x025b0, 0x18573, 0x052b0, 0x0a9a8, 0x0e950, 0x06aa0,
+  0x0aea6, 0x0ab50, 0x04b60, 0x0aae4, 0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0,
+  0x096d0, 0x04dd5, 0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6,
+  0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x1ad47, 0x0ab60, 0x09570,
+  0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58, 0x05ac0, 0x0ab60, 0x096e5, 0x092e0,
+  0x0c960, 0x0d954, 0x0d4a0, 0x0da50, 0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5,
+  0x0a950, 0x0b4a0, 0x0bca4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x05270, 0x0a930,
+  0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260, 0x0ea65, 0x0d530,
+  0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0, 0x1d0b6, 0x0d250, 0x0d520, 0x0dd45,
+  0x0b5a0, 0x056d0, 0x055b2, 0x049b0, 0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0,
+  0x14b63, 0x09370, 0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0,
+  0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0, 0x0a6d0, 0x055d4,
+  0x092d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50, 0x055a0, 0x0aba4, 0x0a5b0, 0x052b0,
+  0x0b273, 0x06930, 0x07337, 0x06aa0, 0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160,
+  0x0e968, 0x0d520, 0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252,
+  0x0d520,
+];
+
+export const MIN_LUNAR_YEAR = 1900;
+export const MAX_LUNAR_YEAR = 2100;
+
+// Lunar 1900-01-01 fell on Gregorian 1900-01-31
+const BASE_DATE_UTC = Date.UTC(1900, 0, 31);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const MONTH_NAMES = ['正', '二', '三', '四', '五', '六', '七', '八', '九', '十', '冬', '腊'];
+const DAY_PREFIXES = ['初', '十', '廿', '三'];
+const DIGITS = ['日', '一', '二', '三', '四', '五', '六', '七', '八', '九', '十'];
+
+/**
+ * Lunar date
+ *
+ * @typedef {Object} LunarDate
+ * @property {number} year - Lunar year (matches the Gregorian year it starts in)
+ * @property {number} month - Lunar month (1-12)
+ * @property {number} day - Day of the lunar month (1-30)
+ * @property {boolean} isLeap - Whether the date is in the leap month (闰月)
+ */
+
+function isYearInRange(year) {
+  return Number.isInteger(year) && year >= MIN_LUNAR_YEAR && year <= MAX_LUNAR_YEAR;
+}
+
+/**
+ * Get the leap month of a lunar year
+ *
+ * @param {number} year - Lunar year
+ * @returns {number} Leap month number (1-12), or 0 if the year has none
+ */
+export function getLeapMonth(year) {
+  if (!isYearInRange(year)) {
+    return 0;
+  }
+  return LUNAR_INFO[year - MIN_LUNAR_YEAR] & 0xf;
+}
+
+/**
+ * Get the number of days in a lunar month
+ *
+ * @param {number} year - Lunar year
+ * @param {number} month - Lunar month (1-12)
+ * @param {boolean} [isLeap] - Whether to measure the leap month
+ * @returns {number} 29 or 30, or 0 if the month does not exist
+ */
+export function getLunarMonthDays(year, month, isLeap = false) {
+  if (!isYearInRange(year) || month < 1 || month > 12) {
+    return 0;
+  }
+
+  const info = LUNAR_INFO[year - MIN_LUNAR_YEAR];
+
+  if (isLeap) {
+    if (getLeapMonth(year) !== month) {
+      return 0;
+    }
+    return info & 0x10000 ? 30 : 29;
+  }
+
+  return info & (0x10000 >> month) ? 30 : 29;
+}
+
+/**
+ * Get the total number of days in a lunar year
+ *
+ * @param {number} year - Lunar year
+ * @returns {number} Number of days
+ */
+function getLunarYearDays(year) {
+  let days = 0;
+  for (let month = 1; month <= 12; month++) {
+    days += getLunarMonthDays(year, month);
+  }
+  const leapMonth = getLeapMonth(year);
+  if (leapMonth) {
+    days += getLunarMonthDays(year, leapMonth, true);
+  }
+  return days;
+}
+
+/**
+ * Convert a lunar date to a Gregorian date
+ *
+ * @param {number} year - Lunar year
+ * @param {number} month - Lunar month (1-12)
+ * @param {number} day - Day of the lunar month (1-30)
+ * @param {boolean} [isLeap] - Whether the date is in the leap month
+ * @returns {Date|null} Gregorian date at local midnight, or null if the lunar date does not exist
+ */
+export function lunarToSolar(year, month, day, isLeap = false) {
+  const monthDays = getLunarMonthDays(year, month, isLeap);
+  if (!monthDays || !Number.isInteger(day) || day < 1 || day > monthDays) {
+    return null;
+  }
+
+  let offset = 0;
+  for (let y = MIN_LUNAR_YEAR; y < year; y++) {
+    offset += getLunarYearDays(y);
+  }
+
+  const leapMonth = getLeapMonth(year);
+  for (let m = 1; m < month; m++) {
+    offset += getLunarMonthDays(year, m);
+    if (m === leapMonth) {
+      offset += getLunarMonthDays(year, m, true);
+    }
+  }
+
+  // The leap month follows the regular month with the same number
+  if (isLeap) {
+    offset += getLunarMonthDays(year, month);
+  }
+
+  offset += day - 1;
+
+  const utc = new Date(BASE_DATE_UTC + offset * MS_PER_DAY);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+}
+
+/**
+ * Convert a Gregorian date to a lunar date
+ *
+ * @param {Date} date - Gregorian date (only the local calendar day is used)
+ * @returns {LunarDate|null} Lunar date, or null if outside the supported range
+ */
+export function solarToLunar(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) {
+    return null;
+  }
+
+  const utc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+  let offset = Math.round((utc - BASE_DATE_UTC) / MS_PER_DAY);
+
+  if (offset < 0) {
+    return null;
+  }
+
+  let year = MIN_LUNAR_YEAR;
+  while (year <= MAX_LUNAR_YEAR && offset >= getLunarYearDays(year)) {
+    offset -= getLunarYearDays(year);
+    year++;
+  }
+
+  if (year > MAX_LUNAR_YEAR) {
+    return null;
+  }
+
+  const leapMonth = getLeapMonth(year);
+  for (let month = 1; month <= 12; month++) {
+    const monthDays = getLunarMonthDays(year, month);
+    if (offset < monthDays) {
+      return { year, month, day: offset + 1, isLeap: false };
+    }
+    offset -= monthDays;
+
+    if (month === leapMonth) {
+      const leapDays = getLunarMonthDays(year, month, true);
+      if (offset < leapDays) {
+        return { year, month, day: offset + 1, isLeap: true };
+      }
+      offset -= leapDays;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a recurring lunar month/day to its Gregorian date in a given lunar year
+ *
+ * A leap-month date is observed in the regular month when the year has no
+ * matching leap month, and day 30 is observed on day 29 in short months.
+ *
+ * @param {number} year - Lunar year to resolve in
+ * @param {LunarDate} lunarDate - Lunar date (only month, day and isLeap are used)
+ * @returns {Date|null} Gregorian date, or null if the year is out of range
+ */
+export function resolveLunarDate(year, lunarDate) {
+  if (!isYearInRange(year) || !lunarDate) {
+    return null;
+  }
+
+  const isLeap = Boolean(lunarDate.isLeap) && getLeapMonth(year) === lunarDate.month;
+  const monthDays = getLunarMonthDays(year, lunarDate.month, isLeap);
+  if (!monthDays) {
+    return null;
+  }
+
+  return lunarToSolar(year, lunarDate.month, Math.min(lunarDate.day, monthDays), isLeap);
+}
+
+/**
+ * Format a lunar month name, e.g. "正月" or "闰二月"
+ *
+ * @param {number} month - Lunar month (1-12)
+ * @param {boolean} [isLeap] - Whether it is the leap month
+ * @returns {string} Chinese month name
+ */
+export function formatLunarMonth(month, isLeap = false) {
+  return `${isLeap ? '闰' : ''}${MONTH_NAMES[month - 1] || ''}月`;
+}
+
+/**
+ * Format a lunar day, e.g. "初一", "十五" or "廿三"
+ *
+ * @param {number} day - Day of the lunar month (1-30)
+ * @returns {string} Chinese day name
+ */
+export function formatLunarDay(day) {
+  if (day === 10) return '初十';
+  if (day === 20) return '二十';
+  if (day === 30) return '三十';
+  return `${DAY_PREFIXES[Math.floor(day / 10)]}${DIGITS[day % 10]}`;
+}
+
+/**
+ * Format a lunar date for display, e.g. "农历闰二月初一"
+ *
+ * @param {LunarDate} lunarDate - Lunar date
+ * @param {boolean} [withYear] - Whether to prefix the lunar year
+ * @returns {string} Formatted lunar date
+ */
+export function formatLunarDate(lunarDate, withYear = false) {
+  if (!lunarDate) {
+    return '';
+  }
+
+  const yearPart = withYear && lunarDate.year ? `${lunarDate.year}年` : '';
+  return `农历${yearPart}${formatLunarMonth(lunarDate.month, lunarDate.isLeap)}${formatLunarDay(lunarDate.day)}`;
+}
+
+export default {
+  MIN_LUNAR_YEAR,
+  MAX_LUNAR_YEAR,
+  getLeapMonth,
+  getLunarMonthDays,
+  lunarToSolar,
+  solarToLunar,
+  resolveLunarDate,
+  formatLunarMonth,
+  formatLunarDay,
+  formatLunarDate,
+};
@@ -0,0 +1,175 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * MergeService - Compare incoming anniversaries with local ones
+ *
+ * Builds a merge plan (what an import would add, update or conflict with)
+ * without touching storage, then applies it with per-record resolutions.
+ */
+
+/**
+ * How a record present on both sides is resolved
+ */
+export const RESOLUTIONS = {
+  LOCAL: 'local',
+  IMPORTED: 'imported',
+  BOTH: 'both',
+};
+
+/**
+ * Serialize a value with object keys sorted, so equal records compare equal
+ * regardless of key order
+ *
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get a record's last-modified time
+ *
+ * @param {Anniversary} record - Anniversary
+ * @returns {number} Milliseconds since epoch (0 if missing or invalid)
+ */
+function modifiedTime(record) {
+  const time = Date.parse(record.updatedAt || record.createdAt || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Pick the default resolution for a record present on both sides
+ *
+ * The copy with the newer `updatedAt` wins; ties keep the local copy.
+ *
+ * @param {Anniversary} local - Local copy
+ * @param {Anniversary} imported - Incoming copy
+ * @returns {string} A RESOLUTIONS value
+ */
+export function getDefaultResolution(local, imported) {
+  return modifiedTime(imported) > modifiedTime(local) ? RESOLUTIONS.IMPORTED : RESOLUTIONS.LOCAL;
+}
+
+/**
+ * A record present locally and in the import with different contents
+ *
+ * @typedef {Object} MergeConflict
+ * @property {string} id - Shared anniversary id
+ * @property {Anniversary} local - Local copy
+ * @property {Anniversary} imported - Incoming copy
+ * @property {string} resolution - Default resolution (newer updatedAt wins)
+ */
+
+/**
+ * Result of comparing incoming records with local ones
+ *
+ * @typedef {Object} MergePlan
+ * @property {Anniversary[]} added - Incoming records with ids not present locally
+ * @property {MergeConflict[]} updated - Changed records where the incoming copy is newer
+ * @property {MergeConflict[]} conflicts - Changed records where the local copy is as new or newer
+ * @property {Anniversary[]} unchanged - Incoming records identical to the local copy
+ * @property {Anniversary[]} removed - Local records missing from the import (only dropped when replacing)
+ */
+
+/**
+ * Compare incoming records with local ones without changing either
+ *
+ * @param {Anniversary[]} existing - Local anniversaries
+ * @param {Anniversary[]} incoming - Valid incoming anniversaries
+ * @returns {MergePlan} Merge plan
+ */
+export function planMerge(existing, incoming) {
+  const localById = new Map(existing.map((record) => [record.id, record]));
+  const incomingIds = new Set();
+  const plan = { added: [], updated: [], conflicts: [], unchanged: [], removed: [] };
+
+  incoming.forEach((imported) => {
+    // Later duplicates within the same file are ignored
+    if (incomingIds.has(imported.id)) {
+      return;
+    }
+    incomingIds.add(imported.id);
+
+    const local = localById.get(imported.id);
+
+    if (!local) {
+      plan.added.push(imported);
+    } else if (canonicalJSON(local) === canonicalJSON(imported)) {
+      plan.unchanged.push(imported);
+    } else {
+      const resolution = getDefaultResolution(local, imported);
+      const entry = { id: imported.id, local, imported, resolution };
+      (resolution === RESOLUTIONS.IMPORTED ? plan.updated : plan.conflicts).push(entry);
+    }
+  });
+
+  plan.removed = existing.filter((record) => !incomingIds.has(record.id));
+
+  return plan;
+}
+
+/**
+ * Apply a merge plan
+ *
+ * Records keep their local order; added records are appended. "Keep both"
+ * stores the incoming copy under a new id next to the local one.
+ *
+ * @param {Anniversary[]} existing - Local anniversaries
+ * @param {MergePlan} plan - Plan from planMerge
+ * @param {Object} [resolutions] - Anniversary id mapped to a RESOLUTIONS value;
+ *   records without an entry use their default resolution
+ * @param {Object} [options] - Merge options
+ * @param {boolean} [options.replace] - Drop local records missing from the import
+ * @returns {Anniversary[]} Merged anniversaries
+ */
+export function applyMerge(existing, plan, resolutions = {}, { replace = false } = {}) {
+  const changed = new Map(
+    [...plan.updated, ...plan.conflicts].map((entry) => [entry.id, entry])
+  );
+  const removedIds = new Set(replace ? plan.removed.map((record) => record.id) : []);
+  const merged = [];
+  const copies = [];
+
+  existing.forEach((local) => {
+    if (removedIds.has(local.id)) {
+      return;
+    }
+
+    const entry = changed.get(local.id);
+    if (!entry) {
+      merged.push(local);
+      return;
+    }
+
+    const resolution = resolutions[entry.id] || entry.resolution;
+
+    if (resolution === RESOLUTIONS.IMPORTED) {
+      merged.push(entry.imported);
+    } else {
+      merged.push(local);
+      if (resolution === RESOLUTIONS.BOTH) {
+        copies.push({ ...entry.imported, id: uuidv4() });
+      }
+    }
+  });
+
+  return [...merged, ...copies, ...plan.added];
+}
+
+export default {
+  RESOLUTIONS,
+  getDefaultResolution,
+  planMerge,
+  applyMerge,
+};
@@ -0,0 +1,224 @@
+import {
+  validateAnniversary,
+  normalizeTags,
+  ANNIVERSARY_CATEGORIES,
+  CALENDAR_TYPES,
+  COUNT_MODES,
+  DEFAULT_CATEGORIES,
+  DEFAULT_MILESTONE_SETTINGS,
+  DEFAULT_REMINDER_SETTINGS,
+  LEAP_DAY_POLICIES,
+} from '../models/Anniversary';
+
+/**
+ * MigrationService - Versioned schema migrations for stored anniversary data
+ *
+ * Stored data and exported files carry a schema version. Records are upgraded
+ * one step at a time from the version they were written with to the current
+ * SCHEMA_VERSION, then validated. Records that fail are returned separately so
+ * callers can keep a backup copy instead of dropping them.
+ */
+
+/**
+ * Current schema version written by this build
+ */
+export const SCHEMA_VERSION = '1.2';
+
+/**
+ * Version assumed for data that carries no version information
+ */
+export const INITIAL_SCHEMA_VERSION = '1.0';
+
+/**
+ * A single migration step
+ *
+ * @typedef {Object} Migration
+ * @property {string} from - Version this step upgrades from
+ * @property {string} to - Version this step produces
+ * @property {string} description - What the step changes
+ * @property {Function} migrate - (record, context) => upgraded record
+ */
+
+/**
+ * Ordered list of migration steps
+ *
+ * Add a new step (and bump SCHEMA_VERSION) whenever the stored record shape
+ * changes. Steps must not mutate the record they are given.
+ *
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Fill in calendar, recurrence, count mode, tag and milestone fields',
+    migrate: (record) => ({
+      ...record,
+      calendar: record.calendar || CALENDAR_TYPES.SOLAR,
+      lunarDate: record.lunarDate || null,
+      recurrence: record.recurrence || null,
+      leapDayPolicy: record.leapDayPolicy || LEAP_DAY_POLICIES.FEB_28,
+      countMode: record.countMode || COUNT_MODES.COUNTDOWN,
+      tags: normalizeTags(record.tags),
+      reminderSettings: { ...DEFAULT_REMINDER_SETTINGS, ...(record.reminderSettings || {}) },
+      milestoneSettings: { ...DEFAULT_MILESTONE_SETTINGS, ...(record.milestoneSettings || {}) },
+    }),
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Map categories missing from the registry to "other"',
+    migrate: (record, { categories }) => {
+      const category = typeof record.category === 'string'
+        ? record.category.trim().toLowerCase()
+        : '';
+
+      return {
+        ...record,
+        category: categories.some((c) => c.id === category)
+          ? category
+          : ANNIVERSARY_CATEGORIES.OTHER,
+      };
+    },
+  },
+];
+
+/**
+ * Compare two dotted version strings
+ *
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const partsA = String(a).split('.').map(Number);
+  const partsB = String(b).split('.').map(Number);
+  const length = Math.max(partsA.length, partsB.length);
+
+  for (let i = 0; i < length; i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Detect the schema version of stored or imported data
+ *
+ * Raw arrays (written before versioning was read) are treated as 1.0.
+ *
+ * @param {Object|Array} data - Stored value or parsed import file
+ * @returns {string} Schema version
+ */
+export function detectVersion(data) {
+  if (data && !Array.isArray(data) && typeof data.version === 'string') {
+    return data.version;
+  }
+  return INITIAL_SCHEMA_VERSION;
+}
+
+/**
+ * Extract the record array from stored or imported data
+ *
+ * Supports raw arrays, the wrapped { anniversaries: [...] } format and the
+ * trash format { items: [...] }.
+ *
+ * @param {Object|Array} data - Stored value or parsed import file
+ * @returns {Array|null} Records, or null if the structure is not recognized
+ */
+export function extractRecords(data) {
+  if (Array.isArray(data)) {
+    return data;
+  }
+  if (data && Array.isArray(data.anniversaries)) {
+    return data.anniversaries;
+  }
+  if (data && Array.isArray(data.items)) {
+    return data.items;
+  }
+  return null;
+}
+
+/**
+ * Get the steps needed to upgrade from a version to SCHEMA_VERSION
+ *
+ * @param {string} fromVersion - Version the data was written with
+ * @returns {Migration[]} Steps to apply in order
+ * @throws {Error} If the version is newer than this build or has no upgrade path
+ */
+export function getMigrationPath(fromVersion) {
+  if (compareVersions(fromVersion, SCHEMA_VERSION) > 0) {
+    throw new Error(
+      `Data was saved by a newer version of the app (schema ${fromVersion}, this app supports ${SCHEMA_VERSION})`
+    );
+  }
+
+  const path = [];
+  let version = fromVersion;
+
+  while (compareVersions(version, SCHEMA_VERSION) < 0) {
+    const step = MIGRATIONS.find((migration) => migration.from === version);
+
+    if (!step) {
+      throw new Error(`No migration path from schema ${version}`);
+    }
+
+    path.push(step);
+    version = step.to;
+  }
+
+  return path;
+}
+
+/**
+ * Upgrade a list of records to the current schema
+ *
+ * Each record is migrated and validated on its own; a record that throws is
+ * reported in `failed` with its original, untouched data.
+ *
+ * @param {Object[]} records - Records to upgrade
+ * @param {string} fromVersion - Version the records were written with
+ * @param {Object} [context] - Data the steps may need
+ * @param {Category[]} [context.categories] - Category registry
+ * @returns {{records: Anniversary[], failed: Array<{record: Object, error: string}>}} Result
+ * @throws {Error} If there is no upgrade path for the version
+ */
+export function migrateRecords(records, fromVersion, { categories = DEFAULT_CATEGORIES } = {}) {
+  const path = getMigrationPath(fromVersion);
+  const migrated = [];
+  const failed = [];
+
+  records.forEach((record) => {
+    try {
+      if (!record || typeof record !== 'object') {
+        throw new Error('Record is not an object');
+      }
+
+      const upgraded = path.reduce(
+        (current, step) => step.migrate(current, { categories }),
+        record
+      );
+
+      validateAnniversary(upgraded, categories);
+      migrated.push(upgraded);
+    } catch (error) {
+      failed.push({ record, error: error.message });
+    }
+  });
+
+  return { records: migrated, failed };
+}
+
+export default {
+  SCHEMA_VERSION,
+  INITIAL_SCHEMA_VERSION,
+  MIGRATIONS,
+  compareVersions,
+  detectVersion,
+  extractRecords,
+  getMigrationPath,
+  migrateRecords,
+};
@@ -3,15 +3,81 @@ import {
   formatCountdown,
   calculateDaysUntil,
   getNextReminderDate,
+  getDueReminders,
+  getReminderTimings,
+  getTimesInWindow,
+  isWithinTimeRange,
+  getNextOccurrence,
+  formatDate,
 } from './DateService';
-import { startOfDay } from 'date-fns';
+import {
+  loadSettings,
+  claimDueReminders,
+  snoozeReminder,
+  markReminderDone,
+  addToNotificationInbox,
+  NOTIFICATION_MODES,
+  NOTIFICATION_CHANNELS,
+} from './StorageService';
+import { sendWebhook } from './WebhookService';
+import { normalizeReminderTiming, formatReminderTiming } from '../models/Anniversary';
+import { startOfDay, addDays, addHours, differenceInDays, format, parseISO } from 'date-fns';
 
 /**
- * NotificationService - Browser notification management
+ * NotificationService - Reminder and browser notification management
  *
  * Handles browser notification API interactions including permission requests,
- * scheduling, and displaying notifications for anniversaries.
+ * scheduling, and displaying notifications for anniversaries. Notifications
+ * are shown through the service worker registration when one is active, so
+ * the same code runs in the page and in the service worker.
+ *
+ * Due reminders are dispatched through pluggable channels: browser
+ * notifications, in-app toasts and a webhook are built in, and more can be
+ * added with registerNotificationChannel.
+ */
+
+/**
+ * Window event dispatched when a reminder notification is clicked
+ */
+export const NOTIFICATION_CLICK_EVENT = 'anniversaryNotificationClick';
+
+/**
+ * Window event dispatched when the toast channel delivers a reminder
+ */
+export const NOTIFICATION_TOAST_EVENT = 'anniversaryNotificationToast';
+
+/**
+ * Reminders found this late are still delivered on their own; older ones
+ * are bundled into a single catch-up notification
+ */
+const ON_TIME_WINDOW = 5 * 60 * 1000;
+
+/**
+ * How far back missed reminders are caught up on
+ */
+const MAX_CATCH_UP = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Actions offered on reminder notifications
+ */
+export const REMINDER_ACTIONS = {
+  SNOOZE_HOUR: 'snooze-1h',
+  SNOOZE_TOMORROW: 'snooze-tomorrow',
+  DONE: 'done',
+  OPEN: 'open',
+};
+
+/**
+ * Notification buttons, most useful first: browsers show only as many as
+ * Notification.maxActions allows (often two), and clicking the notification
+ * itself always opens the app
  */
+const REMINDER_ACTION_BUTTONS = [
+  { action: REMINDER_ACTIONS.SNOOZE_HOUR, title: 'Snooze 1h' },
+  { action: REMINDER_ACTIONS.SNOOZE_TOMORROW, title: 'Snooze until tomorrow' },
+  { action: REMINDER_ACTIONS.DONE, title: 'Mark done' },
+  { action: REMINDER_ACTIONS.OPEN, title: 'Open' },
+];
 
 /**
  * Check if browser supports notifications
@@ -19,7 +85,7 @@ import { startOfDay } from 'date-fns';
  * @returns {boolean} True if Notification API is supported
  */
 export function isNotificationSupported() {
-  return 'Notification' in window;
+  return typeof Notification !== 'undefined';
 }
 
 /**
@@ -64,153 +130,906 @@ export async function requestPermission() {
   }
 }
 
+/**
+ * Get the active service worker registration
+ *
+ * Inside the service worker this is its own registration; in the page it is
+ * the registration controlling the app, if any.
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration with an active worker, or null
+ */
+async function getActiveRegistration() {
+  if (typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope) {
+    return self.registration;
+  }
+
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+    return null;
+  }
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration && registration.active ? registration : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tell the app that a reminder notification was clicked
+ *
+ * @param {string} anniversaryId - Anniversary the notification belongs to
+ */
+export function emitNotificationClick(anniversaryId) {
+  window.dispatchEvent(
+    new CustomEvent(NOTIFICATION_CLICK_EVENT, {
+      detail: {
+        anniversaryId,
+      },
+    })
+  );
+}
+
+/**
+ * Focus the app and emit a click event when a page notification is clicked
+ *
+ * Notifications shown through the service worker are handled by its
+ * notificationclick listener instead.
+ *
+ * @param {Notification} notification - Notification object
+ * @param {string} anniversaryId - Anniversary the notification belongs to
+ */
+function attachClickHandler(notification, anniversaryId) {
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+    emitNotificationClick(anniversaryId);
+  };
+}
+
 /**
  * Show a browser notification
  *
+ * Uses registration.showNotification when a service worker is active, which
+ * also works while no tab is open; otherwise falls back to a page
+ * notification that closes after 10 seconds.
+ *
  * @param {string} title - Notification title
  * @param {string} body - Notification body text
  * @param {Object} [options] - Additional notification options
- * @returns {Notification|null} Notification object or null if failed
+ * @returns {Promise<boolean>} True if the notification was shown
  */
-export function showNotification(title, body, options = {}) {
+export async function showNotification(title, body, options = {}) {
   if (!isNotificationSupported()) {
     console.warn('Notifications are not supported');
-    return null;
+    return false;
   }
 
   if (Notification.permission !== 'granted') {
     console.warn('Notification permission not granted');
-    return null;
+    return false;
   }
 
+  const notificationOptions = {
+    body,
+    icon: '/icon.svg',
+    badge: '/icon.svg',
+    tag: options.tag || 'anniversary-notification',
+    requireInteraction: false,
+    silent: false,
+    ...options,
+  };
+
   try {
-    const notification = new Notification(title, {
-      body,
-      icon: '/favicon.ico',
-      badge: '/favicon.ico',
-      tag: options.tag || 'anniversary-notification',
-      requireInteraction: false,
-      silent: false,
-      ...options,
-    });
+    const registration = await getActiveRegistration();
+
+    if (registration) {
+      await registration.showNotification(title, notificationOptions);
+      return true;
+    }
+
+    // Page notifications cannot have action buttons
+    const { actions, ...pageOptions } = notificationOptions;
+    const notification = new Notification(title, pageOptions);
+
+    if (notificationOptions.data && notificationOptions.data.anniversaryId) {
+      attachClickHandler(notification, notificationOptions.data.anniversaryId);
+    }
 
     // Auto-close after 10 seconds
     setTimeout(() => {
       notification.close();
     }, 10000);
 
-    return notification;
+    return true;
   } catch (error) {
     console.error('Error showing notification:', error);
+    return false;
+  }
+}
+
+/**
+ * Turn a due reminder into plain data that can be stored and attached to a
+ * notification
+ *
+ * @param {DueReminder} reminder - Due reminder (or a re-fired snooze)
+ * @returns {Object} Serialized reminder
+ */
+function serializeReminder(reminder) {
+  return {
+    // Re-fired snoozes carry a suffix that only keeps their log entry unique
+    key: reminder.key.split('|snoozed-')[0],
+    occurrenceKey: reminder.occurrenceKey,
+    kind: reminder.kind,
+    anniversaryId: reminder.anniversaryId,
+    occurrence: typeof reminder.occurrence === 'string'
+      ? reminder.occurrence
+      : format(reminder.occurrence, 'yyyy-MM-dd'),
+    daysUntil: reminder.daysUntil,
+    days: reminder.days,
+    timeOfDay: reminder.timeOfDay || format(new Date(reminder.fireAt), 'HH:mm'),
+  };
+}
+
+/**
+ * Notification options carrying a reminder and its action buttons
+ *
+ * @param {DueReminder} [reminder] - Due reminder (none for ad-hoc notifications)
+ * @param {Object} data - Notification data
+ * @returns {Object} Options with the data, plus the reminder and actions if given
+ */
+function reminderOptions(reminder, data) {
+  if (!reminder || !reminder.key) {
+    return { data };
+  }
+
+  return {
+    actions: REMINDER_ACTION_BUTTONS,
+    data: { ...data, reminder: serializeReminder(reminder) },
+  };
+}
+
+/**
+ * Apply a notification action to the reminder it was shown for
+ *
+ * "Snooze 1h" and "Snooze until tomorrow" (at the reminder's time of day)
+ * store a snooze that the checker fires again; "Mark done" skips the
+ * occurrence's remaining reminders. "Open" changes nothing.
+ *
+ * @param {string} action - A REMINDER_ACTIONS value
+ * @param {Object} reminder - Serialized reminder from the notification data
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<void>} Resolves once saved
+ */
+export async function handleReminderAction(action, reminder, now = new Date()) {
+  if (!reminder) {
+    return;
+  }
+
+  if (action === REMINDER_ACTIONS.SNOOZE_HOUR) {
+    await snoozeReminder(reminder, addHours(now, 1));
+  } else if (action === REMINDER_ACTIONS.SNOOZE_TOMORROW) {
+    const [hours, minutes] = (reminder.timeOfDay || '09:00').split(':').map(Number);
+    const tomorrow = addDays(startOfDay(now), 1);
+    await snoozeReminder(reminder, new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate(), hours, minutes));
+  } else if (action === REMINDER_ACTIONS.DONE) {
+    await markReminderDone(reminder, now);
+  }
+}
+
+/**
+ * Title and text of an anniversary reminder
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {number} daysUntil - Days until the occurrence
+ * @returns {{title: string, body: string}} Notification text
+ */
+function reminderText(anniversary, daysUntil) {
+  if (daysUntil === 0) {
+    return {
+      title: `Today: ${anniversary.title}`,
+      body: anniversary.description || 'This anniversary is today!',
+    };
+  }
+  if (daysUntil === 1) {
+    return {
+      title: `Tomorrow: ${anniversary.title}`,
+      body: anniversary.description || 'This anniversary is tomorrow!',
+    };
+  }
+  return {
+    title: `Upcoming: ${anniversary.title}`,
+    body: `${formatCountdown(daysUntil)} until this anniversary${
+      anniversary.description ? ' - ' + anniversary.description : ''
+    }`,
+  };
+}
+
+/**
+ * Title and text of a day-count milestone reminder
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {{days: number, daysUntil: number}} milestone - Due milestone
+ * @returns {{title: string, body: string}} Notification text
+ */
+function milestoneText(anniversary, milestone) {
+  const dayCount = `${milestone.days.toLocaleString()} days`;
+
+  if (milestone.daysUntil === 0) {
+    return {
+      title: `Today: ${dayCount} of ${anniversary.title}`,
+      body: `It has been ${dayCount} since ${anniversary.title}!`,
+    };
+  }
+  if (milestone.daysUntil === 1) {
+    return {
+      title: `Tomorrow: ${dayCount} of ${anniversary.title}`,
+      body: `Tomorrow marks ${dayCount} since ${anniversary.title}!`,
+    };
+  }
+  return {
+    title: `Upcoming: ${dayCount} of ${anniversary.title}`,
+    body: `${formatCountdown(milestone.daysUntil)} until ${dayCount} since ${anniversary.title}`,
+  };
+}
+
+/**
+ * A reminder ready to be delivered, whatever the channel
+ *
+ * @typedef {Object} ReminderMessage
+ * @property {string} title - Title
+ * @property {string} body - Text
+ * @property {string} kind - 'reminder', 'milestone', 'digest', 'catch-up' or 'weekly'
+ * @property {Anniversary|null} anniversary - Anniversary it is about (null when several are bundled)
+ * @property {DueReminder[]} reminders - Due reminders it delivers
+ * @property {Object} options - Browser notification options (tag, actions and data)
+ */
+
+/**
+ * Build the message for an anniversary reminder
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {number} daysUntil - Days until the occurrence
+ * @param {DueReminder} [reminder] - Due reminder (adds actions)
+ * @returns {ReminderMessage} Message
+ */
+function reminderMessage(anniversary, daysUntil, reminder) {
+  return {
+    ...reminderText(anniversary, daysUntil),
+    kind: 'reminder',
+    anniversary,
+    reminders: reminder ? [reminder] : [],
+    options: {
+      tag: `anniversary-${anniversary.id}-${daysUntil}`,
+      ...reminderOptions(reminder, {
+        anniversaryId: anniversary.id,
+        daysUntil,
+      }),
+    },
+  };
+}
+
+/**
+ * Build the message for a day-count milestone
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {{days: number, daysUntil: number}} milestone - Due milestone, or a DueReminder (adds actions)
+ * @returns {ReminderMessage} Message
+ */
+function milestoneMessage(anniversary, milestone) {
+  return {
+    ...milestoneText(anniversary, milestone),
+    kind: 'milestone',
+    anniversary,
+    reminders: milestone.key ? [milestone] : [],
+    options: {
+      tag: `anniversary-${anniversary.id}-milestone-${milestone.days}-${milestone.daysUntil}`,
+      ...reminderOptions(milestone, {
+        anniversaryId: anniversary.id,
+        daysUntil: milestone.daysUntil,
+        milestone: milestone.days,
+      }),
+    },
+  };
+}
+
+/**
+ * Build the message for a due reminder on its own
+ *
+ * @param {DueReminder} reminder - Due reminder
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {ReminderMessage} Message
+ */
+function dueReminderMessage(reminder, anniversariesById) {
+  const anniversary = anniversariesById.get(reminder.anniversaryId);
+  return reminder.kind === 'milestone'
+    ? milestoneMessage(anniversary, reminder)
+    : reminderMessage(anniversary, reminder.daysUntil, reminder);
+}
+
+/**
+ * Describe a reminder as one line of a summary notification
+ *
+ * @param {DueReminder} reminder - Due reminder
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {string} Line of text
+ */
+function describeReminder(reminder, anniversariesById) {
+  const { title } = anniversariesById.get(reminder.anniversaryId);
+  const subject = reminder.kind === 'milestone'
+    ? `${reminder.days.toLocaleString()} days of ${title}`
+    : title;
+  return `${subject} (${formatDate(reminder.occurrence, 'MMM d')})`;
+}
+
+/**
+ * Build one message listing several reminders
+ *
+ * @param {string} title - Title
+ * @param {string} kind - Message kind
+ * @param {DueReminder[]} reminders - Reminders to list
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @param {string} tag - Notification tag
+ * @returns {ReminderMessage} Message
+ */
+function reminderListMessage(title, kind, reminders, anniversariesById, tag) {
+  const single = reminders.length === 1 ? reminders[0] : null;
+
+  return {
+    title,
+    body: reminders.map((reminder) => describeReminder(reminder, anniversariesById)).join('\n'),
+    kind,
+    anniversary: single ? anniversariesById.get(single.anniversaryId) : null,
+    reminders,
+    options: {
+      tag,
+      // A single reminder can be snoozed or marked done like any other
+      ...reminderOptions(single, {
+        anniversaryId: single ? single.anniversaryId : null,
+      }),
+    },
+  };
+}
+
+/**
+ * Build the message summarizing reminders that were missed
+ *
+ * @param {DueReminder[]} missed - Missed reminders, oldest first
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {ReminderMessage} Message
+ */
+function catchUpMessage(missed, anniversariesById) {
+  const title = missed.length === 1
+    ? 'Missed reminder'
+    : `${missed.length} missed reminders`;
+
+  return reminderListMessage(title, 'catch-up', missed, anniversariesById, 'anniversary-catch-up');
+}
+
+/**
+ * Build the daily digest message; a single reminder stays a regular reminder
+ *
+ * @param {DueReminder[]} reminders - Reminders due today
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {ReminderMessage} Message
+ */
+function digestMessage(reminders, anniversariesById) {
+  if (reminders.length === 1) {
+    return dueReminderMessage(reminders[0], anniversariesById);
+  }
+
+  return reminderListMessage(`Today's reminders (${reminders.length})`, 'digest', reminders, anniversariesById, 'anniversary-digest');
+}
+
+/**
+ * Build the weekly summary message
+ *
+ * @param {Anniversary[]} anniversaries - Array of anniversary objects
+ * @returns {ReminderMessage|null} Message, or null for an empty week
+ */
+function weeklyMessage(anniversaries) {
+  const summary = weeklySummaryText(anniversaries);
+  if (!summary) {
     return null;
   }
+
+  return {
+    title: summary.title,
+    body: summary.body,
+    kind: 'weekly',
+    anniversary: anniversaries.find((anniversary) => anniversary.id === summary.anniversaryId) || null,
+    reminders: [],
+    options: {
+      tag: 'anniversary-weekly',
+      data: { anniversaryId: summary.anniversaryId },
+    },
+  };
+}
+
+/**
+ * Show a message as a browser notification
+ *
+ * @param {ReminderMessage|null} message - Message to show
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+async function showMessage(message) {
+  if (!message) {
+    return false;
+  }
+  return showNotification(message.title, message.body, message.options);
 }
 
 /**
  * Schedule a notification for an anniversary
  *
- * Note: This creates a notification immediately if conditions are met.
- * For true scheduling, use checkAndFireNotifications in a periodic check.
+ * Note: Without a due reminder this creates a notification immediately if
+ * the reminder is due right now. For true scheduling, use
+ * checkAndFireNotifications in a periodic check.
  *
  * @param {Anniversary} anniversary - Anniversary object
- * @returns {Notification|null} Notification object if shown
+ * @param {DueReminder} [reminder] - Due reminder to show (skips the due check and adds actions)
+ * @returns {Promise<boolean>} True if a notification was shown
  */
-export function scheduleNotification(anniversary) {
+export async function scheduleNotification(anniversary, reminder) {
   if (!anniversary.reminderSettings || !anniversary.reminderSettings.enabled) {
-    return null;
+    return false;
+  }
+
+  let daysUntil = reminder ? reminder.daysUntil : undefined;
+
+  if (daysUntil === undefined) {
+    const now = new Date();
+
+    if (!shouldNotifyDate(anniversary, now)) {
+      return false;
+    }
+
+    const nextReminderDate = getNextReminderDate(anniversary, now);
+    daysUntil = nextReminderDate
+      ? Math.max(0, Math.round((startOfDay(nextReminderDate) - startOfDay(now)) / (1000 * 60 * 60 * 24)))
+      : calculateDaysUntil(anniversary);
   }
 
-  const now = new Date();
-  const shouldNotify = shouldNotifyDate(anniversary, now);
+  return showMessage(reminderMessage(anniversary, daysUntil, reminder));
+}
+
+/**
+ * Show a notification for a day-count milestone
+ *
+ * @param {Anniversary} anniversary - Anniversary object
+ * @param {{days: number, daysUntil: number}} milestone - Due milestone from getDueMilestones,
+ *   or a DueReminder (which adds actions)
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export function scheduleMilestoneNotification(anniversary, milestone) {
+  return showMessage(milestoneMessage(anniversary, milestone));
+}
+
+/**
+ * Show one notification summarizing reminders that were missed
+ *
+ * @param {DueReminder[]} missed - Missed reminders, oldest first
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export function showCatchUpNotification(missed, anniversariesById) {
+  return showMessage(catchUpMessage(missed, anniversariesById));
+}
+
+/**
+ * Show the daily digest: everything due today in one notification
+ *
+ * A single reminder is shown as a regular reminder notification.
+ *
+ * @param {DueReminder[]} reminders - Reminders due today
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export function showDigestNotification(reminders, anniversariesById) {
+  return showMessage(digestMessage(reminders, anniversariesById));
+}
+
+/**
+ * Show the weekly "coming up this week" summary
+ *
+ * Lists every anniversary occurring in the next seven days, whether or not
+ * it has reminders enabled. Nothing is shown for an empty week.
+ *
+ * @param {Anniversary[]} anniversaries - Array of anniversary objects
+ * @returns {Promise<boolean>} True if the notification was shown
+ */
+export function showWeeklySummaryNotification(anniversaries) {
+  return showMessage(weeklyMessage(anniversaries));
+}
 
-  if (!shouldNotify) {
+/**
+ * Title and text of the weekly summary
+ *
+ * @param {Anniversary[]} anniversaries - Array of anniversary objects
+ * @returns {{title: string, body: string, anniversaryId: string|null}|null} Summary, or null for an empty week
+ */
+function weeklySummaryText(anniversaries) {
+  const upcoming = anniversaries
+    .map((anniversary) => ({ anniversary, daysUntil: calculateDaysUntil(anniversary) }))
+    .filter(({ daysUntil }) => daysUntil >= 0 && daysUntil < 7)
+    .sort((a, b) => a.daysUntil - b.daysUntil);
+
+  if (upcoming.length === 0) {
     return null;
   }
 
-  const nextReminderDate = getNextReminderDate(anniversary, now);
-  const daysUntil = nextReminderDate
-    ? Math.max(0, Math.round((startOfDay(nextReminderDate) - startOfDay(now)) / (1000 * 60 * 60 * 24)))
-    : calculateDaysUntil(anniversary.date);
-  const countdown = formatCountdown(daysUntil);
+  const lines = upcoming.map(({ anniversary }) =>
+    `${anniversary.title} (${formatDate(getNextOccurrence(anniversary), 'EEE, MMM d')})`
+  );
 
-  let title;
-  let body;
+  return {
+    title: 'Coming up this week',
+    body: lines.join('\n'),
+    anniversaryId: upcoming.length === 1 ? upcoming[0].anniversary.id : null,
+  };
+}
 
-  if (daysUntil === 0) {
-    title = `Today: ${anniversary.title}`;
-    body = anniversary.description || 'This anniversary is today!';
-  } else if (daysUntil === 1) {
-    title = `Tomorrow: ${anniversary.title}`;
-    body = anniversary.description || 'This anniversary is tomorrow!';
-  } else {
-    title = `Upcoming: ${anniversary.title}`;
-    body = `${countdown} until this anniversary${
-      anniversary.description ? ' - ' + anniversary.description : ''
-    }`;
+/**
+ * A way of delivering reminders
+ *
+ * @typedef {Object} NotificationChannel
+ * @property {string} label - Name shown when picking channels
+ * @property {Function} deliver - (message: ReminderMessage, settings: AppSettings) => Promise<boolean>,
+ *   resolving to true if the message was delivered
+ */
+
+/**
+ * Registered channels by ID, in registration order
+ *
+ * @type {Map<string, NotificationChannel>}
+ */
+const channels = new Map();
+
+/**
+ * Register a channel reminders can be delivered through
+ *
+ * Registering an existing ID replaces that channel.
+ *
+ * @param {string} id - Channel ID, stored in settings and anniversaries
+ * @param {NotificationChannel} channel - Channel
+ */
+export function registerNotificationChannel(id, channel) {
+  if (!id || !channel || typeof channel.deliver !== 'function') {
+    throw new Error('A notification channel needs an ID and a deliver function');
   }
+  channels.set(id, { label: channel.label || id, deliver: channel.deliver });
+}
 
-  return showNotification(title, body, {
-    tag: `anniversary-${anniversary.id}-${daysUntil}`,
-    data: {
-      anniversaryId: anniversary.id,
-      daysUntil,
-    },
-  });
+/**
+ * Remove a registered channel
+ *
+ * @param {string} id - Channel ID
+ * @returns {boolean} True if the channel was registered
+ */
+export function unregisterNotificationChannel(id) {
+  return channels.delete(id);
+}
+
+/**
+ * List the registered channels
+ *
+ * @returns {{id: string, label: string}[]} Channels in registration order
+ */
+export function listNotificationChannels() {
+  return [...channels].map(([id, channel]) => ({ id, label: channel.label }));
+}
+
+/**
+ * Get the channels an anniversary's reminders are delivered through
+ *
+ * @param {Anniversary|null} anniversary - Anniversary object (null for the weekly summary)
+ * @param {AppSettings} [settings] - App settings (defaults to the stored settings)
+ * @returns {string[]} Channel IDs
+ */
+export function getAnniversaryChannels(anniversary, settings = loadSettings()) {
+  const own = anniversary && anniversary.reminderSettings && anniversary.reminderSettings.channels;
+  return own || settings.notificationChannels || [NOTIFICATION_CHANNELS.BROWSER];
+}
+
+/**
+ * Deliver a message through one channel
+ *
+ * A failing channel is logged and never keeps the others from delivering.
+ *
+ * @param {string} id - Channel ID
+ * @param {ReminderMessage} message - Message to deliver
+ * @param {AppSettings} settings - App settings
+ * @returns {Promise<boolean>} True if the message was delivered
+ */
+async function deliverThrough(id, message, settings) {
+  try {
+    return Boolean(await channels.get(id).deliver(message, settings));
+  } catch (error) {
+    console.error(`Error delivering through the ${id} channel:`, error);
+    return false;
+  }
+}
+
+/**
+ * Placeholder values for a webhook payload
+ *
+ * @param {ReminderMessage} message - Message being delivered
+ * @returns {Object} Values by placeholder name
+ */
+function webhookValues(message) {
+  const single = message.reminders.length === 1 ? message.reminders[0] : null;
+
+  return {
+    title: message.title,
+    body: message.body,
+    kind: message.kind,
+    anniversary: message.anniversary ? message.anniversary.title : '',
+    anniversaryId: message.anniversary ? message.anniversary.id : '',
+    date: single ? format(single.occurrence, 'yyyy-MM-dd') : '',
+    daysUntil: single ? single.daysUntil : '',
+    sentAt: new Date().toISOString(),
+  };
+}
+
+registerNotificationChannel(NOTIFICATION_CHANNELS.BROWSER, {
+  label: '浏览器通知 (Browser notification)',
+  deliver: (message) => {
+    // Without permission reminders still reach the notification center
+    if (!isNotificationSupported() || Notification.permission !== 'granted') {
+      return false;
+    }
+    return showMessage(message);
+  },
+});
+
+registerNotificationChannel(NOTIFICATION_CHANNELS.TOAST, {
+  label: '页面提示 (In-app toast)',
+  deliver: (message) => {
+    // Only an open page can show a toast; the service worker cannot
+    if (typeof window === 'undefined') {
+      return false;
+    }
+    window.dispatchEvent(
+      new CustomEvent(NOTIFICATION_TOAST_EVENT, {
+        detail: {
+          title: message.title,
+          body: message.body,
+          anniversaryId: message.anniversary ? message.anniversary.id : null,
+        },
+      })
+    );
+    return true;
+  },
+});
+
+registerNotificationChannel(NOTIFICATION_CHANNELS.WEBHOOK, {
+  label: 'Webhook',
+  deliver: async (message, settings) => {
+    if (!settings.webhook || !settings.webhook.url) {
+      return false;
+    }
+    const delivery = await sendWebhook(settings.webhook, webhookValues(message));
+    return delivery.status === 'delivered';
+  },
+});
+
+/**
+ * Build the notification center entry for a claimed reminder
+ *
+ * @param {DueReminder} reminder - Claimed reminder
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {InboxEntry} Unread entry
+ */
+function toInboxEntry(reminder, anniversariesById) {
+  const anniversary = anniversariesById.get(reminder.anniversaryId);
+  const { title, body } = reminder.kind === 'milestone'
+    ? milestoneText(anniversary, reminder)
+    : reminderText(anniversary, reminder.daysUntil);
+
+  return {
+    id: reminder.key,
+    kind: reminder.kind,
+    anniversaryId: anniversary.id,
+    title,
+    body,
+    firedAt: new Date(reminder.fireAt).toISOString(),
+    readAt: null,
+  };
+}
+
+/**
+ * Get the length of a daily time range in milliseconds
+ *
+ * @param {string} start - Range start as HH:mm
+ * @param {string} end - Range end as HH:mm
+ * @returns {number} Length, wrapping past midnight
+ */
+function rangeLength(start, end) {
+  const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return (((toMinutes(end) - toMinutes(start)) + 24 * 60) % (24 * 60)) * 60 * 1000;
+}
+
+/**
+ * Bundle due reminders into the messages one channel delivers
+ *
+ * @param {DueReminder[]} onTime - Reminders due now (or held by quiet hours)
+ * @param {DueReminder[]} missed - Reminders found late, oldest first
+ * @param {boolean} digest - Whether on-time reminders are bundled into a digest
+ * @param {Map<string, Anniversary>} anniversariesById - Anniversaries by ID
+ * @returns {ReminderMessage[]} Messages
+ */
+function bundleMessages(onTime, missed, digest, anniversariesById) {
+  // Snoozes were asked for one by one, so they are never bundled
+  const bundled = digest ? onTime.filter((reminder) => !reminder.snoozed) : [];
+  const messages = onTime
+    .filter((reminder) => !bundled.includes(reminder))
+    .map((reminder) => dueReminderMessage(reminder, anniversariesById));
+
+  if (bundled.length > 0) {
+    messages.push(digestMessage(bundled, anniversariesById));
+  }
+
+  if (missed.length > 0) {
+    messages.push(catchUpMessage(missed, anniversariesById));
+  }
+
+  return messages;
 }
 
 /**
  * Check all anniversaries and fire notifications as needed
  *
  * This should be called periodically (e.g., every minute) to check if any
- * anniversaries need notifications based on their reminder settings.
+ * anniversaries need notifications based on their reminder settings. Day-count
+ * milestones are reminded with the same timings. The page and the service
+ * worker both call it.
+ *
+ * Every reminder scheduled since the previous check (at most a week back) is
+ * claimed through the fired-reminder log, so nothing fires twice even when
+ * several tabs and the service worker check at once. Reminders found more
+ * than a few minutes late, e.g. because the browser was closed, are
+ * delivered together as one catch-up notification. Snoozed reminders are
+ * delivered again once their snooze time has passed.
+ *
+ * Claimed reminders are recorded in the in-app notification center before
+ * anything is delivered, so they are kept even when no channel can deliver
+ * them.
+ *
+ * Reminders are then delivered through every registered channel the
+ * anniversary uses (its own pick, or the default channels from settings),
+ * bundled separately per channel. The weekly summary goes through the
+ * default channels.
+ *
+ * Global settings shape the delivery: nothing is delivered during quiet
+ * hours, and reminders held back by them are delivered when they end. In
+ * daily digest mode every reminder of the day is due at the digest time and
+ * bundled into one notification. The weekly summary is claimed the same way
+ * as reminders.
  *
  * @param {Anniversary[]} anniversaries - Array of anniversary objects
- * @returns {number} Number of notifications triggered
+ * @param {AppSettings} [settings] - App settings (defaults to the stored settings)
+ * @param {Date} [now] - Time of the check (defaults to now)
+ * @returns {Promise<number>} Number of messages delivered, counted per channel
  */
-export function checkAndFireNotifications(anniversaries) {
+export async function checkAndFireNotifications(anniversaries, settings = loadSettings(), now = new Date()) {
   if (!Array.isArray(anniversaries)) {
     console.error('Invalid anniversaries array');
     return 0;
   }
 
-  if (Notification.permission !== 'granted') {
+  // Leave everything unclaimed until quiet hours are over
+  const quietHours = settings.quietHours && settings.quietHours.enabled ? settings.quietHours : null;
+  if (quietHours && isWithinTimeRange(now, quietHours.start, quietHours.end)) {
     return 0;
   }
 
-  let notificationCount = 0;
-  const now = new Date();
-
-  anniversaries.forEach((anniversary) => {
-    if (shouldNotifyDate(anniversary, now)) {
-      const notification = scheduleNotification(anniversary);
-      if (notification) {
-        notificationCount++;
-
-        // Handle notification click
-        notification.onclick = () => {
-          window.focus();
-          notification.close();
-
-          // Emit custom event for app to handle
-          window.dispatchEvent(
-            new CustomEvent('anniversaryNotificationClick', {
-              detail: {
-                anniversaryId: anniversary.id,
-              },
-            })
-          );
-        };
+  const digest = settings.notificationMode === NOTIFICATION_MODES.DIGEST;
+  const weekly = settings.weeklySummary && settings.weeklySummary.enabled ? settings.weeklySummary : null;
+
+  const claimed = await claimDueReminders(now, (lastCheckedAt) => {
+    // The first check ever only looks at the on-time window
+    const from = new Date(Math.max(
+      lastCheckedAt ? lastCheckedAt.getTime() : now.getTime() - ON_TIME_WINDOW,
+      now.getTime() - MAX_CATCH_UP
+    ));
+
+    // The digest reminds on the same days, all at the digest time
+    const reminders = anniversaries
+      .map((anniversary) => (digest && anniversary.reminderSettings
+        ? {
+          ...anniversary,
+          reminderSettings: {
+            ...anniversary.reminderSettings,
+            timings: [...new Set(getReminderTimings(anniversary.reminderSettings).map((timing) => timing.daysBefore))],
+            timeOfDay: settings.digestTime,
+          },
+        }
+        : anniversary))
+      .flatMap((anniversary) => getDueReminders(anniversary, from, now, settings.milestones));
+
+    const summaries = weekly
+      ? getTimesInWindow(from, now, weekly.time, weekly.weekday).map((fireAt) => {
+        const key = `weekly|${format(fireAt, 'yyyy-MM-dd')}`;
+        return { key, occurrenceKey: key, kind: 'weekly', anniversaryId: null, fireAt };
+      })
+      : [];
+
+    return [...reminders, ...summaries].sort((a, b) => a.fireAt - b.fireAt);
+  });
+
+  const anniversariesById = new Map(anniversaries.map((anniversary) => [anniversary.id, anniversary]));
+
+  // Re-fired snoozes come back as stored; count their days from now
+  const due = claimed
+    .filter((reminder) => anniversariesById.has(reminder.anniversaryId))
+    .map((reminder) => {
+      if (!reminder.snoozed) {
+        return reminder;
       }
+      const occurrence = parseISO(reminder.occurrence);
+      return {
+        ...reminder,
+        occurrence,
+        fireAt: new Date(reminder.fireAt),
+        daysUntil: Math.max(0, differenceInDays(occurrence, startOfDay(now))),
+      };
+    });
+
+  // Every reminder is kept in the notification center, even without permission
+  const weeklyClaim = claimed.filter((reminder) => reminder.kind === 'weekly').pop();
+  const summary = weeklyClaim ? weeklySummaryText(anniversaries) : null;
+
+  await addToNotificationInbox([
+    ...due.map((reminder) => toInboxEntry(reminder, anniversariesById)),
+    ...(summary
+      ? [{
+        id: weeklyClaim.key,
+        kind: 'weekly',
+        anniversaryId: summary.anniversaryId,
+        title: summary.title,
+        body: summary.body,
+        firedAt: new Date(weeklyClaim.fireAt).toISOString(),
+        readAt: null,
+      }]
+      : []),
+  ]);
+
+  // Reminders from the quiet period that just ended were held, not missed
+  const quietLength = quietHours ? rangeLength(quietHours.start, quietHours.end) : 0;
+  const isOnTime = (reminder) =>
+    now - reminder.fireAt <= ON_TIME_WINDOW ||
+    (quietHours &&
+      now - reminder.fireAt <= quietLength + ON_TIME_WINDOW &&
+      isWithinTimeRange(reminder.fireAt, quietHours.start, quietHours.end));
+
+  const onTime = due.filter(isOnTime);
+  const missed = due.filter((reminder) => !isOnTime(reminder));
+  const defaultChannels = getAnniversaryChannels(null, settings);
+
+  const pending = [...channels.keys()].flatMap((id) => {
+    const usesChannel = (reminder) =>
+      getAnniversaryChannels(anniversariesById.get(reminder.anniversaryId), settings).includes(id);
+    const messages = bundleMessages(onTime.filter(usesChannel), missed.filter(usesChannel), digest, anniversariesById);
+
+    // However late, only the latest weekly summary is worth delivering
+    if (summary && defaultChannels.includes(id)) {
+      messages.push(weeklyMessage(anniversaries));
     }
+
+    return messages.map((message) => deliverThrough(id, message, settings));
   });
 
-  return notificationCount;
+  const delivered = await Promise.all(pending);
+  return delivered.filter(Boolean).length;
 }
 
 /**
  * Test notification (for testing purposes)
  *
- * @returns {Notification|null} Test notification
+ * @returns {Promise<boolean>} True if the notification was shown
  */
 export function showTestNotification() {
   return showNotification(
@@ -239,44 +1058,63 @@ export function clearNotification(tag) {
 /**
  * Get a summary of upcoming notifications for an anniversary
  *
+ * Lists the reminders for the next occurrence that have not fired yet,
+ * soonest first.
+ *
  * @param {Anniversary} anniversary - Anniversary object
+ * @param {Date} [now] - Current date/time (defaults to now)
  * @returns {Object[]} Array of scheduled notification info
  */
-export function getUpcomingNotifications(anniversary) {
+export function getUpcomingNotifications(anniversary, now = new Date()) {
   if (!anniversary.reminderSettings || !anniversary.reminderSettings.enabled) {
     return [];
   }
 
-  const nextReminderDate = getNextReminderDate(anniversary);
+  const nextReminderDate = getNextReminderDate(anniversary, now);
   if (!nextReminderDate) {
     return [];
   }
 
-  const daysUntil = Math.max(
-    0,
-    Math.round((startOfDay(nextReminderDate) - startOfDay(new Date())) / (1000 * 60 * 60 * 24))
-  );
-  const timings = anniversary.reminderSettings.timings || [];
   const timeOfDay = anniversary.reminderSettings.timeOfDay || '09:00';
+  const timings = (anniversary.reminderSettings.timings || []).filter(normalizeReminderTiming);
+
+  return getReminderTimings({ timings, timeOfDay })
+    .map((timing, index) => {
+      const day = addDays(startOfDay(nextReminderDate), -timing.daysBefore);
+      const [hours, minutes] = timing.timeOfDay.split(':').map(Number);
 
-  return timings
-    .filter((timing) => timing >= daysUntil)
-    .map((timing) => ({
-      daysUntil: timing,
-      countdown: formatCountdown(timing),
-      timeOfDay,
-      date: new Date(
-        Date.now() + (timing - daysUntil) * 24 * 60 * 60 * 1000
-      ).toISOString(),
-    }));
+      return {
+        daysUntil: timing.daysBefore,
+        countdown: formatCountdown(timing.daysBefore),
+        label: formatReminderTiming(timings[index]),
+        timeOfDay: timing.timeOfDay,
+        date: new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes),
+      };
+    })
+    .filter((notification) => notification.date > now)
+    .sort((a, b) => a.date - b.date)
+    .map((notification) => ({ ...notification, date: notification.date.toISOString() }));
 }
 
 export default {
+  NOTIFICATION_CLICK_EVENT,
+  NOTIFICATION_TOAST_EVENT,
+  REMINDER_ACTIONS,
   isNotificationSupported,
   getPermissionStatus,
   requestPermission,
   showNotification,
+  emitNotificationClick,
   scheduleNotification,
+  scheduleMilestoneNotification,
+  showCatchUpNotification,
+  showDigestNotification,
+  showWeeklySummaryNotification,
+  handleReminderAction,
+  registerNotificationChannel,
+  unregisterNotificationChannel,
+  listNotificationChannels,
+  getAnniversaryChannels,
   checkAndFireNotifications,
   showTestNotification,
   clearNotification,
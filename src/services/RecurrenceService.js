@@ -0,0 +1,152 @@
+import { startOfDay, isBefore, addDays, differenceInCalendarDays } from 'date-fns';
+import { RECURRENCE_FREQUENCIES } from '../models/Anniversary';
+
+/**
+ * RecurrenceService - Rule-based recurrence evaluation
+ *
+ * Evaluates RRULE-style recurrences that do not sit on a fixed month/day,
+ * such as "second Sunday of May", "last Friday of June" or "every 2 weeks".
+ * The anniversary date is the start of the recurrence (like RRULE's DTSTART).
+ */
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'Last' };
+
+/**
+ * Get the nth weekday of a month
+ *
+ * @param {number} year - Full year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Day of week (0 = Sunday ... 6 = Saturday)
+ * @param {number} nth - Occurrence within the month (1-5), or -1 for the last one
+ * @returns {Date|null} Date at local midnight, or null if the month has no such day (e.g. a 5th Monday)
+ */
+export function getNthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth === -1) {
+    const lastDay = new Date(year, month, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return new Date(year, month - 1, lastDay.getDate() - offset);
+  }
+
+  const firstDay = new Date(year, month - 1, 1);
+  const offset = (weekday - firstDay.getDay() + 7) % 7;
+  const date = new Date(year, month - 1, 1 + offset + (nth - 1) * 7);
+
+  return date.getMonth() === month - 1 ? date : null;
+}
+
+/**
+ * Get the occurrence of a yearly recurrence in a given year
+ *
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @param {number} year - Full year
+ * @returns {Date|null} Occurrence date, or null if the rule is not yearly or has no date that year
+ */
+export function getRecurrenceInYear(recurrence, year) {
+  if (!recurrence || recurrence.freq !== RECURRENCE_FREQUENCIES.YEARLY) {
+    return null;
+  }
+  return getNthWeekdayOfMonth(year, recurrence.month, recurrence.weekday, recurrence.nth);
+}
+
+/**
+ * Get the next occurrence of a recurrence on or after a given day
+ *
+ * Occurrences before the start date are never returned, and an interval of N
+ * only keeps every Nth period counted from the start date.
+ *
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @param {Date} startDate - Start of the recurrence (the anniversary date)
+ * @param {Date} today - Start of the current day
+ * @returns {Date|null} Next occurrence date
+ */
+export function getNextRecurrence(recurrence, startDate, today) {
+  const start = startOfDay(startDate);
+  const from = isBefore(today, start) ? start : startOfDay(today);
+  const interval = Math.max(1, Number(recurrence.interval) || 1);
+
+  switch (recurrence.freq) {
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const periodDays = interval * 7;
+      const elapsed = differenceInCalendarDays(from, start);
+      return addDays(start, Math.ceil(elapsed / periodDays) * periodDays);
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const startIndex = start.getFullYear() * 12 + start.getMonth();
+      let index = from.getFullYear() * 12 + from.getMonth();
+      index += (interval - ((index - startIndex) % interval)) % interval;
+
+      // A few periods are enough to skip months without a matching day
+      for (let i = 0; i < 12; i++, index += interval) {
+        const occurrence = getNthWeekdayOfMonth(
+          Math.floor(index / 12),
+          (index % 12) + 1,
+          recurrence.weekday,
+          recurrence.nth
+        );
+        if (occurrence && !isBefore(occurrence, from)) {
+          return occurrence;
+        }
+      }
+      return null;
+    }
+
+    case RECURRENCE_FREQUENCIES.YEARLY: {
+      let year = from.getFullYear();
+      year += (interval - ((year - start.getFullYear()) % interval)) % interval;
+
+      for (let i = 0; i < 12; i++, year += interval) {
+        const occurrence = getRecurrenceInYear(recurrence, year);
+        if (occurrence && !isBefore(occurrence, from)) {
+          return occurrence;
+        }
+      }
+      return null;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Describe a recurrence in plain English, e.g. "2nd Sunday of May"
+ *
+ * @param {Recurrence} recurrence - Recurrence rule
+ * @returns {string} Human-readable description
+ */
+export function formatRecurrence(recurrence) {
+  if (!recurrence) {
+    return '';
+  }
+
+  const interval = Math.max(1, Number(recurrence.interval) || 1);
+  const weekdayPart = `${ORDINALS[recurrence.nth] || ''} ${WEEKDAY_NAMES[recurrence.weekday] || ''}`;
+
+  switch (recurrence.freq) {
+    case RECURRENCE_FREQUENCIES.WEEKLY:
+      return interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      return interval === 1
+        ? `${weekdayPart} of every month`
+        : `${weekdayPart} of every ${interval} months`;
+    case RECURRENCE_FREQUENCIES.YEARLY:
+      return `${weekdayPart} of ${MONTH_NAMES[recurrence.month - 1] || ''}${
+        interval === 1 ? '' : ` every ${interval} years`
+      }`;
+    default:
+      return '';
+  }
+}
+
+export default {
+  getNthWeekdayOfMonth,
+  getRecurrenceInYear,
+  getNextRecurrence,
+  formatRecurrence,
+};
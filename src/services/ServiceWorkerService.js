@@ -0,0 +1,111 @@
+import { emitNotificationClick } from './NotificationService';
+
+/**
+ * ServiceWorkerService - Service worker registration (page side)
+ *
+ * Registers the service worker that caches the app shell for offline use and
+ * checks reminders while no tab is open, and relays notification clicks from
+ * the worker to the app. The worker itself lives in src/sw.js.
+ */
+
+/**
+ * Periodic Background Sync tag used for reminder checks
+ */
+export const PERIODIC_SYNC_TAG = 'anniversary-reminders';
+
+/**
+ * Minimum interval requested between background reminder checks
+ * (the browser decides the actual interval)
+ */
+const PERIODIC_SYNC_INTERVAL = 12 * 60 * 60 * 1000;
+
+/**
+ * Messages exchanged between the page and the service worker
+ */
+export const SW_MESSAGES = {
+  NOTIFICATION_CLICK: 'notification-click',
+};
+
+/**
+ * Check if the browser supports service workers
+ *
+ * @returns {boolean} True if service workers can be registered
+ */
+export function isServiceWorkerSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Ask the browser to wake the service worker periodically to check reminders
+ *
+ * Only supported by some browsers, and usually only once the app has been
+ * installed; elsewhere reminders are checked whenever the app is opened.
+ *
+ * @param {ServiceWorkerRegistration} registration - Active registration
+ * @returns {Promise<boolean>} True if periodic checks were registered
+ */
+export async function registerPeriodicReminderCheck(registration) {
+  if (!registration || !('periodicSync' in registration)) {
+    return false;
+  }
+
+  try {
+    if (navigator.permissions) {
+      const status = await navigator.permissions.query({ name: 'periodic-background-sync' });
+      if (status.state !== 'granted') {
+        return false;
+      }
+    }
+
+    await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+      minInterval: PERIODIC_SYNC_INTERVAL,
+    });
+    return true;
+  } catch (error) {
+    console.warn('Periodic background sync is unavailable:', error);
+    return false;
+  }
+}
+
+/**
+ * Register the service worker
+ *
+ * Only runs in production builds: the worker is built as a separate entry,
+ * so the dev server falls back to page notifications.
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>} Registration, or null if unsupported or failed
+ */
+export async function registerServiceWorker() {
+  if (!isServiceWorkerSupported() || !import.meta.env.PROD) {
+    return null;
+  }
+
+  // Relay clicks on worker notifications to the app
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    const message = event.data;
+    if (message && message.type === SW_MESSAGES.NOTIFICATION_CLICK) {
+      emitNotificationClick(message.anniversaryId);
+    }
+  });
+
+  try {
+    await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`, {
+      type: 'module',
+    });
+
+    const registration = await navigator.serviceWorker.ready;
+    await registerPeriodicReminderCheck(registration);
+    return registration;
+  } catch (error) {
+    console.error('Error registering service worker:', error);
+    return null;
+  }
+}
+
+export default {
+  PERIODIC_SYNC_TAG,
+  SW_MESSAGES,
+  isServiceWorkerSupported,
+  registerPeriodicReminderCheck,
+  registerServiceWorker,
+};
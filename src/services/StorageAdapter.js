@@ -0,0 +1,275 @@
+/**
+ * StorageAdapter - Pluggable key-value persistence backends
+ *
+ * Every adapter implements the same asynchronous interface so StorageService
+ * can run on top of IndexedDB where it is available and fall back to
+ * localStorage where it is not. Adapters store plain JS values; serialization
+ * is the adapter's concern.
+ */
+
+const DB_NAME = 'anniversary-app';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+/**
+ * Storage adapter interface
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {string} name - Backend name ('indexeddb' or 'localstorage')
+ * @property {Function} getItem - (key) => Promise<*|null>
+ * @property {Function} setItem - (key, value) => Promise<void>
+ * @property {Function} removeItem - (key) => Promise<void>
+ * @property {Function} keys - () => Promise<string[]>
+ * @property {Function} [watch] - (callback(key, value)) => unsubscribe; reports
+ *   changes made by other tabs, where the backend supports it
+ */
+
+/**
+ * Check whether localStorage can be used
+ *
+ * @returns {boolean} True if localStorage is present
+ */
+export function isLocalStorageAvailable() {
+  try {
+    return typeof window !== 'undefined' && !!window.localStorage;
+  } catch {
+    // Accessing localStorage throws when storage is disabled
+    return false;
+  }
+}
+
+/**
+ * Check whether IndexedDB can be used
+ *
+ * @returns {boolean} True if IndexedDB is present
+ */
+export function isIndexedDBAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an adapter backed by localStorage
+ *
+ * Values are stored as JSON strings.
+ *
+ * @param {Storage} [storage] - Storage object to use (default: window.localStorage)
+ * @returns {StorageAdapter} localStorage adapter
+ */
+export function createLocalStorageAdapter(storage = window.localStorage) {
+  return {
+    name: 'localstorage',
+
+    async getItem(key) {
+      const data = storage.getItem(key);
+      return data === null ? null : JSON.parse(data);
+    },
+
+    async setItem(key, value) {
+      try {
+        storage.setItem(key, JSON.stringify(value));
+      } catch (error) {
+        if (error.name === 'QuotaExceededError') {
+          throw new Error(
+            'Storage quota exceeded. Please delete some anniversaries or export your data.'
+          );
+        }
+        throw error;
+      }
+    },
+
+    async removeItem(key) {
+      storage.removeItem(key);
+    },
+
+    async keys() {
+      const result = [];
+      for (let i = 0; i < storage.length; i++) {
+        result.push(storage.key(i));
+      }
+      return result;
+    },
+
+    watch(callback) {
+      // The storage event only fires for changes made in other tabs
+      const handleStorageChange = (e) => {
+        if (e.storageArea !== storage || e.key === null) {
+          return;
+        }
+
+        try {
+          callback(e.key, e.newValue === null ? null : JSON.parse(e.newValue));
+        } catch (error) {
+          console.error(`Error parsing storage event for key "${e.key}":`, error);
+        }
+      };
+
+      window.addEventListener('storage', handleStorageChange);
+      return () => window.removeEventListener('storage', handleStorageChange);
+    },
+  };
+}
+
+/**
+ * Open (and create if needed) the IndexedDB database
+ *
+ * @param {string} dbName - Database name
+ * @param {string} storeName - Object store name
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase(dbName, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(storeName)) {
+        request.result.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+}
+
+/**
+ * Create an adapter backed by IndexedDB
+ *
+ * Values are stored with the structured clone algorithm, so they can hold
+ * Blobs and other binary data. The database is opened lazily on first use.
+ *
+ * @param {Object} [options] - Adapter options
+ * @param {string} [options.dbName] - Database name
+ * @param {string} [options.storeName] - Object store name
+ * @returns {StorageAdapter} IndexedDB adapter
+ */
+export function createIndexedDBAdapter({ dbName = DB_NAME, storeName = STORE_NAME } = {}) {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openDatabase(dbName, storeName).catch((error) => {
+        // Allow a later call to retry
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run a single request in its own transaction and resolve once it commits
+  const run = async (mode, operation) => {
+    const db = await getDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () =>
+        reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+
+  return {
+    name: 'indexeddb',
+
+    async getItem(key) {
+      const value = await run('readonly', (store) => store.get(key));
+      return value === undefined ? null : value;
+    },
+
+    async setItem(key, value) {
+      try {
+        await run('readwrite', (store) => store.put(value, key));
+      } catch (error) {
+        if (error && error.name === 'QuotaExceededError') {
+          throw new Error(
+            'Storage quota exceeded. Please delete some anniversaries or export your data.'
+          );
+        }
+        throw error;
+      }
+    },
+
+    async removeItem(key) {
+      await run('readwrite', (store) => store.delete(key));
+    },
+
+    async keys() {
+      const keys = await run('readonly', (store) => store.getAllKeys());
+      return keys.map(String);
+    },
+  };
+}
+
+/**
+ * Pick the best available adapter for this browser
+ *
+ * @returns {StorageAdapter} IndexedDB adapter if supported, otherwise localStorage
+ */
+export function getDefaultAdapter() {
+  return isIndexedDBAvailable() ? createIndexedDBAdapter() : createLocalStorageAdapter();
+}
+
+/**
+ * Copy existing localStorage data into another adapter
+ *
+ * Runs once per target: a marker key listing the copied keys is written after
+ * a successful copy. The localStorage entries are kept, so the localStorage
+ * fallback still finds the data if the target cannot be opened later. Keys
+ * that already exist in the target are left alone.
+ *
+ * @param {StorageAdapter} target - Adapter to migrate into
+ * @param {string[]} keys - localStorage keys to migrate
+ * @param {string} markerKey - Key recording that the migration has run
+ * @returns {Promise<string[]>} Keys that were copied
+ */
+export async function migrateFromLocalStorage(target, keys, markerKey) {
+  if (target.name === 'localstorage' || !isLocalStorageAvailable()) {
+    return [];
+  }
+
+  if (await target.getItem(markerKey)) {
+    return [];
+  }
+
+  const migrated = [];
+
+  for (const key of keys) {
+    const data = window.localStorage.getItem(key);
+
+    if (data === null || (await target.getItem(key)) !== null) {
+      continue;
+    }
+
+    try {
+      await target.setItem(key, JSON.parse(data));
+      migrated.push(key);
+    } catch (error) {
+      // Leave the localStorage copy in place so nothing is lost
+      console.error(`Error migrating localStorage key "${key}":`, error);
+      return migrated;
+    }
+  }
+
+  await target.setItem(markerKey, {
+    migratedAt: new Date().toISOString(),
+    keys: migrated,
+  });
+
+  return migrated;
+}
+
+export default {
+  isLocalStorageAvailable,
+  isIndexedDBAvailable,
+  createLocalStorageAdapter,
+  createIndexedDBAdapter,
+  getDefaultAdapter,
+  migrateFromLocalStorage,
+};
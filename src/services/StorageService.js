@@ -1,15 +1,147 @@
-import { validateAnniversary } from '../models/Anniversary';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  validateAnniversary,
+  validateCategory,
+  createCategory,
+  ANNIVERSARY_CATEGORIES,
+  DEFAULT_CATEGORIES,
+  DEFAULT_MILESTONES,
+} from '../models/Anniversary';
+import {
+  createLocalStorageAdapter,
+  getDefaultAdapter,
+  isLocalStorageAvailable,
+  migrateFromLocalStorage,
+} from './StorageAdapter';
+import {
+  SCHEMA_VERSION,
+  detectVersion,
+  extractRecords,
+  migrateRecords,
+} from './MigrationService';
+import { buildCalendar, parseAnniversaries } from './ICalendarService';
+import { buildCSV, parseCSV, mapRows } from './CsvService';
+import { parseContacts } from './VCardService';
+import { planMerge, applyMerge } from './MergeService';
+import { encryptJSON, decryptJSON, isEncryptedEnvelope } from './CryptoService';
+import { withWriteLock, openSyncChannel, sameValue, mergeRecordLists } from './SyncService';
 
 /**
- * StorageService - localStorage abstraction layer for managing anniversary data
+ * StorageService - Storage abstraction layer for managing anniversary data
  *
  * Provides CRUD operations, import/export functionality, and error handling
- * for anniversary data persistence using browser localStorage.
+ * for anniversary data persistence. Data lives in a pluggable storage adapter
+ * (IndexedDB by default, localStorage as a fallback). `initStorage()` loads
+ * everything into an in-memory cache so reads stay synchronous; writes update
+ * the cache immediately and are persisted to the adapter in order.
  */
 
 const STORAGE_KEY = 'anniversaries';
 const TRASH_KEY = 'anniversary-app-trash';
-const STORAGE_VERSION = '1.0';
+const SETTINGS_KEY = 'anniversary-app-settings';
+const CATEGORIES_KEY = 'anniversary-app-categories';
+const SCHEMA_KEY = 'anniversary-app-schema';
+const BACKUP_KEY = 'anniversary-app-migration-backup';
+const MIGRATION_KEY = 'anniversary-app-migrated';
+const FALLBACK_KEY = 'anniversary-app-fallback-writes';
+const SNAPSHOTS_KEY = 'anniversary-app-snapshots';
+const SNAPSHOT_DATA_PREFIX = 'anniversary-app-snapshot-';
+const HISTORY_KEY = 'anniversary-app-history';
+const NOTIFICATION_LOG_KEY = 'anniversary-app-notification-log';
+const NOTIFICATION_INBOX_KEY = 'anniversary-app-notification-inbox';
+const WEBHOOK_LOG_KEY = 'anniversary-app-webhook-log';
+const STORAGE_VERSION = SCHEMA_VERSION;
+
+/**
+ * Every key owned by the app, loaded into the cache on startup
+ */
+const STORAGE_KEYS = [
+  STORAGE_KEY,
+  TRASH_KEY,
+  SETTINGS_KEY,
+  CATEGORIES_KEY,
+  SCHEMA_KEY,
+  BACKUP_KEY,
+  SNAPSHOTS_KEY,
+  HISTORY_KEY,
+  NOTIFICATION_LOG_KEY,
+  NOTIFICATION_INBOX_KEY,
+  WEBHOOK_LOG_KEY,
+];
+
+/**
+ * Why a snapshot was taken, and how many of each kind are kept
+ */
+export const SNAPSHOT_REASONS = {
+  DAILY: 'daily',
+  BEFORE_IMPORT: 'before-import',
+  BEFORE_RESTORE: 'before-restore',
+  BEFORE_CLEAR: 'before-clear',
+  BEFORE_EMPTY_TRASH: 'before-empty-trash',
+  BEFORE_PURGE: 'before-purge',
+  MANUAL: 'manual',
+};
+
+const MAX_DAILY_SNAPSHOTS = 7;
+const MAX_OTHER_SNAPSHOTS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Operations recorded in the undo history
+ */
+export const OPERATION_TYPES = {
+  ADD: 'add',
+  EDIT: 'edit',
+  TRASH: 'trash',
+  RESTORE: 'restore',
+  DELETE: 'delete',
+};
+
+const OPERATION_VERBS = {
+  [OPERATION_TYPES.ADD]: 'Add',
+  [OPERATION_TYPES.EDIT]: 'Edit',
+  [OPERATION_TYPES.TRASH]: 'Delete',
+  [OPERATION_TYPES.RESTORE]: 'Restore',
+  [OPERATION_TYPES.DELETE]: 'Permanently delete',
+};
+
+const MAX_HISTORY = 50;
+
+/**
+ * How long fired reminders stay in the notification log
+ */
+const NOTIFICATION_LOG_DAYS = 45;
+
+/**
+ * Most entries kept in the in-app notification center
+ */
+const MAX_INBOX_ENTRIES = 100;
+
+/**
+ * Most webhook deliveries kept in the delivery log
+ */
+const MAX_WEBHOOK_LOG_ENTRIES = 50;
+
+let adapter = null;
+let usingFallback = false;
+let writeQueue = Promise.resolve();
+let syncChannel = null;
+let writeBatch = null;
+const cache = new Map();
+const listeners = new Map();
+const pendingWrites = new Map();
+const conflictListeners = new Set();
+
+/**
+ * Keys holding record lists that are merged record by record when another
+ * tab wrote them concurrently, mapped to the field holding the list (null
+ * when the stored value is the list itself). Other keys are last-writer-wins.
+ */
+const MERGED_KEYS = {
+  [STORAGE_KEY]: null,
+  [TRASH_KEY]: 'items',
+  [CATEGORIES_KEY]: 'categories',
+};
 
 /**
  * Storage wrapper with version info
@@ -21,295 +153,2245 @@ const STORAGE_VERSION = '1.0';
  */
 
 /**
- * Load all anniversaries from localStorage
+ * A record kept aside because it could not be migrated or validated
+ *
+ * @typedef {Object} BackupEntry
+ * @property {Object} record - Original record, exactly as it was stored
+ * @property {string} error - Why the record was set aside
+ * @property {('anniversaries'|'trash'|'import')} source - Where the record came from
+ * @property {string} fromVersion - Schema version the record was written with
+ * @property {string} backedUpAt - ISO datetime the record was set aside
+ */
+
+/**
+ * App-wide settings
+ *
+ * @typedef {Object} AppSettings
+ * @property {number[]} milestones - Global day-count milestone list
+ * @property {number|null} trashRetentionDays - Days trashed items are kept before being purged (null = forever)
+ * @property {string} notificationMode - A NOTIFICATION_MODES value
+ * @property {string} digestTime - Time of the daily digest (HH:mm)
+ * @property {{enabled: boolean, start: string, end: string}} quietHours - Daily range (HH:mm) in which reminders are held
+ * @property {{enabled: boolean, weekday: number, time: string}} weeklySummary - "Coming up this week" notification (weekday 0 = Sunday)
+ * @property {string[]} notificationChannels - Channels reminders are sent through unless an anniversary picks its own
+ * @property {{url: string, template: string, retries: number}} webhook - Webhook channel (an empty template uses the default)
+ */
+
+/**
+ * How reminders are delivered
+ */
+export const NOTIFICATION_MODES = {
+  INDIVIDUAL: 'individual',
+  DIGEST: 'digest',
+};
+
+/**
+ * Built-in channels reminders can be delivered through
+ */
+export const NOTIFICATION_CHANNELS = {
+  BROWSER: 'browser',
+  TOAST: 'toast',
+  WEBHOOK: 'webhook',
+};
+
+/**
+ * Default app settings
+ */
+export const DEFAULT_SETTINGS = {
+  milestones: DEFAULT_MILESTONES,
+  trashRetentionDays: 30,
+  notificationMode: NOTIFICATION_MODES.INDIVIDUAL,
+  digestTime: '09:00',
+  quietHours: { enabled: false, start: '22:00', end: '08:00' },
+  weeklySummary: { enabled: false, weekday: 1, time: '09:00' },
+  notificationChannels: [NOTIFICATION_CHANNELS.BROWSER],
+  webhook: { url: '', template: '', retries: 2 },
+};
+
+/**
+ * Retention periods offered for the recycle bin (null = keep forever)
+ */
+export const TRASH_RETENTION_OPTIONS = [7, 30, 90, null];
+
+/**
+ * Notify subscribers that a key changed
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - New value (null when removed)
+ */
+function notify(key, value) {
+  (listeners.get(key) || []).forEach((listener) => listener(value));
+}
+
+/**
+ * Queue a write to the adapter, keeping writes in call order
+ *
+ * @param {Function} operation - () => Promise performing the write
+ * @param {string} key - Storage key being written
+ */
+function enqueueWrite(operation, key) {
+  writeQueue = writeQueue.then(operation).catch((error) => {
+    console.error(`Error persisting storage key "${key}":`, error);
+  });
+}
+
+/**
+ * Combine this tab's value for a key with a value another tab persisted
+ *
+ * List keys are merged record by record; concurrent edits of the same record
+ * are reported to conflict subscribers. Other keys keep this tab's value.
+ *
+ * @param {string} key - Storage key
+ * @param {*} base - Value this tab's change was based on
+ * @param {*} ours - Value this tab wants to write
+ * @param {*} theirs - Value currently persisted by another tab
+ * @returns {*} Value to persist
+ */
+function mergeStoredValue(key, base, ours, theirs) {
+  if (!(key in MERGED_KEYS) || ours === null || theirs === null) {
+    return ours;
+  }
+
+  const field = MERGED_KEYS[key];
+  const list = (value) => {
+    const records = field ? value && value[field] : value;
+    return Array.isArray(records) ? records : [];
+  };
+
+  const { records, conflicts } = mergeRecordLists(list(base), list(ours), list(theirs));
+
+  if (conflicts.length > 0) {
+    const store = key === TRASH_KEY ? 'trash' : key === CATEGORIES_KEY ? 'categories' : 'anniversaries';
+    conflictListeners.forEach((listener) => listener({ store, conflicts }));
+  }
+
+  return field ? { ...ours, [field]: records } : records;
+}
+
+/**
+ * A queued write of one key
+ *
+ * @typedef {Object} PendingWrite
+ * @property {string} key - Storage key
+ * @property {*} base - Cached value before this write
+ * @property {*} value - Value to write (null to remove the key)
+ */
+
+/**
+ * Persist a batch of writes while holding the cross-tab write lock
+ *
+ * Writes made in the same task (e.g. moveToTrash saving anniversaries and
+ * trash) share one lock, so other tabs never see half of an operation. If
+ * another tab wrote a key since this tab read it, the two values are merged
+ * and the merged value replaces ours in the cache. Other tabs are told about
+ * the written keys afterwards.
+ *
+ * @param {StorageAdapter} target - Adapter to write to
+ * @param {PendingWrite[]} writes - Writes in call order
+ * @returns {Promise<void>} Resolves once written
+ */
+async function persistBatch(target, writes) {
+  try {
+    await withWriteLock(async () => {
+      for (const { key, base, value } of writes) {
+        if (value === null) {
+          await target.removeItem(key);
+          continue;
+        }
+
+        const stored = await target.getItem(key);
+        const merged = sameValue(stored, base) ? value : mergeStoredValue(key, base, value, stored);
+
+        await target.setItem(key, merged);
+
+        // Show the other tab's changes unless a newer local write supersedes them
+        if (merged !== value && cache.get(key) === value) {
+          cache.set(key, merged);
+          notify(key, merged);
+        }
+      }
+
+      if (syncChannel) {
+        new Set(writes.map((write) => write.key)).forEach((key) => syncChannel.post(key));
+      }
+    });
+  } finally {
+    writes.forEach(({ key }) => pendingWrites.set(key, pendingWrites.get(key) - 1));
+  }
+}
+
+/**
+ * Queue a write, joining the batch started earlier in the same task
+ *
+ * @param {StorageAdapter} target - Adapter to write to
+ * @param {string} key - Storage key
+ * @param {*} value - Value to write (null to remove the key)
+ */
+function queueWrite(target, key, value) {
+  pendingWrites.set(key, (pendingWrites.get(key) || 0) + 1);
+
+  const write = { key, base: cache.has(key) ? cache.get(key) : null, value };
+
+  if (writeBatch && writeBatch.target === target) {
+    writeBatch.writes.push(write);
+    return;
+  }
+
+  const batch = { target, writes: [write] };
+  writeBatch = batch;
+
+  // Writes made before the current task yields join this batch
+  Promise.resolve().then(() => {
+    if (writeBatch === batch) {
+      writeBatch = null;
+    }
+  });
+
+  enqueueWrite(() => persistBatch(target, batch.writes), key);
+}
+
+/**
+ * Apply a value written by another tab to the cache
+ *
+ * Ignored while this tab still has writes queued for the key: those writes
+ * merge in the other tab's value when they are persisted.
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Persisted value (null when removed)
+ */
+function applyRemoteValue(key, value) {
+  if (!STORAGE_KEYS.includes(key) || pendingWrites.get(key) > 0) {
+    return;
+  }
+  if (sameValue(cache.has(key) ? cache.get(key) : null, value)) {
+    return;
+  }
+
+  if (value === null) {
+    cache.delete(key);
+  } else {
+    cache.set(key, value);
+  }
+  notify(key, value);
+}
+
+/**
+ * Wrap the localStorage fallback adapter so it records the keys it writes
+ *
+ * The keys are listed in localStorage under FALLBACK_KEY, so they can be
+ * copied to the preferred adapter once it opens again.
+ *
+ * @param {StorageAdapter} fallback - localStorage adapter
+ * @returns {StorageAdapter} Adapter that records written keys
+ */
+function trackFallbackWrites(fallback) {
+  const record = (key) => {
+    try {
+      const marker = JSON.parse(localStorage.getItem(FALLBACK_KEY)) || { keys: [] };
+      if (!marker.keys.includes(key)) {
+        localStorage.setItem(FALLBACK_KEY, JSON.stringify({ keys: [...marker.keys, key] }));
+      }
+    } catch (error) {
+      console.error(`Error recording fallback write of "${key}":`, error);
+    }
+  };
+
+  return {
+    ...fallback,
+
+    async setItem(key, value) {
+      await fallback.setItem(key, value);
+      record(key);
+    },
+
+    async removeItem(key) {
+      await fallback.removeItem(key);
+      record(key);
+    },
+  };
+}
+
+/**
+ * Copy keys written while running on the localStorage fallback into an adapter
+ *
+ * Record lists (including the snapshot index) are merged record by record,
+ * the newer copy of a record winning. Neither side knows what the other
+ * deleted, so a record deleted on one side only comes back rather than being
+ * lost. Other keys take the value written on the fallback.
+ *
+ * @param {StorageAdapter} target - Adapter that opened again
+ * @returns {Promise<string[]>} Keys that were copied
+ */
+async function copyBackFallbackWrites(target) {
+  if (!isLocalStorageAvailable()) {
+    return [];
+  }
+
+  const marker = JSON.parse(localStorage.getItem(FALLBACK_KEY));
+  if (!marker || !Array.isArray(marker.keys)) {
+    return [];
+  }
+
+  for (const key of marker.keys) {
+    const data = localStorage.getItem(key);
+    const written = data === null ? null : JSON.parse(data);
+    const isList = key in MERGED_KEYS || key === SNAPSHOTS_KEY;
+
+    if (written === null) {
+      if (!isList) {
+        await target.removeItem(key);
+      }
+      continue;
+    }
+
+    const current = isList ? await target.getItem(key) : null;
+    if (current === null) {
+      await target.setItem(key, written);
+      continue;
+    }
+
+    const field = key === SNAPSHOTS_KEY ? 'snapshots' : MERGED_KEYS[key];
+    const list = (value) => {
+      const records = field ? value[field] : value;
+      return Array.isArray(records) ? records : [];
+    };
+    let { records } = mergeRecordLists([], list(current), list(written));
+
+    if (key === SNAPSHOTS_KEY) {
+      records = records.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+    }
+
+    await target.setItem(key, field ? { ...written, [field]: records } : records);
+  }
+
+  localStorage.removeItem(FALLBACK_KEY);
+  return marker.keys;
+}
+
+/**
+ * Initialize the storage layer
+ *
+ * Opens the adapter, migrates existing localStorage data into it on first run
+ * and loads every app key into the cache. Falls back to localStorage if the
+ * adapter cannot be opened (e.g. IndexedDB disabled in private browsing);
+ * what is saved there is copied back once the adapter opens again.
+ * Must be awaited before the app renders.
+ *
+ * @param {StorageAdapter} [storageAdapter] - Adapter to use (default: best available)
+ * @returns {Promise<string|null>} Name of the adapter in use, or null if none could be opened
+ */
+export async function initStorage(storageAdapter = getDefaultAdapter()) {
+  usingFallback = false;
+
+  const load = async (candidate) => {
+    const snapshotKeys = isLocalStorageAvailable()
+      ? Object.keys(localStorage).filter((key) => key.startsWith(SNAPSHOT_DATA_PREFIX))
+      : [];
+    await migrateFromLocalStorage(candidate, [...STORAGE_KEYS, ...snapshotKeys], MIGRATION_KEY);
+    if (candidate.name !== 'localstorage') {
+      await copyBackFallbackWrites(candidate);
+    }
+
+    const values = await Promise.all(STORAGE_KEYS.map((key) => candidate.getItem(key)));
+
+    cache.clear();
+    STORAGE_KEYS.forEach((key, index) => {
+      if (values[index] !== null) {
+        cache.set(key, values[index]);
+      }
+    });
+  };
+
+  try {
+    await load(storageAdapter);
+    adapter = storageAdapter;
+  } catch (error) {
+    if (storageAdapter.name === 'localstorage' || !isLocalStorageAvailable()) {
+      // Leave the adapter unset: values are then read from localStorage
+      // directly where possible, or kept in memory for this session
+      console.error('Error initializing storage:', error);
+      adapter = null;
+      usingFallback = true;
+      return null;
+    }
+
+    console.error(`Error opening ${storageAdapter.name} storage, using localStorage:`, error);
+    adapter = trackFallbackWrites(createLocalStorageAdapter());
+    usingFallback = true;
+    await load(adapter);
+  }
+
+  runMigrations();
+  try {
+    await splitLegacySnapshots();
+  } catch (error) {
+    console.error('Error moving snapshots to their own keys:', error);
+  }
+  await takeDailySnapshot();
+  await purgeExpiredTrash();
+
+  // Keep the cache in step with changes made by other tabs. Announcements
+  // only carry the key; the value is re-read behind this tab's own queued
+  // writes so a late message can never roll the cache back.
+  const target = adapter;
+  if (syncChannel) {
+    syncChannel.close();
+  }
+  syncChannel = openSyncChannel(({ key }) => {
+    enqueueWrite(async () => applyRemoteValue(key, await target.getItem(key)), key);
+  });
+
+  if (!syncChannel && adapter.watch) {
+    adapter.watch(applyRemoteValue);
+  }
+
+  return adapter.name;
+}
+
+/**
+ * Wait until every queued write has reached the adapter
+ *
+ * @returns {Promise<void>} Resolves once pending writes have settled
+ */
+export function flushStorage() {
+  return writeQueue;
+}
+
+/**
+ * Get the name of the active storage backend
+ *
+ * @returns {string|null} 'indexeddb', 'localstorage', or null before initStorage()
+ */
+export function getStorageBackend() {
+  return adapter ? adapter.name : null;
+}
+
+/**
+ * Check whether storage fell back because the preferred adapter failed
+ *
+ * On the fallback, data is kept in localStorage (about 5 MB, not readable by
+ * the service worker) or, if that fails too, only in memory for this session.
+ *
+ * @returns {boolean} True if initStorage() could not open the adapter it was given
+ */
+export function isStorageFallback() {
+  return usingFallback;
+}
+
+/**
+ * Read a stored value
+ *
+ * Before initStorage() has run, values are read straight from localStorage.
+ *
+ * @param {string} key - Storage key
+ * @returns {*|null} Stored value or null if missing
+ */
+export function getStoredValue(key) {
+  if (adapter || !isLocalStorageAvailable()) {
+    return cache.has(key) ? cache.get(key) : null;
+  }
+
+  const data = localStorage.getItem(key);
+  return data === null ? null : JSON.parse(data);
+}
+
+/**
+ * Write a stored value
+ *
+ * The cache is updated synchronously; persisting to the adapter happens in
+ * the background, so adapter errors are logged rather than thrown.
+ *
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ */
+export function setStoredValue(key, value) {
+  if (!adapter && isLocalStorageAvailable()) {
+    localStorage.setItem(key, JSON.stringify(value));
+  } else if (adapter) {
+    queueWrite(adapter, key, value);
+  }
+
+  cache.set(key, value);
+  notify(key, value);
+}
+
+/**
+ * Read, change and write a stored value as one step across tabs
+ *
+ * Runs behind this tab's queued writes and under the cross-tab write lock,
+ * reading the persisted value rather than the cache, so two tabs (or a tab
+ * and the service worker) can never both act on the same old value.
+ *
+ * @param {string} key - Storage key
+ * @param {Function} update - (storedValue) => {value, result}
+ * @returns {Promise<*>} The update's result
+ */
+function updateStoredValue(key, update) {
+  if (!adapter) {
+    const { value, result } = update(getStoredValue(key));
+    setStoredValue(key, value);
+    return Promise.resolve(result);
+  }
+
+  const target = adapter;
+
+  return new Promise((resolve, reject) => {
+    enqueueWrite(
+      () =>
+        withWriteLock(async () => {
+          const { value, result } = update(await target.getItem(key));
+
+          await target.setItem(key, value);
+          cache.set(key, value);
+          notify(key, value);
+
+          if (syncChannel) {
+            syncChannel.post(key);
+          }
+
+          resolve(result);
+        }).catch((error) => {
+          reject(error);
+          throw error;
+        }),
+      key
+    );
+  });
+}
+
+/**
+ * Remove a stored value
+ *
+ * @param {string} key - Storage key
+ */
+export function removeStoredValue(key) {
+  if (!adapter && isLocalStorageAvailable()) {
+    localStorage.removeItem(key);
+  } else if (adapter) {
+    queueWrite(adapter, key, null);
+  }
+
+  cache.delete(key);
+  notify(key, null);
+}
+
+/**
+ * Subscribe to changes of a stored value
+ *
+ * @param {string} key - Storage key
+ * @param {Function} listener - Called with the new value (null when removed)
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribe(key, listener) {
+  const keyListeners = listeners.get(key) || new Set();
+  keyListeners.add(listener);
+  listeners.set(key, keyListeners);
+
+  return () => keyListeners.delete(listener);
+}
+
+/**
+ * Subscribe to records that were edited in this tab and another tab at once
+ *
+ * Reported when a write is merged with a concurrent write from another tab
+ * and both changed the same record; the newer version is kept, and an edit
+ * always wins over a deletion.
+ *
+ * @param {Function} listener - Called with {store, conflicts: SyncConflict[]}
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSyncConflicts(listener) {
+  conflictListeners.add(listener);
+  return () => conflictListeners.delete(listener);
+}
+
+/**
+ * Load records that were set aside by failed migrations or imports
+ *
+ * @returns {BackupEntry[]} Backed-up records, oldest first
+ */
+export function loadMigrationBackup() {
+  const data = getStoredValue(BACKUP_KEY);
+  return data && Array.isArray(data.entries) ? [...data.entries] : [];
+}
+
+/**
+ * Append records to the migration backup
+ *
+ * @param {Array<{record: Object, error: string}>} failed - Records that failed
+ * @param {string} source - Where the records came from
+ * @param {string} fromVersion - Schema version the records were written with
+ */
+function backupFailedRecords(failed, source, fromVersion) {
+  if (failed.length === 0) {
+    return;
+  }
+
+  const backedUpAt = new Date().toISOString();
+  const entries = failed.map(({ record, error }) => ({
+    record,
+    error,
+    source,
+    fromVersion,
+    backedUpAt,
+  }));
+
+  console.warn(`${entries.length} ${source} record(s) could not be migrated and were backed up:`, entries);
+
+  setStoredValue(BACKUP_KEY, {
+    version: STORAGE_VERSION,
+    entries: [...loadMigrationBackup(), ...entries],
+    lastUpdated: backedUpAt,
+  });
+}
+
+/**
+ * Clear the migration backup
+ *
+ * @returns {void}
+ */
+export function clearMigrationBackup() {
+  try {
+    removeStoredValue(BACKUP_KEY);
+  } catch (error) {
+    throw new Error(`Error clearing migration backup: ${error.message}`);
+  }
+}
+
+/**
+ * Get the schema version of the stored data
+ *
+ * @returns {string|null} Stored schema version, or null if never recorded
+ */
+export function getStoredSchemaVersion() {
+  const data = getStoredValue(SCHEMA_KEY);
+  return data && data.version ? data.version : null;
+}
+
+/**
+ * Upgrade stored anniversaries and trash to the current schema
+ *
+ * Runs from initStorage(). Records that fail to migrate are moved to the
+ * migration backup rather than dropped. If the stored data cannot be migrated
+ * at all (e.g. it was written by a newer app version), it is left untouched.
+ *
+ * @returns {Object} Summary: fromVersion, toVersion, migrated and failed counts
+ */
+export function runMigrations() {
+  const storedVersion = getStoredSchemaVersion();
+
+  if (storedVersion === SCHEMA_VERSION) {
+    return { fromVersion: storedVersion, toVersion: SCHEMA_VERSION, migrated: 0, failed: 0 };
+  }
+
+  const summary = {
+    fromVersion: storedVersion,
+    toVersion: SCHEMA_VERSION,
+    migrated: 0,
+    failed: 0,
+  };
+
+  try {
+    const categories = loadCategories();
+    const sources = [
+      { key: STORAGE_KEY, name: 'anniversaries' },
+      { key: TRASH_KEY, name: 'trash' },
+    ];
+
+    // Migrate everything before writing anything, so a fatal error leaves
+    // the stored data as it was
+    const results = sources.map(({ key, name }) => {
+      const data = getStoredValue(key);
+      const fromVersion = storedVersion || detectVersion(data);
+      const records = data ? extractRecords(data) : [];
+
+      if (!records) {
+        throw new Error(`Invalid ${name} data structure in storage`);
+      }
+
+      return { name, fromVersion, ...migrateRecords(records, fromVersion, { categories }) };
+    });
+
+    const [anniversaryResult, trashResult] = results;
+
+    saveAnniversaries(anniversaryResult.records);
+    saveTrash(trashResult.records);
+    results.forEach(({ failed, name, fromVersion }) =>
+      backupFailedRecords(failed, name, fromVersion)
+    );
+
+    setStoredValue(SCHEMA_KEY, {
+      version: SCHEMA_VERSION,
+      migratedAt: new Date().toISOString(),
+    });
+
+    summary.fromVersion = storedVersion || anniversaryResult.fromVersion;
+    summary.migrated = anniversaryResult.records.length + trashResult.records.length;
+    summary.failed = anniversaryResult.failed.length + trashResult.failed.length;
+  } catch (error) {
+    console.error('Error migrating stored data:', error);
+    summary.error = error.message;
+  }
+
+  return summary;
+}
+
+/**
+ * Load all anniversaries from storage
+ *
+ * @returns {Anniversary[]} Array of anniversary objects (empty array if none exist)
+ */
+export function loadAnniversaries() {
+  try {
+    const parsed = getStoredValue(STORAGE_KEY);
+
+    if (!parsed) {
+      return [];
+    }
+
+    // Stored as a raw array (used by useStorage); older wrapped formats are
+    // upgraded by runMigrations() on startup
+    const storedAnniversaries = parsed;
+
+    // Validate data structure
+    if (!Array.isArray(storedAnniversaries)) {
+      console.error('Invalid data structure in storage');
+      return [];
+    }
+
+    // Validate each anniversary (records that failed migration were
+    // already moved to the migration backup)
+    const categories = loadCategories();
+    const validAnniversaries = storedAnniversaries.filter((anniversary) => {
+      try {
+        validateAnniversary(anniversary, categories);
+        return true;
+      } catch (error) {
+        console.error('Invalid anniversary in storage:', error.message);
+        return false;
+      }
+    });
+
+    return validAnniversaries;
+  } catch (error) {
+    console.error('Error loading anniversaries from storage:', error);
+    return [];
+  }
+}
+
+/**
+ * Save anniversaries to storage
+ *
+ * @param {Anniversary[]} anniversaries - Array of anniversary objects to save
+ * @throws {Error} If the data is invalid or the storage quota is exceeded
+ */
+export function saveAnniversaries(anniversaries) {
+  try {
+    if (!Array.isArray(anniversaries)) {
+      throw new Error('Anniversaries must be an array');
+    }
+
+    setStoredValue(STORAGE_KEY, anniversaries);
+  } catch (error) {
+    if (error.name === 'QuotaExceededError') {
+      throw new Error(
+        'Storage quota exceeded. Please delete some anniversaries or export your data.'
+      );
+    }
+    throw new Error(`Error saving anniversaries: ${error.message}`);
+  }
+}
+
+/**
+ * Get a single anniversary by ID
+ *
+ * @param {string} id - Anniversary ID
+ * @returns {Anniversary|null} Anniversary object or null if not found
+ */
+export function getAnniversary(id) {
+  try {
+    const anniversaries = loadAnniversaries();
+    return anniversaries.find((anniversary) => anniversary.id === id) || null;
+  } catch (error) {
+    console.error('Error getting anniversary:', error);
+    return null;
+  }
+}
+
+/**
+ * Add a new anniversary
+ *
+ * @param {Anniversary} anniversary - Anniversary object to add
+ * @returns {Anniversary[]} Updated array of all anniversaries
+ * @throws {Error} If anniversary is invalid or storage fails
+ */
+export function addAnniversary(anniversary) {
+  try {
+    validateAnniversary(anniversary, loadCategories());
+
+    const anniversaries = loadAnniversaries();
+
+    // Check for duplicate ID
+    if (anniversaries.some((a) => a.id === anniversary.id)) {
+      throw new Error('Anniversary with this ID already exists');
+    }
+
+    anniversaries.push(anniversary);
+    saveAnniversaries(anniversaries);
+    recordOperation(OPERATION_TYPES.ADD, [
+      { store: 'anniversaries', id: anniversary.id, before: null, after: anniversary },
+    ]);
+
+    return anniversaries;
+  } catch (error) {
+    throw new Error(`Error adding anniversary: ${error.message}`);
+  }
+}
+
+/**
+ * Update an existing anniversary
+ *
+ * @param {string} id - Anniversary ID to update
+ * @param {Object} updates - Fields to update
+ * @returns {Anniversary[]} Updated array of all anniversaries
+ * @throws {Error} If anniversary not found or update fails
+ */
+export function updateAnniversary(id, updates) {
+  try {
+    const anniversaries = loadAnniversaries();
+    const index = anniversaries.findIndex((a) => a.id === id);
+
+    if (index === -1) {
+      throw new Error('Anniversary not found');
+    }
+
+    const previous = anniversaries[index];
+
+    // Update the anniversary
+    anniversaries[index] = {
+      ...anniversaries[index],
+      ...updates,
+      id: anniversaries[index].id, // Preserve ID
+      createdAt: anniversaries[index].createdAt, // Preserve creation time
+      updatedAt: new Date().toISOString(), // Update timestamp
+    };
+
+    // Validate updated anniversary
+    validateAnniversary(anniversaries[index], loadCategories());
+
+    saveAnniversaries(anniversaries);
+    recordOperation(OPERATION_TYPES.EDIT, [
+      { store: 'anniversaries', id, before: previous, after: anniversaries[index] },
+    ]);
+
+    return anniversaries;
+  } catch (error) {
+    throw new Error(`Error updating anniversary: ${error.message}`);
+  }
+}
+
+/**
+ * Delete an anniversary
+ *
+ * @param {string} id - Anniversary ID to delete
+ * @returns {Anniversary[]} Updated array of all anniversaries
+ * @throws {Error} If delete fails
+ */
+export function deleteAnniversary(id) {
+  try {
+    const anniversaries = loadAnniversaries();
+    const filtered = anniversaries.filter((a) => a.id !== id);
+
+    saveAnniversaries(filtered);
+
+    return filtered;
+  } catch (error) {
+    throw new Error(`Error deleting anniversary: ${error.message}`);
+  }
+}
+
+/**
+ * Export all anniversaries to JSON string
+ *
+ * The category registry is included so custom categories can be recreated
+ * when the file is imported on another device.
+ *
+ * @returns {string} JSON string of all anniversaries and categories with metadata
+ */
+export function exportToJSON() {
+  try {
+    const anniversaries = loadAnniversaries();
+
+    const exportData = {
+      version: STORAGE_VERSION,
+      exportedAt: new Date().toISOString(),
+      count: anniversaries.length,
+      anniversaries,
+      categories: loadCategories(),
+    };
+
+    return JSON.stringify(exportData, null, 2);
+  } catch (error) {
+    throw new Error(`Error exporting data: ${error.message}`);
+  }
+}
+
+/**
+ * Export all anniversaries to an iCalendar (.ics) string
+ *
+ * Each anniversary becomes a VEVENT with an RRULE derived from its reminder
+ * cycle and a VALARM per reminder timing. Items in the trash are not exported.
+ *
+ * @returns {string} iCalendar document
+ */
+export function exportToICS() {
+  try {
+    return buildCalendar(loadAnniversaries(), loadCategories());
+  } catch (error) {
+    throw new Error(`Error exporting calendar: ${error.message}`);
+  }
+}
+
+/**
+ * Export all anniversaries to a CSV string
+ *
+ * Reminder settings are flattened into reminder* columns. Items in the trash
+ * are not exported.
+ *
+ * @returns {string} CSV document with a header row
+ */
+export function exportToCSV() {
+  try {
+    return buildCSV(loadAnniversaries(), loadCategories());
+  } catch (error) {
+    throw new Error(`Error exporting CSV: ${error.message}`);
+  }
+}
+
+/**
+ * Match the categories used by imported records against the local registry
+ *
+ * Categories from the file that are missing locally are added, unless a
+ * local category has the same name, in which case its records move to that
+ * one. Records whose category is still unknown, e.g. from a file exported
+ * without its registry, are moved to "other" and reported.
+ *
+ * @param {Object[]} records - Records from the file
+ * @param {Category[]} [fileCategories] - Category registry from the file
+ * @returns {{records: Object[], categories: Category[], newCategories: Category[], remapped: Array<{title: string, category: string}>}}
+ *   Records with resolved categories, the registry to validate them against,
+ *   the categories to add and the records moved to "other"
+ */
+function resolveImportCategories(records, fileCategories) {
+  const categories = loadCategories();
+  const newCategories = [];
+  const sameName = new Map();
+
+  (Array.isArray(fileCategories) ? fileCategories : []).forEach((category) => {
+    try {
+      validateCategory(category);
+    } catch {
+      return;
+    }
+
+    if (categories.some((c) => c.id === category.id)) {
+      return;
+    }
+
+    const label = category.label.trim().toLowerCase();
+    const match = categories.find((c) => c.label.trim().toLowerCase() === label);
+    if (match) {
+      sameName.set(category.id, match.id);
+      return;
+    }
+
+    categories.push({ ...category });
+    newCategories.push({ ...category });
+  });
+
+  const remapped = [];
+  const resolved = records.map((record) => {
+    if (!record || typeof record !== 'object' || typeof record.category !== 'string') {
+      return record;
+    }
+
+    if (sameName.has(record.category)) {
+      return { ...record, category: sameName.get(record.category) };
+    }
+
+    const id = record.category.trim().toLowerCase();
+    if (categories.some((c) => c.id === record.category || c.id === id)) {
+      return record;
+    }
+
+    remapped.push({ title: record.title, category: record.category });
+    return { ...record, category: ANNIVERSARY_CATEGORIES.OTHER };
+  });
+
+  return { records: resolved, categories, newCategories, remapped };
+}
+
+/**
+ * Parse, upgrade and validate the records in a JSON export
+ *
+ * @param {string} jsonString - JSON string containing anniversaries
+ * @returns {{records: Anniversary[], failed: Array<{record: Object, error: string}>, fromVersion: string, newCategories: Category[], remapped: Array<{title: string, category: string}>}}
+ *   Valid records, records that failed migration, the file's schema version,
+ *   categories the import adds and records moved to "other"
+ * @throws {Error} If the JSON is malformed or contains no valid anniversaries
+ */
+function readImportRecords(jsonString) {
+  const parsed = JSON.parse(jsonString);
+
+  if (isEncryptedEnvelope(parsed)) {
+    throw new Error('This is an encrypted backup; restore it with its password instead');
+  }
+
+  const records = extractRecords(parsed);
+
+  // Validate import data structure
+  if (!records || (!Array.isArray(parsed) && !parsed.anniversaries)) {
+    throw new Error('Invalid import data: missing anniversaries array');
+  }
+
+  // Upgrade and validate each anniversary through the same migrations as
+  // stored data
+  const fromVersion = detectVersion(parsed);
+  const resolved = resolveImportCategories(records, parsed.categories);
+  const result = migrateRecords(resolved.records, fromVersion, {
+    categories: resolved.categories,
+  });
+
+  if (result.records.length === 0) {
+    throw new Error('No valid anniversaries found in import data');
+  }
+
+  // Only add categories that an imported record actually uses
+  const used = new Set(result.records.map((record) => record.category));
+
+  return {
+    ...result,
+    fromVersion,
+    newCategories: resolved.newCategories.filter((category) => used.has(category.id)),
+    remapped: resolved.remapped,
+  };
+}
+
+/**
+ * Dry-run a JSON import
+ *
+ * Reports what importFromJSON would do without saving anything: which
+ * records would be added, which local records the import changes (split into
+ * `updated` when the imported copy is newer and `conflicts` when it is not),
+ * which are unchanged, which are invalid and, when replacing, which local
+ * records would be removed.
+ *
+ * @param {string} jsonString - JSON string containing anniversaries
+ * @param {boolean} replace - Whether the import would replace existing data
+ * @returns {MergePlan & {invalid: Array<{record: Object, error: string}>, newCategories: Category[], remapped: Array<{title: string, category: string}>, replace: boolean}}
+ *   Import preview, including the categories the import adds and the records moved to "other"
+ * @throws {Error} If JSON is invalid or contains no valid anniversaries
+ */
+export function previewImportFromJSON(jsonString, replace = false) {
+  try {
+    const { records, failed, newCategories, remapped } = readImportRecords(jsonString);
+    const plan = planMerge(loadAnniversaries(), records);
+
+    return {
+      ...plan,
+      removed: replace ? plan.removed : [],
+      invalid: failed,
+      newCategories,
+      remapped,
+      replace,
+    };
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error('Invalid JSON format');
+    }
+    throw new Error(`Error reading import data: ${error.message}`);
+  }
+}
+
+/**
+ * Import anniversaries from JSON string
+ *
+ * Records whose id already exists are resolved individually: keep the local
+ * copy, take the imported one, or keep both (the imported copy gets a new
+ * id). Without an explicit resolution the copy with the newer `updatedAt`
+ * wins. Invalid records are kept in the migration backup. Custom categories
+ * from the file that imported records use are added to the registry; records
+ * in a category that is unknown here are moved to "other".
+ *
+ * @param {string} jsonString - JSON string containing anniversaries
+ * @param {boolean} replace - If true, replace existing data; if false, merge with existing
+ * @param {Object} [resolutions] - Anniversary id mapped to a RESOLUTIONS value ('local', 'imported', 'both')
+ * @returns {Promise<Anniversary[]>} Updated array of all anniversaries
+ * @throws {Error} If JSON is invalid, the snapshot before a replace cannot be saved, or import fails
+ */
+export async function importFromJSON(jsonString, replace = false, resolutions = {}) {
+  try {
+    const { records, failed, fromVersion, newCategories } = readImportRecords(jsonString);
+
+    backupFailedRecords(failed, 'import', fromVersion);
+
+    if (replace) {
+      await takeSnapshot(SNAPSHOT_REASONS.BEFORE_IMPORT);
+    }
+
+    if (newCategories.length > 0) {
+      const categories = loadCategories();
+      saveCategories([
+        ...categories,
+        ...newCategories.filter((category) => !categories.some((c) => c.id === category.id)),
+      ]);
+    }
+
+    const existing = loadAnniversaries();
+    const finalAnniversaries = applyMerge(existing, planMerge(existing, records), resolutions, {
+      replace,
+    });
+
+    saveAnniversaries(finalAnniversaries);
+
+    return finalAnniversaries;
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error('Invalid JSON format');
+    }
+    throw new Error(`Error importing data: ${error.message}`);
+  }
+}
+
+/**
+ * Collect everything needed for a complete restore
+ *
+ * @returns {Object} Anniversaries, trash, settings and categories with schema metadata
+ */
+function buildBackupPayload() {
+  const anniversaries = loadAnniversaries();
+
+  return {
+    version: STORAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    count: anniversaries.length,
+    anniversaries,
+    trash: loadTrash(),
+    settings: loadSettings(),
+    categories: loadCategories(),
+  };
+}
+
+/**
+ * Replace all data with the contents of a backup payload
+ *
+ * Categories are restored first so the anniversaries and trash are migrated
+ * and validated against the registry they were saved with. Records that fail
+ * are kept in the migration backup.
+ *
+ * @param {Object} backup - Payload from buildBackupPayload
+ * @param {string} source - Label for records that fail migration
+ * @returns {{anniversaries: Anniversary[], trash: Anniversary[], settings: AppSettings, categories: Category[], skipped: number}}
+ *   The restored data and the number of records that could not be restored
+ * @throws {Error} If the payload is not a backup
+ */
+function restoreBackupPayload(backup, source) {
+  if (!backup || !Array.isArray(backup.anniversaries)) {
+    throw new Error('Backup contains no anniversaries');
+  }
+
+  const categories = Array.isArray(backup.categories) && backup.categories.length > 0
+    ? backup.categories
+    : loadCategories();
+  categories.forEach(validateCategory);
+
+  const fromVersion = detectVersion(backup);
+  const anniversaryResult = migrateRecords(backup.anniversaries, fromVersion, { categories });
+  const trashResult = migrateRecords(
+    Array.isArray(backup.trash) ? backup.trash : [],
+    fromVersion,
+    { categories }
+  );
+
+  saveCategories(categories);
+  const settings = saveSettings(backup.settings || {});
+  saveAnniversaries(anniversaryResult.records);
+  saveTrash(trashResult.records);
+
+  // Recorded operations refer to records that may no longer exist
+  clearHistory();
+  backupFailedRecords(anniversaryResult.failed, source, fromVersion);
+  backupFailedRecords(trashResult.failed, `${source}-trash`, fromVersion);
+
+  return {
+    anniversaries: anniversaryResult.records,
+    trash: trashResult.records,
+    settings,
+    categories,
+    skipped: anniversaryResult.failed.length + trashResult.failed.length,
+  };
+}
+
+/**
+ * Export a complete, password-encrypted backup
+ *
+ * The backup holds the anniversaries, the trash, app settings and the
+ * category registry, encrypted with AES-GCM under a PBKDF2-derived key.
+ *
+ * @param {string} password - Backup password
+ * @returns {Promise<string>} Encrypted backup file contents (JSON)
+ * @throws {Error} If the password is too short or encryption fails
+ */
+export async function exportEncryptedBackup(password) {
+  try {
+    const envelope = await encryptJSON(buildBackupPayload(), password);
+    return JSON.stringify(envelope, null, 2);
+  } catch (error) {
+    throw new Error(`Error creating encrypted backup: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a file's contents are an encrypted backup
+ *
+ * @param {string} text - File contents
+ * @returns {boolean} True if the file is an encrypted backup
+ */
+export function isEncryptedBackup(text) {
+  try {
+    return isEncryptedEnvelope(JSON.parse(text));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Restore a password-encrypted backup, replacing all current data
+ *
+ * A snapshot of the current data is taken first.
+ *
+ * @param {string} text - Encrypted backup file contents
+ * @param {string} password - Backup password
+ * @returns {Promise<{anniversaries: Anniversary[], trash: Anniversary[], settings: AppSettings, categories: Category[], skipped: number}>}
+ *   The restored data and the number of records that could not be restored
+ * @throws {Error} If the password is wrong, or the file is damaged, modified or not a backup
+ */
+export async function restoreEncryptedBackup(text, password) {
+  try {
+    let envelope;
+    try {
+      envelope = JSON.parse(text);
+    } catch {
+      throw new Error('Not an encrypted backup file');
+    }
+
+    const backup = await decryptJSON(envelope, password);
+
+    await takeSnapshot(SNAPSHOT_REASONS.BEFORE_RESTORE);
+    return restoreBackupPayload(backup, 'backup');
+  } catch (error) {
+    throw new Error(`Error restoring backup: ${error.message}`);
+  }
+}
+
+/**
+ * Import anniversaries from an iCalendar (.ics) string
+ *
+ * Yearly/monthly RRULEs become reminder cycles, VALARM triggers become
+ * reminder timings and CATEGORIES map onto the category registry. Events that
+ * cannot be converted, or that already exist, are reported instead of imported.
+ * Existing events are recognised by id for calendars exported by this app, and
+ * by the event UID for calendars from Google, Outlook and others.
+ *
+ * @param {string} icsString - iCalendar document
+ * @param {boolean} replace - If true, replace existing data; if false, merge with existing
+ * @returns {Promise<{anniversaries: Anniversary[], imported: Anniversary[], skipped: SkippedEvent[]}>}
+ *   All anniversaries after the import, the newly imported ones and the skipped events
+ * @throws {Error} If the file is not a calendar, the snapshot before a replace cannot be saved, or the import fails
+ */
+export async function importFromICS(icsString, replace = false) {
+  try {
+    const { anniversaries: parsed, skipped } = parseAnniversaries(icsString, loadCategories());
+
+    const existing = replace ? [] : loadAnniversaries();
+    const seenIds = new Set(existing.map((a) => a.id));
+    const seenUids = new Set(existing.map((a) => a.sourceUid).filter(Boolean));
+    const imported = [];
+
+    parsed.forEach((anniversary) => {
+      if (seenIds.has(anniversary.id) || seenUids.has(anniversary.sourceUid)) {
+        skipped.push({
+          title: anniversary.title,
+          uid: anniversary.sourceUid || anniversary.id,
+          reason: 'Already exists',
+        });
+        return;
+      }
+      seenIds.add(anniversary.id);
+      if (anniversary.sourceUid) {
+        seenUids.add(anniversary.sourceUid);
+      }
+      imported.push(anniversary);
+    });
+
+    if (imported.length === 0 && skipped.length === 0) {
+      throw new Error('No events found in calendar');
+    }
+
+    // Never replace existing data with nothing
+    if (replace && imported.length === 0) {
+      throw new Error('No events could be imported');
+    }
+
+    const finalAnniversaries = [...existing, ...imported];
+
+    if (imported.length > 0) {
+      if (replace) {
+        await takeSnapshot(SNAPSHOT_REASONS.BEFORE_IMPORT);
+      }
+      saveAnniversaries(finalAnniversaries);
+    }
+
+    return { anniversaries: finalAnniversaries, imported, skipped };
+  } catch (error) {
+    throw new Error(`Error importing calendar: ${error.message}`);
+  }
+}
+
+/**
+ * Import anniversaries from a CSV string using a column mapping
+ *
+ * Valid rows are added to the existing anniversaries; invalid rows are
+ * reported with their line number and nothing from them is saved. Rows
+ * imported with a change (an unknown category) are reported as warnings.
+ *
+ * @param {string} csvString - CSV document
+ * @param {Object} mapping - Field key (title, date, yearUnknown, category, description) mapped to column index
+ * @param {Object} options - Import options
+ * @param {boolean} [options.hasHeader] - Whether the first row is a header (default: true)
+ * @param {string} options.dateFormat - date-fns parse pattern from CSV_DATE_FORMATS
+ * @returns {{anniversaries: Anniversary[], imported: Anniversary[], errors: CsvRowError[], warnings: CsvRowError[]}}
+ *   All anniversaries after the import, the newly imported ones, the rejected rows and the changed rows
+ * @throws {Error} If the mapping is incomplete or the import fails
+ */
+export function importFromCSV(csvString, mapping, { hasHeader = true, dateFormat }) {
+  try {
+    const { anniversaries: imported, errors, warnings } = mapRows(parseCSV(csvString), mapping, {
+      hasHeader,
+      dateFormat,
+      categories: loadCategories(),
+    });
+
+    const finalAnniversaries = [...loadAnniversaries(), ...imported];
+
+    if (imported.length > 0) {
+      saveAnniversaries(finalAnniversaries);
+    }
+
+    return { anniversaries: finalAnniversaries, imported, errors, warnings };
+  } catch (error) {
+    throw new Error(`Error importing CSV: ${error.message}`);
+  }
+}
+
+/**
+ * Read the birthdays and anniversaries in a vCard (.vcf) string without saving
+ *
+ * Candidates that match an existing anniversary (same title and month-day)
+ * are flagged as duplicates so the caller can leave them unselected.
+ *
+ * @param {string} vcfString - vCard document
+ * @returns {{candidates: VCardCandidate[], skipped: VCardSkipped[]}} Candidates and skipped contact dates
+ * @throws {Error} If the file contains no contacts with dates
+ */
+export function previewVCardImport(vcfString) {
+  try {
+    const result = parseContacts(vcfString, {
+      existing: loadAnniversaries(),
+      categories: loadCategories(),
+    });
+
+    if (result.candidates.length === 0 && result.skipped.length === 0) {
+      throw new Error('No birthdays or anniversaries found in contacts');
+    }
+
+    return result;
+  } catch (error) {
+    throw new Error(`Error reading contacts: ${error.message}`);
+  }
+}
+
+/**
+ * Save anniversaries selected from a vCard preview
+ *
+ * @param {Anniversary[]} selected - Anniversaries chosen from previewVCardImport candidates
+ * @returns {{anniversaries: Anniversary[], imported: Anniversary[]}}
+ *   All anniversaries after the import and the newly imported ones
+ * @throws {Error} If an anniversary is invalid or the import fails
+ */
+export function importVCardSelection(selected) {
+  try {
+    const categories = loadCategories();
+    selected.forEach((anniversary) => validateAnniversary(anniversary, categories));
+
+    const finalAnniversaries = [...loadAnniversaries(), ...selected];
+
+    if (selected.length > 0) {
+      saveAnniversaries(finalAnniversaries);
+    }
+
+    return { anniversaries: finalAnniversaries, imported: selected };
+  } catch (error) {
+    throw new Error(`Error importing contacts: ${error.message}`);
+  }
+}
+
+/**
+ * Clear all anniversaries from storage
+ *
+ * Nothing is cleared unless a snapshot of the current data could be saved.
+ *
+ * @returns {Promise<void>} Resolves once cleared
+ * @throws {Error} If the snapshot or the clearing fails
+ */
+export async function clearAll() {
+  try {
+    await takeSnapshot(SNAPSHOT_REASONS.BEFORE_CLEAR);
+    removeStoredValue(STORAGE_KEY);
+  } catch (error) {
+    throw new Error(`Error clearing data: ${error.message}`);
+  }
+}
+
+/**
+ * Get storage usage information
+ *
+ * @returns {Object} Storage stats
+ */
+export function getStorageInfo() {
+  try {
+    const value = getStoredValue(STORAGE_KEY);
+    const data = value ? JSON.stringify(value) : null;
+    const anniversaries = loadAnniversaries();
+
+    return {
+      backend: getStorageBackend(),
+      count: anniversaries.length,
+      size: data ? data.length : 0,
+      sizeKB: data ? (data.length / 1024).toFixed(2) : 0,
+      lastUpdated: value && value.lastUpdated ? value.lastUpdated : null,
+    };
+  } catch (error) {
+    console.error('Error getting storage info:', error);
+    return {
+      backend: getStorageBackend(),
+      count: 0,
+      size: 0,
+      sizeKB: 0,
+      lastUpdated: null,
+    };
+  }
+}
+
+/**
+ * Snapshot summary, without the snapshot data
+ *
+ * @typedef {Object} SnapshotInfo
+ * @property {string} id - Snapshot ID
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} reason - A SNAPSHOT_REASONS value
+ * @property {{anniversaries: number, trash: number}} counts - Record counts
+ */
+
+/**
+ * Read the snapshot index, newest first
+ *
+ * Snapshots saved before each one had its own key still carry their data
+ * here until initStorage moves it out.
+ *
+ * @returns {Array<SnapshotInfo & {data?: Object}>} Snapshot summaries
+ */
+function loadSnapshots() {
+  const parsed = getStoredValue(SNAPSHOTS_KEY);
+  return parsed && Array.isArray(parsed.snapshots) ? parsed.snapshots : [];
+}
+
+/**
+ * Get the storage key holding one snapshot's data
  *
- * @returns {Anniversary[]} Array of anniversary objects (empty array if none exist)
+ * @param {string} id - Snapshot ID
+ * @returns {string} Storage key
  */
-export function loadAnniversaries() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEY);
+function snapshotDataKey(id) {
+  return `${SNAPSHOT_DATA_PREFIX}${id}`;
+}
 
-    if (!data) {
-      return [];
+/**
+ * Write (or remove) one snapshot's data and wait until it is stored
+ *
+ * Snapshot data stays out of the cache and is written straight to the
+ * adapter, so a failed write, e.g. a full localStorage quota, reaches the
+ * caller instead of only being logged.
+ *
+ * @param {string} id - Snapshot ID
+ * @param {Object|null} data - Snapshot data, or null to remove it
+ * @returns {Promise<void>} Resolves once stored
+ */
+async function writeSnapshotData(id, data) {
+  const key = snapshotDataKey(id);
+
+  if (adapter) {
+    await (data === null ? adapter.removeItem(key) : adapter.setItem(key, data));
+  } else if (isLocalStorageAvailable()) {
+    if (data === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(data));
     }
+  } else if (data === null) {
+    cache.delete(key);
+  } else {
+    cache.set(key, data);
+  }
+}
 
-    const parsed = JSON.parse(data);
+/**
+ * Read one snapshot's data
+ *
+ * @param {SnapshotInfo & {data?: Object}} snapshot - Snapshot from the index
+ * @returns {Promise<Object|null>} Snapshot data, or null if it is missing
+ */
+async function readSnapshotData(snapshot) {
+  if (snapshot.data) {
+    return snapshot.data;
+  }
 
-    // Support both raw array storage (used by useLocalStorage) and
-    // the older wrapped metadata format { anniversaries: [...], ... }
-    const storedAnniversaries = Array.isArray(parsed)
-      ? parsed
-      : parsed.anniversaries;
+  const key = snapshotDataKey(snapshot.id);
 
-    // Validate data structure
-    if (!storedAnniversaries || !Array.isArray(storedAnniversaries)) {
-      console.error('Invalid data structure in localStorage');
-      return [];
-    }
+  if (adapter) {
+    return adapter.getItem(key);
+  }
+  if (isLocalStorageAvailable()) {
+    const data = localStorage.getItem(key);
+    return data === null ? null : JSON.parse(data);
+  }
+  return cache.has(key) ? cache.get(key) : null;
+}
 
-    // Validate each anniversary
-    const validAnniversaries = storedAnniversaries.filter((anniversary) => {
-      try {
-        validateAnniversary(anniversary);
-        return true;
-      } catch (error) {
-        console.error('Invalid anniversary in storage:', error.message);
-        return false;
-      }
-    });
+/**
+ * Move data out of snapshots saved before each one had its own key
+ *
+ * @returns {Promise<void>} Resolves once every snapshot has its own key
+ */
+async function splitLegacySnapshots() {
+  const legacy = loadSnapshots().filter((item) => item.data);
 
-    return validAnniversaries;
-  } catch (error) {
-    console.error('Error loading anniversaries from localStorage:', error);
-    return [];
+  if (legacy.length === 0) {
+    return;
+  }
+
+  for (const item of legacy) {
+    await writeSnapshotData(item.id, item.data);
   }
+
+  await updateStoredValue(SNAPSHOTS_KEY, (stored) => ({
+    value: {
+      ...stored,
+      snapshots: ((stored && stored.snapshots) || []).map(({ data: _data, ...info }) => info),
+    },
+  }));
 }
 
 /**
- * Save anniversaries to localStorage
+ * Save a snapshot of all current data
  *
- * @param {Anniversary[]} anniversaries - Array of anniversary objects to save
- * @throws {Error} If localStorage quota is exceeded
+ * Each snapshot's data is stored under its own key, next to an index of
+ * summaries. Snapshots roll: the newest MAX_DAILY_SNAPSHOTS daily snapshots
+ * and MAX_OTHER_SNAPSHOTS others are kept. Nothing is saved when there is no
+ * data to protect.
+ *
+ * Callers about to destroy data await the snapshot and stop if it fails, so
+ * the data is never lost without a snapshot to restore it from.
+ *
+ * @param {string} [reason] - A SNAPSHOT_REASONS value
+ * @returns {Promise<SnapshotInfo|null>} The new snapshot, or null if there was nothing to save
+ * @throws {Error} If the snapshot could not be saved
  */
-export function saveAnniversaries(anniversaries) {
-  try {
-    if (!Array.isArray(anniversaries)) {
-      throw new Error('Anniversaries must be an array');
-    }
+export async function takeSnapshot(reason = SNAPSHOT_REASONS.MANUAL) {
+  const data = buildBackupPayload();
+
+  if (data.anniversaries.length === 0 && data.trash.length === 0) {
+    return null;
+  }
+
+  const info = {
+    id: uuidv4(),
+    createdAt: data.exportedAt,
+    reason,
+    counts: { anniversaries: data.anniversaries.length, trash: data.trash.length },
+  };
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(anniversaries));
+  try {
+    await writeSnapshotData(info.id, data);
   } catch (error) {
-    if (error.name === 'QuotaExceededError') {
-      throw new Error(
-        'Storage quota exceeded. Please delete some anniversaries or export your data.'
+    throw new Error(`Error saving snapshot: ${error.message}`);
+  }
+
+  let dropped;
+  try {
+    dropped = await updateStoredValue(SNAPSHOTS_KEY, (stored) => {
+      let daily = 0;
+      let other = 0;
+      const snapshots = [info, ...((stored && stored.snapshots) || [])];
+      const kept = snapshots.filter((item) =>
+        item.reason === SNAPSHOT_REASONS.DAILY
+          ? ++daily <= MAX_DAILY_SNAPSHOTS
+          : ++other <= MAX_OTHER_SNAPSHOTS
       );
-    }
-    throw new Error(`Error saving anniversaries: ${error.message}`);
+
+      return {
+        value: { version: STORAGE_VERSION, snapshots: kept, lastUpdated: info.createdAt },
+        result: snapshots.filter((item) => !kept.includes(item)),
+      };
+    });
+  } catch (error) {
+    await writeSnapshotData(info.id, null).catch(() => {});
+    throw new Error(`Error saving snapshot: ${error.message}`);
   }
+
+  // Rolled-off snapshots only take up space; failing to remove them is harmless
+  await Promise.all(
+    dropped.map((item) =>
+      writeSnapshotData(item.id, null).catch((error) => {
+        console.error('Error removing old snapshot:', error);
+      })
+    )
+  );
+
+  return info;
 }
 
 /**
- * Get a single anniversary by ID
+ * Take the daily snapshot if none was taken in the last 24 hours
  *
- * @param {string} id - Anniversary ID
- * @returns {Anniversary|null} Anniversary object or null if not found
+ * Failures are logged: nothing is destroyed after the daily snapshot.
+ *
+ * @returns {Promise<SnapshotInfo|null>} The new snapshot, or null if not due or not saved
  */
-export function getAnniversary(id) {
+export async function takeDailySnapshot() {
+  const latest = loadSnapshots().find((item) => item.reason === SNAPSHOT_REASONS.DAILY);
+
+  if (latest && Date.now() - Date.parse(latest.createdAt) < DAY_MS) {
+    return null;
+  }
+
   try {
-    const anniversaries = loadAnniversaries();
-    return anniversaries.find((anniversary) => anniversary.id === id) || null;
+    return await takeSnapshot(SNAPSHOT_REASONS.DAILY);
   } catch (error) {
-    console.error('Error getting anniversary:', error);
+    console.error('Error taking daily snapshot:', error);
     return null;
   }
 }
 
 /**
- * Add a new anniversary
+ * List stored snapshots, newest first
  *
- * @param {Anniversary} anniversary - Anniversary object to add
- * @returns {Anniversary[]} Updated array of all anniversaries
- * @throws {Error} If anniversary is invalid or storage fails
+ * @returns {SnapshotInfo[]} Snapshot summaries
  */
-export function addAnniversary(anniversary) {
-  try {
-    validateAnniversary(anniversary);
+export function listSnapshots() {
+  return loadSnapshots().map(({ data: _data, ...info }) => info);
+}
 
-    const anniversaries = loadAnniversaries();
+/**
+ * Restore a snapshot, replacing all current data
+ *
+ * The current data is snapshotted first, so a restore can itself be undone;
+ * nothing is restored if that snapshot cannot be saved.
+ *
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<{anniversaries: Anniversary[], trash: Anniversary[], settings: AppSettings, categories: Category[], skipped: number}>}
+ *   The restored data and the number of records that could not be restored
+ * @throws {Error} If the snapshot does not exist or cannot be restored
+ */
+export async function restoreSnapshot(id) {
+  try {
+    const snapshot = loadSnapshots().find((item) => item.id === id);
+    const data = snapshot ? await readSnapshotData(snapshot) : null;
 
-    // Check for duplicate ID
-    if (anniversaries.some((a) => a.id === anniversary.id)) {
-      throw new Error('Anniversary with this ID already exists');
+    if (!data) {
+      throw new Error(`Snapshot with ID ${id} not found`);
     }
 
-    anniversaries.push(anniversary);
-    saveAnniversaries(anniversaries);
-
-    return anniversaries;
+    await takeSnapshot(SNAPSHOT_REASONS.BEFORE_RESTORE);
+    return restoreBackupPayload(data, 'snapshot');
   } catch (error) {
-    throw new Error(`Error adding anniversary: ${error.message}`);
+    throw new Error(`Error restoring snapshot: ${error.message}`);
   }
 }
 
 /**
- * Update an existing anniversary
+ * Delete a stored snapshot
  *
- * @param {string} id - Anniversary ID to update
- * @param {Object} updates - Fields to update
- * @returns {Anniversary[]} Updated array of all anniversaries
- * @throws {Error} If anniversary not found or update fails
+ * @param {string} id - Snapshot ID
+ * @returns {Promise<SnapshotInfo[]>} Remaining snapshot summaries
  */
-export function updateAnniversary(id, updates) {
+export async function deleteSnapshot(id) {
   try {
-    const anniversaries = loadAnniversaries();
-    const index = anniversaries.findIndex((a) => a.id === id);
+    await updateStoredValue(SNAPSHOTS_KEY, (stored) => ({
+      value: {
+        version: STORAGE_VERSION,
+        snapshots: ((stored && stored.snapshots) || []).filter((item) => item.id !== id),
+        lastUpdated: new Date().toISOString(),
+      },
+    }));
+    await writeSnapshotData(id, null);
+
+    return listSnapshots();
+  } catch (error) {
+    throw new Error(`Error deleting snapshot: ${error.message}`);
+  }
+}
 
-    if (index === -1) {
-      throw new Error('Anniversary not found');
+/**
+ * A change to one record, as recorded in the history
+ *
+ * @typedef {Object} HistoryChange
+ * @property {('anniversaries'|'trash')} store - Which list the record lives in
+ * @property {string} id - Record ID
+ * @property {Anniversary|null} before - Record before the operation (null if it did not exist)
+ * @property {Anniversary|null} after - Record after the operation (null if it was removed)
+ */
+
+/**
+ * Read the stored undo and redo stacks
+ *
+ * @returns {{undo: Object[], redo: Object[]}} Stacks, most recent entry last
+ */
+function loadHistory() {
+  const parsed = getStoredValue(HISTORY_KEY);
+
+  return {
+    undo: parsed && Array.isArray(parsed.undo) ? [...parsed.undo] : [],
+    redo: parsed && Array.isArray(parsed.redo) ? [...parsed.redo] : [],
+  };
+}
+
+/**
+ * Save the undo and redo stacks
+ *
+ * @param {{undo: Object[], redo: Object[]}} history - Stacks to save
+ */
+function saveHistory({ undo, redo }) {
+  setStoredValue(HISTORY_KEY, {
+    version: STORAGE_VERSION,
+    undo: undo.slice(-MAX_HISTORY),
+    redo: redo.slice(-MAX_HISTORY),
+    lastUpdated: new Date().toISOString(),
+  });
+}
+
+/**
+ * Record an operation in the undo history and clear the redo stack
+ *
+ * @param {string} type - An OPERATION_TYPES value
+ * @param {HistoryChange[]} changes - Record changes made by the operation
+ */
+function recordOperation(type, changes) {
+  const { undo } = loadHistory();
+  const titles = new Map(
+    changes.map((change) => [change.id, (change.after || change.before).title])
+  );
+  const subject = titles.size === 1
+    ? `"${[...titles.values()][0]}"`
+    : `${titles.size} anniversaries`;
+
+  undo.push({
+    id: uuidv4(),
+    type,
+    label: `${OPERATION_VERBS[type]} ${subject}`,
+    at: new Date().toISOString(),
+    changes,
+  });
+
+  saveHistory({ undo, redo: [] });
+}
+
+/**
+ * Apply one side of a history entry to the stored lists
+ *
+ * Every record must still look exactly as the operation left it (or, for
+ * redo, as it found it); otherwise it has been changed since and the entry
+ * is refused rather than overwriting the newer change.
+ *
+ * @param {Object} entry - History entry
+ * @param {('before'|'after')} side - Which side to apply
+ * @returns {{anniversaries: Anniversary[], trash: Anniversary[]}} Updated lists
+ * @throws {Error} If a record has changed since the operation
+ */
+function applyHistoryEntry(entry, side) {
+  const expected = side === 'before' ? 'after' : 'before';
+  const lists = { anniversaries: loadAnniversaries(), trash: loadTrash() };
+  const changes = side === 'before' ? [...entry.changes].reverse() : entry.changes;
+
+  changes.forEach((change) => {
+    const current = lists[change.store].find((a) => a.id === change.id) || null;
+
+    if (JSON.stringify(current) !== JSON.stringify(change[expected])) {
+      throw new Error(`"${entry.label}" can no longer be applied: the anniversary has changed since`);
     }
+  });
 
-    // Update the anniversary
-    anniversaries[index] = {
-      ...anniversaries[index],
-      ...updates,
-      id: anniversaries[index].id, // Preserve ID
-      createdAt: anniversaries[index].createdAt, // Preserve creation time
-      updatedAt: new Date().toISOString(), // Update timestamp
-    };
+  changes.forEach((change) => {
+    const list = lists[change.store];
+    const index = list.findIndex((a) => a.id === change.id);
+    const record = change[side];
 
-    // Validate updated anniversary
-    validateAnniversary(anniversaries[index]);
+    if (!record) {
+      list.splice(index, 1);
+    } else if (index === -1) {
+      list.push(record);
+    } else {
+      list[index] = record;
+    }
+  });
 
-    saveAnniversaries(anniversaries);
+  saveAnniversaries(lists.anniversaries);
+  saveTrash(lists.trash);
 
-    return anniversaries;
-  } catch (error) {
-    throw new Error(`Error updating anniversary: ${error.message}`);
-  }
+  return lists;
 }
 
 /**
- * Delete an anniversary
+ * Move the newest entry from one stack to the other, applying it
  *
- * @param {string} id - Anniversary ID to delete
- * @returns {Anniversary[]} Updated array of all anniversaries
- * @throws {Error} If delete fails
+ * @param {('undo'|'redo')} from - Stack to take the entry from
+ * @returns {{anniversaries: Anniversary[], trash: Anniversary[], label: string}|null}
+ *   Updated lists and the entry label, or null if the stack is empty
+ * @throws {Error} If the entry no longer applies (it is discarded)
  */
-export function deleteAnniversary(id) {
+function stepHistory(from) {
+  const history = loadHistory();
+  const to = from === 'undo' ? 'redo' : 'undo';
+  const entry = history[from].pop();
+
+  if (!entry) {
+    return null;
+  }
+
   try {
-    const anniversaries = loadAnniversaries();
-    const filtered = anniversaries.filter((a) => a.id !== id);
+    const lists = applyHistoryEntry(entry, from === 'undo' ? 'before' : 'after');
+    history[to].push(entry);
+    return { ...lists, label: entry.label };
+  } finally {
+    saveHistory(history);
+  }
+}
 
-    saveAnniversaries(filtered);
+/**
+ * Undo the most recent operation
+ *
+ * @returns {{anniversaries: Anniversary[], trash: Anniversary[], label: string}|null}
+ *   Updated lists and the undone operation's label, or null if there is nothing to undo
+ * @throws {Error} If the operation can no longer be undone
+ */
+export function undoOperation() {
+  try {
+    return stepHistory('undo');
+  } catch (error) {
+    throw new Error(`Error undoing: ${error.message}`);
+  }
+}
 
-    return filtered;
+/**
+ * Redo the most recently undone operation
+ *
+ * @returns {{anniversaries: Anniversary[], trash: Anniversary[], label: string}|null}
+ *   Updated lists and the redone operation's label, or null if there is nothing to redo
+ * @throws {Error} If the operation can no longer be redone
+ */
+export function redoOperation() {
+  try {
+    return stepHistory('redo');
   } catch (error) {
-    throw new Error(`Error deleting anniversary: ${error.message}`);
+    throw new Error(`Error redoing: ${error.message}`);
   }
 }
 
 /**
- * Export all anniversaries to JSON string
+ * Describe what undo and redo would do
+ *
+ * @returns {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}} History state
+ */
+export function getHistoryState() {
+  const { undo, redo } = loadHistory();
+  const last = (stack) => (stack.length > 0 ? stack[stack.length - 1].label : null);
+
+  return {
+    canUndo: undo.length > 0,
+    canRedo: redo.length > 0,
+    undoLabel: last(undo),
+    redoLabel: last(redo),
+  };
+}
+
+/**
+ * Subscribe to changes of the undo history
+ *
+ * @param {Function} listener - Called with the new history state
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeHistory(listener) {
+  return subscribe(HISTORY_KEY, () => listener(getHistoryState()));
+}
+
+/**
+ * Forget all recorded operations
+ */
+export function clearHistory() {
+  removeStoredValue(HISTORY_KEY);
+}
+
+/**
+ * A reminder recorded as fired
+ *
+ * @typedef {Object} FiredReminder
+ * @property {string} key - DueReminder key (anniversary, occurrence and timing)
+ * @property {string} anniversaryId - Anniversary ID
+ * @property {string} firedAt - ISO datetime the reminder was delivered
+ */
+
+/**
+ * A reminder postponed from its notification
+ *
+ * @typedef {Object} SnoozedReminder
+ * @property {Object} reminder - Serialized DueReminder (dates as ISO strings)
+ * @property {string} until - ISO datetime the reminder fires again
+ */
+
+/**
+ * An occurrence marked done from a notification; its remaining reminders are skipped
+ *
+ * @typedef {Object} DoneOccurrence
+ * @property {string} occurrenceKey - DueReminder occurrence key
+ * @property {string} doneAt - ISO datetime it was marked done
+ */
+
+/**
+ * Read the notification log from a stored value
+ *
+ * @param {Object|null} stored - Stored log
+ * @returns {{lastCheckedAt: string|null, fired: FiredReminder[], snoozed: SnoozedReminder[], done: DoneOccurrence[]}} Log
+ */
+function readNotificationLog(stored) {
+  const list = (field) => (stored && Array.isArray(stored[field]) ? [...stored[field]] : []);
+
+  return {
+    lastCheckedAt: (stored && stored.lastCheckedAt) || null,
+    fired: list('fired'),
+    snoozed: list('snoozed'),
+    done: list('done'),
+  };
+}
+
+/**
+ * Load the log of fired, snoozed and done reminders
+ *
+ * @returns {{lastCheckedAt: string|null, fired: FiredReminder[], snoozed: SnoozedReminder[], done: DoneOccurrence[]}} Log, oldest entries first
+ */
+export function loadNotificationLog() {
+  return readNotificationLog(getStoredValue(NOTIFICATION_LOG_KEY));
+}
+
+/**
+ * Change the notification log as one step across tabs and the service worker
+ *
+ * @param {Function} change - (log) => result; may modify the log in place
+ * @returns {Promise<*>} The change's result
+ */
+function updateNotificationLog(change) {
+  return updateStoredValue(NOTIFICATION_LOG_KEY, (stored) => {
+    const log = readNotificationLog(stored);
+    const result = change(log);
+    return { value: { version: STORAGE_VERSION, ...log }, result };
+  });
+}
+
+/**
+ * Claim the reminders due since the last check, so each fires exactly once
+ *
+ * `collect` receives the time of the last check (null on the very first
+ * check) and returns the reminders due since then. Snoozed reminders whose
+ * time has come are added. Reminders already in the log, or whose occurrence
+ * was marked done, are dropped; the rest are logged as fired together with
+ * the new check time, in one step across tabs and the service worker. Only
+ * the returned reminders should be delivered.
+ *
+ * Re-fired snoozes are returned as stored (dates as ISO strings) with
+ * `snoozed: true` and `fireAt` set to the snooze time.
+ *
+ * @param {Date} now - Time of this check
+ * @param {Function} collect - (lastCheckedAt: Date|null) => DueReminder[]
+ * @returns {Promise<DueReminder[]>} Reminders this caller should deliver
+ */
+export function claimDueReminders(now, collect) {
+  return updateNotificationLog((log) => {
+    const lastCheckedAt = log.lastCheckedAt ? new Date(log.lastCheckedAt) : null;
+    const cutoff = now.getTime() - NOTIFICATION_LOG_DAYS * DAY_MS;
+
+    log.fired = log.fired.filter((entry) => Date.parse(entry.firedAt) >= cutoff);
+    log.done = log.done.filter((entry) => Date.parse(entry.doneAt) >= cutoff);
+
+    // Never move the check time backwards (e.g. a check with an older `now`)
+    if (lastCheckedAt && lastCheckedAt > now) {
+      return [];
+    }
+
+    const dueSnoozes = log.snoozed.filter((entry) => Date.parse(entry.until) <= now.getTime());
+    log.snoozed = log.snoozed.filter((entry) => !dueSnoozes.includes(entry));
+
+    const firedKeys = new Set(log.fired.map((entry) => entry.key));
+    const doneKeys = new Set(log.done.map((entry) => entry.occurrenceKey));
+    const fresh = collect(lastCheckedAt);
+    const freshOccurrences = new Set(fresh.map((reminder) => reminder.occurrenceKey));
+
+    // A snooze is superseded by a newer reminder for the same occurrence
+    const candidates = [
+      ...fresh,
+      ...dueSnoozes
+        .filter(({ reminder }) => !freshOccurrences.has(reminder.occurrenceKey))
+        .map(({ reminder, until }) => ({
+          ...reminder,
+          key: `${reminder.key}|snoozed-${until}`,
+          fireAt: until,
+          snoozed: true,
+        })),
+    ];
+
+    const claimed = candidates.filter((reminder) => {
+      if (firedKeys.has(reminder.key) || doneKeys.has(reminder.occurrenceKey)) {
+        return false;
+      }
+      firedKeys.add(reminder.key);
+      return true;
+    });
+
+    const firedAt = now.toISOString();
+    claimed.forEach((reminder) => {
+      log.fired.push({ key: reminder.key, anniversaryId: reminder.anniversaryId, firedAt });
+    });
+    log.lastCheckedAt = firedAt;
+
+    return claimed;
+  });
+}
+
+/**
+ * Postpone a reminder
+ *
+ * Replaces an earlier snooze of the same reminder. The checker delivers it
+ * again once `until` has passed.
+ *
+ * @param {Object} reminder - Serialized DueReminder
+ * @param {Date} until - When to remind again
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function snoozeReminder(reminder, until) {
+  return updateNotificationLog((log) => {
+    log.snoozed = [
+      ...log.snoozed.filter((entry) => entry.reminder.key !== reminder.key),
+      { reminder, until: until.toISOString() },
+    ];
+  });
+}
+
+/**
+ * Mark a reminder's occurrence as done
+ *
+ * Pending snoozes and the occurrence's remaining reminders (e.g. the
+ * on-the-day reminder after the one a day before) are skipped.
+ *
+ * @param {Object} reminder - Serialized DueReminder
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function markReminderDone(reminder, now = new Date()) {
+  return updateNotificationLog((log) => {
+    log.snoozed = log.snoozed.filter(
+      (entry) => entry.reminder.occurrenceKey !== reminder.occurrenceKey
+    );
+    if (!log.done.some((entry) => entry.occurrenceKey === reminder.occurrenceKey)) {
+      log.done.push({ occurrenceKey: reminder.occurrenceKey, doneAt: now.toISOString() });
+    }
+  });
+}
+
+/**
+ * A reminder recorded in the in-app notification center
  *
- * @returns {string} JSON string of all anniversaries with metadata
+ * @typedef {Object} InboxEntry
+ * @property {string} id - DueReminder key, so a reminder is recorded once
+ * @property {('reminder'|'milestone'|'weekly')} kind - What the entry is about
+ * @property {string|null} anniversaryId - Anniversary ID (null for summaries)
+ * @property {string} title - Notification title
+ * @property {string} body - Notification text
+ * @property {string} firedAt - ISO datetime the reminder was due
+ * @property {string|null} readAt - ISO datetime it was read (null while unread)
  */
-export function exportToJSON() {
-  try {
-    const anniversaries = loadAnniversaries();
 
-    const exportData = {
-      version: STORAGE_VERSION,
-      exportedAt: new Date().toISOString(),
-      count: anniversaries.length,
-      anniversaries,
-    };
+/**
+ * Read the inbox entries from a stored value
+ *
+ * @param {Object|null} stored - Stored inbox
+ * @returns {InboxEntry[]} Entries, newest first
+ */
+function readInbox(stored) {
+  return stored && Array.isArray(stored.entries) ? [...stored.entries] : [];
+}
 
-    return JSON.stringify(exportData, null, 2);
-  } catch (error) {
-    throw new Error(`Error exporting data: ${error.message}`);
-  }
+/**
+ * Change the inbox as one step across tabs and the service worker
+ *
+ * @param {Function} change - (entries) => entries
+ * @returns {Promise<void>} Resolves once saved
+ */
+function updateInbox(change) {
+  return updateStoredValue(NOTIFICATION_INBOX_KEY, (stored) => ({
+    value: { version: STORAGE_VERSION, entries: change(readInbox(stored)) },
+  }));
 }
 
 /**
- * Import anniversaries from JSON string
+ * Load the in-app notification center
  *
- * @param {string} jsonString - JSON string containing anniversaries
- * @param {boolean} replace - If true, replace existing data; if false, merge with existing
- * @returns {Anniversary[]} Updated array of all anniversaries
- * @throws {Error} If JSON is invalid or import fails
+ * @returns {InboxEntry[]} Entries, newest first
  */
-export function importFromJSON(jsonString, replace = false) {
-  try {
-    const parsed = JSON.parse(jsonString);
+export function loadNotificationInbox() {
+  return readInbox(getStoredValue(NOTIFICATION_INBOX_KEY));
+}
 
-    // Validate import data structure
-    if (!parsed.anniversaries || !Array.isArray(parsed.anniversaries)) {
-      throw new Error('Invalid import data: missing anniversaries array');
-    }
+/**
+ * Record reminders in the in-app notification center
+ *
+ * Entries already recorded are ignored; the oldest entries are dropped
+ * beyond the last 100.
+ *
+ * @param {InboxEntry[]} entries - New entries
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function addToNotificationInbox(entries) {
+  if (entries.length === 0) {
+    return Promise.resolve();
+  }
 
-    // Validate each anniversary
-    const validAnniversaries = [];
-    const errors = [];
+  return updateInbox((stored) => {
+    const ids = new Set(stored.map((entry) => entry.id));
+    const added = entries.filter((entry) => !ids.has(entry.id));
 
-    parsed.anniversaries.forEach((anniversary, index) => {
-      try {
-        validateAnniversary(anniversary);
-        validAnniversaries.push(anniversary);
-      } catch (error) {
-        errors.push(`Anniversary ${index + 1}: ${error.message}`);
-      }
-    });
+    return [...added, ...stored]
+      .sort((a, b) => Date.parse(b.firedAt) - Date.parse(a.firedAt))
+      .slice(0, MAX_INBOX_ENTRIES);
+  });
+}
 
-    if (errors.length > 0) {
-      console.warn('Some anniversaries were invalid:', errors);
-    }
+/**
+ * Mark notification center entries as read
+ *
+ * @param {string[]|null} [ids] - Entries to mark, or null for all of them
+ * @param {Date} [now] - Current time (defaults to now)
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function markNotificationsRead(ids = null, now = new Date()) {
+  return updateInbox((stored) =>
+    stored.map((entry) =>
+      !entry.readAt && (!ids || ids.includes(entry.id))
+        ? { ...entry, readAt: now.toISOString() }
+        : entry
+    )
+  );
+}
 
-    if (validAnniversaries.length === 0) {
-      throw new Error('No valid anniversaries found in import data');
-    }
+/**
+ * Remove every entry from the notification center
+ *
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function clearNotificationInbox() {
+  return updateInbox(() => []);
+}
 
-    // Load existing anniversaries if merging
-    let finalAnniversaries;
-    if (replace) {
-      finalAnniversaries = validAnniversaries;
-    } else {
-      const existing = loadAnniversaries();
-      const existingIds = new Set(existing.map((a) => a.id));
+/**
+ * Subscribe to notification center changes, including other tabs' and the
+ * service worker's
+ *
+ * @param {Function} listener - Called with the entries, newest first
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeNotificationInbox(listener) {
+  return subscribe(NOTIFICATION_INBOX_KEY, () => listener(loadNotificationInbox()));
+}
 
-      // Only add anniversaries that don't already exist
-      const newAnniversaries = validAnniversaries.filter((a) => !existingIds.has(a.id));
-      finalAnniversaries = [...existing, ...newAnniversaries];
-    }
+/**
+ * One webhook delivery, successful or not
+ *
+ * @typedef {Object} WebhookDelivery
+ * @property {string} id - Unique identifier
+ * @property {string} url - Webhook URL
+ * @property {string} title - Title of the delivered reminder
+ * @property {('delivered'|'failed')} status - Outcome after all attempts
+ * @property {number} attempts - Number of requests made
+ * @property {number|null} statusCode - HTTP status of the last response (null if there was none)
+ * @property {string|null} error - Why the delivery failed
+ * @property {string} sentAt - ISO datetime of the last attempt
+ */
 
-    saveAnniversaries(finalAnniversaries);
+/**
+ * Load the webhook delivery log
+ *
+ * @returns {WebhookDelivery[]} Deliveries, newest first
+ */
+export function loadWebhookLog() {
+  const stored = getStoredValue(WEBHOOK_LOG_KEY);
+  return stored && Array.isArray(stored.entries) ? [...stored.entries] : [];
+}
 
-    return finalAnniversaries;
-  } catch (error) {
-    if (error instanceof SyntaxError) {
-      throw new Error('Invalid JSON format');
-    }
-    throw new Error(`Error importing data: ${error.message}`);
-  }
+/**
+ * Record a webhook delivery in the log
+ *
+ * The oldest deliveries are dropped beyond the last 50.
+ *
+ * @param {WebhookDelivery} delivery - Delivery to record
+ * @returns {Promise<void>} Resolves once saved
+ */
+export function addWebhookDelivery(delivery) {
+  return updateStoredValue(WEBHOOK_LOG_KEY, (stored) => {
+    const entries = stored && Array.isArray(stored.entries) ? stored.entries : [];
+    return {
+      value: {
+        version: STORAGE_VERSION,
+        entries: [delivery, ...entries].slice(0, MAX_WEBHOOK_LOG_ENTRIES),
+      },
+    };
+  });
 }
 
 /**
- * Clear all anniversaries from storage
+ * Remove every entry from the webhook delivery log
  *
  * @returns {void}
  */
-export function clearAll() {
-  try {
-    localStorage.removeItem(STORAGE_KEY);
-  } catch (error) {
-    throw new Error(`Error clearing data: ${error.message}`);
-  }
+export function clearWebhookLog() {
+  removeStoredValue(WEBHOOK_LOG_KEY);
 }
 
 /**
- * Get storage usage information
+ * Subscribe to webhook delivery log changes, including other tabs' and the
+ * service worker's
  *
- * @returns {Object} Storage stats
+ * @param {Function} listener - Called with the deliveries, newest first
+ * @returns {Function} Unsubscribe function
  */
-export function getStorageInfo() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    const anniversaries = loadAnniversaries();
-
-    return {
-      count: anniversaries.length,
-      size: data ? data.length : 0,
-      sizeKB: data ? (data.length / 1024).toFixed(2) : 0,
-      lastUpdated: data ? JSON.parse(data).lastUpdated : null,
-    };
-  } catch (error) {
-    console.error('Error getting storage info:', error);
-    return {
-      count: 0,
-      size: 0,
-      sizeKB: 0,
-      lastUpdated: null,
-    };
-  }
+export function subscribeWebhookLog(listener) {
+  return subscribe(WEBHOOK_LOG_KEY, () => listener(loadWebhookLog()));
 }
 
 /**
@@ -319,28 +2401,26 @@ export function getStorageInfo() {
  */
 export function loadTrash() {
   try {
-    const data = localStorage.getItem(TRASH_KEY);
+    const parsed = getStoredValue(TRASH_KEY);
 
-    if (!data) {
+    if (!parsed) {
       return [];
     }
 
-    const parsed = JSON.parse(data);
-
     if (!parsed.items || !Array.isArray(parsed.items)) {
-      console.error('Invalid trash data structure in localStorage');
+      console.error('Invalid trash data structure in storage');
       return [];
     }
 
-    return parsed.items;
+    return [...parsed.items];
   } catch (error) {
-    console.error('Error loading trash from localStorage:', error);
+    console.error('Error loading trash from storage:', error);
     return [];
   }
 }
 
 /**
- * Save trash items to localStorage
+ * Save trash items to storage
  *
  * @param {Anniversary[]} items - Array of deleted anniversary objects
  */
@@ -356,12 +2436,22 @@ export function saveTrash(items) {
       lastUpdated: new Date().toISOString(),
     };
 
-    localStorage.setItem(TRASH_KEY, JSON.stringify(data));
+    setStoredValue(TRASH_KEY, data);
   } catch (error) {
     throw new Error(`Error saving trash: ${error.message}`);
   }
 }
 
+/**
+ * Subscribe to trash changes, including those made in other tabs
+ *
+ * @param {Function} listener - Called with the current trash items
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeTrash(listener) {
+  return subscribe(TRASH_KEY, () => listener(loadTrash()));
+}
+
 /**
  * Move an anniversary to trash (soft delete)
  *
@@ -391,6 +2481,10 @@ export function moveToTrash(id) {
 
     saveAnniversaries(updatedAnniversaries);
     saveTrash(updatedTrash);
+    recordOperation(OPERATION_TYPES.TRASH, [
+      { store: 'anniversaries', id, before: anniversaries[anniversaryIndex], after: null },
+      { store: 'trash', id, before: null, after: deletedAnniversary },
+    ]);
 
     return {
       anniversaries: updatedAnniversaries,
@@ -408,25 +2502,40 @@ export function moveToTrash(id) {
  * @returns {Object} Object containing updated anniversaries and trash
  */
 export function restoreFromTrash(id) {
+  return restoreManyFromTrash([id]);
+}
+
+/**
+ * Restore several anniversaries from trash as one undoable operation
+ *
+ * @param {string[]} ids - Anniversary IDs to restore
+ * @returns {Object} Object containing updated anniversaries and trash
+ * @throws {Error} If any ID is not in the trash
+ */
+export function restoreManyFromTrash(ids) {
   try {
     const anniversaries = loadAnniversaries();
     const trash = loadTrash();
+    const idSet = new Set(ids);
+    const items = trash.filter((a) => idSet.has(a.id));
 
-    const trashIndex = trash.findIndex((a) => a.id === id);
-
-    if (trashIndex === -1) {
+    if (items.length === 0 || items.length !== idSet.size) {
       throw new Error('Anniversary not found in trash');
     }
 
     // Remove deletedAt timestamp
-    const { deletedAt, ...restoredAnniversary } = trash[trashIndex];
+    const restored = items.map(({ deletedAt, ...restoredAnniversary }) => restoredAnniversary);
 
     // Remove from trash and add back to anniversaries
-    const updatedTrash = trash.filter((a) => a.id !== id);
-    const updatedAnniversaries = [...anniversaries, restoredAnniversary];
+    const updatedTrash = trash.filter((a) => !idSet.has(a.id));
+    const updatedAnniversaries = [...anniversaries, ...restored];
 
     saveAnniversaries(updatedAnniversaries);
     saveTrash(updatedTrash);
+    recordOperation(OPERATION_TYPES.RESTORE, [
+      ...items.map((item) => ({ store: 'trash', id: item.id, before: item, after: null })),
+      ...restored.map((item) => ({ store: 'anniversaries', id: item.id, before: null, after: item })),
+    ]);
 
     return {
       anniversaries: updatedAnniversaries,
@@ -444,32 +2553,320 @@ export function restoreFromTrash(id) {
  * @returns {Anniversary[]} Updated trash array
  */
 export function permanentDelete(id) {
+  return permanentDeleteMany([id]);
+}
+
+/**
+ * Permanently delete several anniversaries from trash as one undoable operation
+ *
+ * @param {string[]} ids - Anniversary IDs to permanently delete
+ * @returns {Anniversary[]} Updated trash array
+ */
+export function permanentDeleteMany(ids) {
   try {
     const trash = loadTrash();
-    const updatedTrash = trash.filter((a) => a.id !== id);
+    const idSet = new Set(ids);
+    const items = trash.filter((a) => idSet.has(a.id));
+    const updatedTrash = trash.filter((a) => !idSet.has(a.id));
 
     saveTrash(updatedTrash);
 
+    if (items.length > 0) {
+      recordOperation(
+        OPERATION_TYPES.DELETE,
+        items.map((item) => ({ store: 'trash', id: item.id, before: item, after: null }))
+      );
+    }
+
     return updatedTrash;
   } catch (error) {
     throw new Error(`Error permanently deleting: ${error.message}`);
   }
 }
 
+/**
+ * Get how many days remain before a trashed item is purged
+ *
+ * @param {Anniversary} item - Trashed anniversary (with deletedAt)
+ * @param {number|null} retentionDays - Retention period in days, or null to keep forever
+ * @param {Date} [now] - Current time
+ * @returns {number|null} Whole days left (0 = purged at next startup), or null if never purged
+ */
+export function getTrashDaysLeft(item, retentionDays, now = new Date()) {
+  const deletedAt = Date.parse(item.deletedAt);
+
+  if (!retentionDays || Number.isNaN(deletedAt)) {
+    return null;
+  }
+
+  const expiresAt = deletedAt + retentionDays * DAY_MS;
+  return Math.max(0, Math.ceil((expiresAt - now.getTime()) / DAY_MS));
+}
+
+/**
+ * Permanently delete trashed items older than the retention period
+ *
+ * Runs on startup. A snapshot is taken before anything is purged; if it
+ * cannot be saved nothing is purged, and the next start tries again.
+ *
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Anniversary[]>} Purged items
+ */
+export async function purgeExpiredTrash(now = new Date()) {
+  try {
+    const { trashRetentionDays } = loadSettings();
+    const trash = loadTrash();
+    const expired = trash.filter((item) => getTrashDaysLeft(item, trashRetentionDays, now) === 0);
+
+    if (expired.length === 0) {
+      return [];
+    }
+
+    await takeSnapshot(SNAPSHOT_REASONS.BEFORE_PURGE);
+
+    // Re-read: the trash may have changed while the snapshot was saved
+    const expiredIds = new Set(expired.map((item) => item.id));
+    saveTrash(loadTrash().filter((item) => !expiredIds.has(item.id)));
+
+    return expired;
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    return [];
+  }
+}
+
 /**
  * Clear all items from trash
  *
- * @returns {void}
+ * Nothing is cleared unless a snapshot of the current data could be saved.
+ *
+ * @returns {Promise<void>} Resolves once cleared
+ * @throws {Error} If the snapshot or the clearing fails
  */
-export function clearTrash() {
+export async function clearTrash() {
   try {
-    localStorage.removeItem(TRASH_KEY);
+    await takeSnapshot(SNAPSHOT_REASONS.BEFORE_EMPTY_TRASH);
+    removeStoredValue(TRASH_KEY);
   } catch (error) {
     throw new Error(`Error clearing trash: ${error.message}`);
   }
 }
 
+/**
+ * Load app settings from storage
+ *
+ * @returns {AppSettings} Stored settings merged over the defaults
+ */
+export function loadSettings() {
+  try {
+    const data = getStoredValue(SETTINGS_KEY);
+
+    if (!data) {
+      return { ...DEFAULT_SETTINGS };
+    }
+
+    return { ...DEFAULT_SETTINGS, ...data };
+  } catch (error) {
+    console.error('Error loading settings from storage:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save app settings to storage
+ *
+ * @param {AppSettings} settings - Settings to save
+ * @returns {AppSettings} Saved settings
+ */
+export function saveSettings(settings) {
+  try {
+    const merged = { ...DEFAULT_SETTINGS, ...settings };
+    setStoredValue(SETTINGS_KEY, merged);
+    return merged;
+  } catch (error) {
+    throw new Error(`Error saving settings: ${error.message}`);
+  }
+}
+
+/**
+ * Subscribe to settings changes, including those made in other tabs
+ *
+ * @param {Function} listener - Called with the current settings
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSettings(listener) {
+  return subscribe(SETTINGS_KEY, () => listener(loadSettings()));
+}
+
+/**
+ * Load the category registry from storage
+ *
+ * @returns {Category[]} Stored categories, or the defaults if none are stored
+ */
+export function loadCategories() {
+  try {
+    const parsed = getStoredValue(CATEGORIES_KEY);
+
+    if (!parsed) {
+      return DEFAULT_CATEGORIES.map((category) => ({ ...category }));
+    }
+
+    if (!parsed.categories || !Array.isArray(parsed.categories)) {
+      console.error('Invalid category data structure in storage');
+      return DEFAULT_CATEGORIES.map((category) => ({ ...category }));
+    }
+
+    // The fallback category must always exist
+    if (!parsed.categories.some((category) => category.id === ANNIVERSARY_CATEGORIES.OTHER)) {
+      return [...parsed.categories, { ...DEFAULT_CATEGORIES[DEFAULT_CATEGORIES.length - 1] }];
+    }
+
+    return [...parsed.categories];
+  } catch (error) {
+    console.error('Error loading categories from storage:', error);
+    return DEFAULT_CATEGORIES.map((category) => ({ ...category }));
+  }
+}
+
+/**
+ * Save the category registry to storage
+ *
+ * @param {Category[]} categories - Categories to save
+ * @throws {Error} If a category is invalid or storage fails
+ */
+export function saveCategories(categories) {
+  try {
+    if (!Array.isArray(categories)) {
+      throw new Error('Categories must be an array');
+    }
+
+    categories.forEach(validateCategory);
+
+    const data = {
+      version: STORAGE_VERSION,
+      categories,
+      lastUpdated: new Date().toISOString(),
+    };
+
+    setStoredValue(CATEGORIES_KEY, data);
+  } catch (error) {
+    throw new Error(`Error saving categories: ${error.message}`);
+  }
+}
+
+/**
+ * Subscribe to category registry changes, including those made in other tabs
+ *
+ * @param {Function} listener - Called with the current categories
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeCategories(listener) {
+  return subscribe(CATEGORIES_KEY, () => listener(loadCategories()));
+}
+
+/**
+ * Add a new category to the registry
+ *
+ * @param {Object} data - Category data (label, emoji, color)
+ * @returns {Category[]} Updated category registry
+ * @throws {Error} If the category is invalid or the name is taken
+ */
+export function addCategory(data) {
+  try {
+    const categories = loadCategories();
+    const category = createCategory(data);
+
+    if (categories.some((c) => c.label.toLowerCase() === category.label.toLowerCase())) {
+      throw new Error(`A category named "${category.label}" already exists`);
+    }
+
+    const updated = [...categories, category];
+    saveCategories(updated);
+
+    return updated;
+  } catch (error) {
+    throw new Error(`Error adding category: ${error.message}`);
+  }
+}
+
+/**
+ * Rename or recolour a category
+ *
+ * @param {string} id - Category ID to update
+ * @param {Object} updates - Fields to update (label, emoji, color)
+ * @returns {Category[]} Updated category registry
+ * @throws {Error} If the category is not found or the update is invalid
+ */
+export function updateCategory(id, updates) {
+  try {
+    const categories = loadCategories();
+    const index = categories.findIndex((c) => c.id === id);
+
+    if (index === -1) {
+      throw new Error('Category not found');
+    }
+
+    const updated = [...categories];
+    updated[index] = {
+      ...categories[index],
+      ...updates,
+      id: categories[index].id, // Preserve ID
+    };
+
+    saveCategories(updated);
+
+    return updated;
+  } catch (error) {
+    throw new Error(`Error updating category: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a category, moving its anniversaries (including trashed ones) to 'other'
+ *
+ * @param {string} id - Category ID to delete
+ * @returns {Object} Object containing updated categories, anniversaries and trash
+ * @throws {Error} If the category is the fallback category or delete fails
+ */
+export function deleteCategory(id) {
+  try {
+    if (id === ANNIVERSARY_CATEGORIES.OTHER) {
+      throw new Error('The "Other" category cannot be deleted');
+    }
+
+    const reassign = (a) =>
+      a.category === id ? { ...a, category: ANNIVERSARY_CATEGORIES.OTHER } : a;
+
+    const anniversaries = loadAnniversaries().map(reassign);
+    const trash = loadTrash().map(reassign);
+    const categories = loadCategories().filter((c) => c.id !== id);
+
+    saveAnniversaries(anniversaries);
+    saveTrash(trash);
+    saveCategories(categories);
+
+    return { categories, anniversaries, trash };
+  } catch (error) {
+    throw new Error(`Error deleting category: ${error.message}`);
+  }
+}
+
 export default {
+  // Storage backend
+  initStorage,
+  runMigrations,
+  getStoredSchemaVersion,
+  loadMigrationBackup,
+  clearMigrationBackup,
+  flushStorage,
+  getStorageBackend,
+  isStorageFallback,
+  getStoredValue,
+  setStoredValue,
+  removeStoredValue,
+  subscribe,
+  subscribeSyncConflicts,
+  // Anniversaries
   loadAnniversaries,
   saveAnniversaries,
   getAnniversary,
@@ -477,14 +2874,75 @@ export default {
   updateAnniversary,
   deleteAnniversary,
   exportToJSON,
+  exportToICS,
+  exportToCSV,
+  exportEncryptedBackup,
+  isEncryptedBackup,
+  restoreEncryptedBackup,
+  previewImportFromJSON,
   importFromJSON,
+  importFromICS,
+  importFromCSV,
+  previewVCardImport,
+  importVCardSelection,
   clearAll,
   getStorageInfo,
+  // Snapshots
+  takeSnapshot,
+  takeDailySnapshot,
+  listSnapshots,
+  restoreSnapshot,
+  deleteSnapshot,
+
+  // Undo history
+  undoOperation,
+  redoOperation,
+  getHistoryState,
+  subscribeHistory,
+  clearHistory,
+
+  // Notification log
+  loadNotificationLog,
+  claimDueReminders,
+  snoozeReminder,
+  markReminderDone,
+
+  // Notification center
+  loadNotificationInbox,
+  addToNotificationInbox,
+  markNotificationsRead,
+  clearNotificationInbox,
+  subscribeNotificationInbox,
+
+  // Webhook delivery log
+  loadWebhookLog,
+  addWebhookDelivery,
+  clearWebhookLog,
+  subscribeWebhookLog,
+
   // Trash operations
   loadTrash,
   saveTrash,
+  subscribeTrash,
   moveToTrash,
   restoreFromTrash,
+  restoreManyFromTrash,
   permanentDelete,
+  permanentDeleteMany,
+  getTrashDaysLeft,
+  purgeExpiredTrash,
   clearTrash,
+  // Settings
+  NOTIFICATION_MODES,
+  NOTIFICATION_CHANNELS,
+  loadSettings,
+  saveSettings,
+  subscribeSettings,
+  // Categories
+  loadCategories,
+  saveCategories,
+  subscribeCategories,
+  addCategory,
+  updateCategory,
+  deleteCategory,
 };
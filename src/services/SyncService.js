@@ -0,0 +1,164 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * SyncService - Cross-tab coordination for the storage layer
+ *
+ * Every tab keeps its own in-memory cache, so two open tabs can each write a
+ * list derived from a stale copy. This module provides the pieces
+ * StorageService uses to prevent that: a write lock shared by all tabs, a
+ * broadcast channel announcing persisted writes, and a three-way merge that
+ * combines a tab's change with whatever another tab wrote in the meantime.
+ */
+
+const CHANNEL_NAME = 'anniversary-app-sync';
+const LOCK_NAME = 'anniversary-app-write';
+
+/**
+ * ID of this tab, used to ignore our own broadcasts
+ */
+export const TAB_ID = uuidv4();
+
+/**
+ * Run a function while holding the cross-tab write lock
+ *
+ * Uses the Web Locks API where available. Without it the function simply
+ * runs, so writes from two tabs at the same moment can still interleave.
+ *
+ * @param {Function} operation - async () => result
+ * @returns {Promise<*>} The operation's result
+ */
+export function withWriteLock(operation) {
+  if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+    return navigator.locks.request(LOCK_NAME, operation);
+  }
+  return operation();
+}
+
+/**
+ * Open the channel used to announce persisted writes to other tabs
+ *
+ * @param {Function} onMessage - Called with {key, value} for writes made by other tabs
+ * @returns {{post: Function, close: Function}|null} Channel, or null if BroadcastChannel is unsupported
+ */
+export function openSyncChannel(onMessage) {
+  if (typeof BroadcastChannel === 'undefined') {
+    return null;
+  }
+
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+
+  channel.onmessage = (event) => {
+    const message = event.data;
+    if (message && message.from !== TAB_ID && typeof message.key === 'string') {
+      onMessage(message);
+    }
+  };
+
+  return {
+    post: (key, value) => channel.postMessage({ from: TAB_ID, key, value }),
+    close: () => channel.close(),
+  };
+}
+
+/**
+ * Compare two stored values by content
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both serialize identically
+ */
+export function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Get a record's last-modified time
+ *
+ * @param {Object} record - Stored record
+ * @returns {number} Milliseconds since epoch (0 if unknown)
+ */
+function modifiedTime(record) {
+  const time = Date.parse(record.updatedAt || record.deletedAt || record.createdAt || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * A record changed differently by two tabs
+ *
+ * @typedef {Object} SyncConflict
+ * @property {string} id - Record ID
+ * @property {string} title - Record title (or label)
+ * @property {('ours'|'theirs')} kept - Which tab's version was kept
+ * @property {string} reason - 'edited' (both edited) or 'deleted' (one side deleted it)
+ */
+
+/**
+ * Three-way merge of two record lists keyed by id
+ *
+ * `ours` and `theirs` were both derived from `base`. A record changed on only
+ * one side takes that side's version. A record changed on both sides is a
+ * concurrent edit: the newer `updatedAt` wins, and an edit wins over a
+ * deletion so no change is silently lost. Each of those is reported.
+ *
+ * Records keep our order; records only the other tab added are appended.
+ *
+ * @param {Object[]} base - List both sides started from
+ * @param {Object[]} ours - This tab's list
+ * @param {Object[]} theirs - The list another tab persisted
+ * @returns {{records: Object[], conflicts: SyncConflict[]}} Merged list and detected conflicts
+ */
+export function mergeRecordLists(base, ours, theirs) {
+  const byId = (list) => new Map(list.map((record) => [record.id, record]));
+  const baseById = byId(base);
+  const oursById = byId(ours);
+  const theirsById = byId(theirs);
+  const conflicts = [];
+
+  const resolve = (id) => {
+    const b = baseById.get(id) || null;
+    const o = oursById.get(id) || null;
+    const t = theirsById.get(id) || null;
+
+    if (sameValue(o, b)) {
+      return t;
+    }
+    if (sameValue(t, b) || sameValue(o, t)) {
+      return o;
+    }
+
+    // Both tabs added the same record (e.g. both trashed it): not a conflict
+    if (!b && o && t) {
+      return modifiedTime(t) > modifiedTime(o) ? t : o;
+    }
+
+    const title = (o || t).title || (o || t).label || id;
+
+    if (!o || !t) {
+      const kept = o ? 'ours' : 'theirs';
+      conflicts.push({ id, title, kept, reason: 'deleted' });
+      return o || t;
+    }
+
+    const kept = modifiedTime(t) > modifiedTime(o) ? 'theirs' : 'ours';
+    conflicts.push({ id, title, kept, reason: 'edited' });
+    return kept === 'theirs' ? t : o;
+  };
+
+  const ids = [
+    ...ours.map((record) => record.id),
+    ...theirs.map((record) => record.id).filter((id) => !oursById.has(id)),
+    ...base.map((record) => record.id).filter((id) => !oursById.has(id) && !theirsById.has(id)),
+  ];
+
+  const records = [...new Set(ids)].map(resolve).filter(Boolean);
+
+  return { records, conflicts };
+}
+
+export default {
+  TAB_ID,
+  withWriteLock,
+  openSyncChannel,
+  sameValue,
+  mergeRecordLists,
+};
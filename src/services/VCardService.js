@@ -0,0 +1,286 @@
+import {
+  createAnniversary,
+  findCategory,
+  ANNIVERSARY_CATEGORIES,
+  UNKNOWN_YEAR,
+} from '../models/Anniversary';
+
+/**
+ * VCardService - vCard (.vcf) contact import
+ *
+ * Reads birthdays and wedding anniversaries from vCard 2.1, 3.0 and 4.0
+ * contacts exported by address books (Apple Contacts, Google Contacts,
+ * Outlook, Evolution) and turns them into anniversaries.
+ */
+
+/**
+ * Properties holding a wedding anniversary, standard first
+ */
+const ANNIVERSARY_PROPERTIES = [
+  'ANNIVERSARY',
+  'X-ANNIVERSARY',
+  'X-MS-ANNIVERSARY',
+  'X-EVOLUTION-ANNIVERSARY',
+];
+
+/**
+ * Unfold continuation lines (RFC 6350 §3.2)
+ *
+ * @param {string} text - Raw vCard text
+ * @returns {string[]} Unfolded, non-empty lines
+ */
+function unfoldLines(text) {
+  return String(text)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter((line) => line.trim() !== '');
+}
+
+/**
+ * Parse a content line into name, parameters and value
+ *
+ * Group prefixes such as "item1." are dropped.
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {{name: string, params: Object, value: string}|null} Parsed line, or null if malformed
+ */
+function parseLine(line) {
+  const colon = line.indexOf(':');
+  if (colon === -1) {
+    return null;
+  }
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+
+  rawParams.forEach((param) => {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return {
+    name: rawName.replace(/^[^.]*\./, '').toUpperCase(),
+    params,
+    value: line.slice(colon + 1).trim(),
+  };
+}
+
+/**
+ * Unescape a vCard text value
+ *
+ * @param {string} value - Escaped value
+ * @returns {string} Plain text
+ */
+function unescapeValue(value) {
+  return value.replace(/\\([nN,;\\])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+}
+
+/**
+ * Parse vCard text into contacts
+ *
+ * Each contact maps property names to the list of parsed lines carrying
+ * that property.
+ *
+ * @param {string} text - vCard file contents
+ * @returns {Object[]} Contacts
+ */
+export function parseVCards(text) {
+  const contacts = [];
+  let current = null;
+
+  unfoldLines(text).forEach((line) => {
+    const parsed = parseLine(line);
+    if (!parsed) {
+      return;
+    }
+
+    if (parsed.name === 'BEGIN' && parsed.value.toUpperCase() === 'VCARD') {
+      current = {};
+    } else if (parsed.name === 'END' && parsed.value.toUpperCase() === 'VCARD') {
+      if (current) {
+        contacts.push(current);
+      }
+      current = null;
+    } else if (current) {
+      (current[parsed.name] = current[parsed.name] || []).push(parsed);
+    }
+  });
+
+  return contacts;
+}
+
+/**
+ * Parse a vCard date value
+ *
+ * Accepts YYYY-MM-DD, YYYYMMDD, the year-less forms --MM-DD and --MMDD,
+ * and date-times (the time part is ignored). Apple Contacts marks a missing
+ * year with the X-APPLE-OMIT-YEAR parameter instead of the --MM-DD form.
+ *
+ * @param {string} value - Property value
+ * @param {Object} [params] - Property parameters
+ * @returns {{date: string, yearUnknown: boolean}|null} ISO date and whether the year is unknown, or null if unparseable
+ */
+export function parseVCardDate(value, params = {}) {
+  const text = value.trim().split('T')[0];
+  let match = text.match(/^--(\d{2})-?(\d{2})$/);
+  let year;
+  let month;
+  let day;
+
+  if (match) {
+    [, month, day] = match;
+    year = String(UNKNOWN_YEAR);
+  } else {
+    match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+    if (!match) {
+      return null;
+    }
+    [, year, month, day] = match;
+  }
+
+  const yearUnknown = !/^\d{4}/.test(text) || params['X-APPLE-OMIT-YEAR'] === year;
+  if (yearUnknown) {
+    year = String(UNKNOWN_YEAR);
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+
+  return { date: `${year}-${month}-${day}`, yearUnknown };
+}
+
+/**
+ * Get a contact's display name
+ *
+ * Uses FN, falling back to the structured N property (given + family name).
+ *
+ * @param {Object} contact - Parsed contact
+ * @returns {string} Name, or an empty string if the contact has none
+ */
+function getContactName(contact) {
+  const fn = contact.FN && unescapeValue(contact.FN[0].value).trim();
+  if (fn) {
+    return fn;
+  }
+
+  if (contact.N) {
+    const [family = '', given = ''] = contact.N[0].value.split(';').map(unescapeValue);
+    return [given, family].map((part) => part.trim()).filter(Boolean).join(' ');
+  }
+
+  return '';
+}
+
+/**
+ * Build a key identifying an anniversary by title and month-day
+ *
+ * @param {Object} anniversary - Anniversary or candidate
+ * @returns {string} Duplicate-detection key
+ */
+function duplicateKey(anniversary) {
+  return `${anniversary.title.trim().toLowerCase()}|${anniversary.date.slice(5)}`;
+}
+
+/**
+ * A contact date that could not be turned into an anniversary
+ *
+ * @typedef {Object} VCardSkipped
+ * @property {string} name - Contact name (or a placeholder)
+ * @property {string} reason - Why it was skipped
+ */
+
+/**
+ * An anniversary found in a vCard file
+ *
+ * @typedef {Object} VCardCandidate
+ * @property {Anniversary} anniversary - Validated anniversary, not yet saved
+ * @property {string} name - Contact name
+ * @property {boolean} duplicate - Whether it matches an existing anniversary
+ */
+
+/**
+ * Convert vCard contacts into anniversary candidates
+ *
+ * Each BDAY becomes a birthday and each anniversary property a wedding
+ * anniversary, both validated through createAnniversary. A candidate whose
+ * title and month-day match an existing anniversary (or an earlier candidate
+ * in the same file) is flagged as a duplicate.
+ *
+ * @param {string} text - vCard file contents
+ * @param {Object} options - Conversion options
+ * @param {Anniversary[]} options.existing - Anniversaries already saved
+ * @param {Category[]} options.categories - Category registry
+ * @returns {{candidates: VCardCandidate[], skipped: VCardSkipped[]}} Candidates and skipped contact dates
+ */
+export function parseContacts(text, { existing, categories }) {
+  const contacts = parseVCards(text);
+  const seen = new Set(existing.map(duplicateKey));
+  const candidates = [];
+  const skipped = [];
+
+  // Fall back to 'other' when a default category has been deleted
+  const categoryFor = (id) =>
+    findCategory(categories, id).id === id ? id : ANNIVERSARY_CATEGORIES.OTHER;
+
+  contacts.forEach((contact) => {
+    const name = getContactName(contact);
+    const entries = [];
+
+    if (contact.BDAY) {
+      entries.push({
+        line: contact.BDAY[0],
+        title: `${name}'s Birthday`,
+        category: categoryFor(ANNIVERSARY_CATEGORIES.BIRTHDAY),
+      });
+    }
+
+    const anniversaryLine = ANNIVERSARY_PROPERTIES
+      .map((property) => contact[property] && contact[property][0])
+      .find(Boolean);
+    if (anniversaryLine) {
+      entries.push({
+        line: anniversaryLine,
+        title: `${name}'s Wedding Anniversary`,
+        category: categoryFor(ANNIVERSARY_CATEGORIES.WEDDING),
+      });
+    }
+
+    entries.forEach(({ line, title, category }) => {
+      if (!name) {
+        skipped.push({ name: '(no name)', reason: 'Contact has no name' });
+        return;
+      }
+
+      const parsed = parseVCardDate(line.value, line.params);
+      if (!parsed) {
+        skipped.push({ name, reason: `Unrecognized date "${line.value}"` });
+        return;
+      }
+
+      try {
+        const anniversary = createAnniversary(
+          { title, date: parsed.date, yearUnknown: parsed.yearUnknown, category },
+          categories
+        );
+        const key = duplicateKey(anniversary);
+
+        candidates.push({ anniversary, name, duplicate: seen.has(key) });
+        seen.add(key);
+      } catch (error) {
+        skipped.push({ name, reason: error.message });
+      }
+    });
+  });
+
+  return { candidates, skipped };
+}
+
+export default {
+  parseVCards,
+  parseVCardDate,
+  parseContacts,
+};
@@ -0,0 +1,244 @@
+import { v4 as uuidv4 } from 'uuid';
+import { addWebhookDelivery } from './StorageService';
+
+/**
+ * WebhookService - Reminder delivery to a webhook
+ *
+ * POSTs reminders as JSON to a user-configured URL (a chat integration, a
+ * home automation hook, or the local stand-in from `npm run webhook:stand-in`).
+ * The body is built from a template, failed requests are retried with
+ * exponential backoff, and every delivery ends up in the delivery log.
+ *
+ * Requests are sent from the browser, so the receiving server has to allow
+ * cross-origin POSTs with a JSON body.
+ */
+
+/**
+ * Payload sent when no template is configured
+ */
+export const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "text": "{{title}}\\n{{body}}",
+  "anniversary": "{{anniversary}}",
+  "date": "{{date}}"
+}`;
+
+/**
+ * Placeholders available in payload templates
+ */
+export const WEBHOOK_PLACEHOLDERS = {
+  title: 'Reminder title',
+  body: 'Reminder text',
+  kind: 'reminder, milestone, digest, catch-up, weekly or test',
+  anniversary: 'Anniversary title (empty when several are bundled)',
+  anniversaryId: 'Anniversary ID (empty when several are bundled)',
+  date: 'Occurrence date as yyyy-MM-dd (empty when several are bundled)',
+  daysUntil: 'Days until the occurrence (empty when several are bundled)',
+  sentAt: 'ISO datetime the reminder was sent',
+};
+
+/**
+ * Most retries allowed after a failed request
+ */
+export const MAX_WEBHOOK_RETRIES = 5;
+
+/**
+ * Delay before the first retry; each further retry waits twice as long
+ */
+const RETRY_DELAY = 2000;
+
+/**
+ * Requests taking longer than this are aborted and count as failed
+ */
+const REQUEST_TIMEOUT = 10000;
+
+/**
+ * Check whether a string is a usable webhook URL
+ *
+ * @param {string} url - URL to check
+ * @returns {boolean} True for http and https URLs
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build a webhook payload from a template
+ *
+ * Every {{placeholder}} is replaced with its value escaped for use inside a
+ * JSON string, so placeholders belong between quotes. Unknown placeholders
+ * become empty.
+ *
+ * @param {string} template - JSON template (empty for the default)
+ * @param {Object} values - Placeholder values
+ * @returns {Object} Parsed payload
+ * @throws {Error} If the template does not produce valid JSON
+ */
+export function renderWebhookPayload(template, values) {
+  const text = (template || DEFAULT_WEBHOOK_TEMPLATE).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : JSON.stringify(String(value)).slice(1, -1);
+  });
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid payload template: ${error.message}`);
+  }
+}
+
+/**
+ * Wait before retrying
+ *
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the delay
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a failed response is worth retrying
+ *
+ * Client errors other than timeouts and rate limiting will fail the same way
+ * again.
+ *
+ * @param {number} status - HTTP status
+ * @returns {boolean} True if the request should be retried
+ */
+function isRetryable(status) {
+  return status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * POST a payload once
+ *
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Function} fetchImpl - fetch implementation
+ * @returns {Promise<Response>} Response
+ */
+async function postOnce(url, payload, fetchImpl) {
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), REQUEST_TIMEOUT) : null;
+
+  try {
+    return await fetchImpl(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller ? controller.signal : undefined,
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a reminder to a webhook and record the outcome in the delivery log
+ *
+ * Network errors, timeouts and retryable responses are retried up to
+ * `webhook.retries` times, waiting 2s, 4s, 8s… in between. An invalid URL or
+ * template fails at once.
+ *
+ * @param {{url: string, template: string, retries: number}} webhook - Webhook settings
+ * @param {Object} values - Placeholder values; `title` is also shown in the log
+ * @param {Object} [options] - Delivery options
+ * @param {Function} [options.fetchImpl] - fetch implementation (defaults to the global fetch)
+ * @param {number} [options.retryDelay] - Delay before the first retry in milliseconds
+ * @returns {Promise<WebhookDelivery>} The logged delivery
+ */
+export async function sendWebhook(webhook, values, { fetchImpl = fetch, retryDelay = RETRY_DELAY } = {}) {
+  const delivery = {
+    id: uuidv4(),
+    url: webhook.url,
+    title: values.title || '',
+    status: 'failed',
+    attempts: 0,
+    statusCode: null,
+    error: null,
+    sentAt: new Date().toISOString(),
+  };
+
+  const retries = Math.min(Math.max(0, Math.floor(Number(webhook.retries) || 0)), MAX_WEBHOOK_RETRIES);
+  let payload = null;
+
+  if (!isValidWebhookUrl(webhook.url)) {
+    delivery.error = 'Invalid webhook URL';
+  } else {
+    try {
+      payload = renderWebhookPayload(webhook.template, values);
+    } catch (error) {
+      delivery.error = error.message;
+    }
+  }
+
+  while (payload && delivery.attempts <= retries) {
+    if (delivery.attempts > 0) {
+      await wait(retryDelay * 2 ** (delivery.attempts - 1));
+    }
+
+    delivery.attempts++;
+    delivery.sentAt = new Date().toISOString();
+
+    try {
+      const response = await postOnce(webhook.url, payload, fetchImpl);
+      delivery.statusCode = response.status;
+
+      if (response.ok) {
+        delivery.status = 'delivered';
+        delivery.error = null;
+        break;
+      }
+
+      delivery.error = `HTTP ${response.status}${response.statusText ? ' ' + response.statusText : ''}`;
+      if (!isRetryable(response.status)) {
+        break;
+      }
+    } catch (error) {
+      delivery.statusCode = null;
+      delivery.error = error.name === 'AbortError' ? 'Request timed out' : error.message;
+    }
+  }
+
+  try {
+    await addWebhookDelivery(delivery);
+  } catch (error) {
+    console.error('Error logging webhook delivery:', error);
+  }
+
+  return delivery;
+}
+
+/**
+ * Send a test reminder to a webhook
+ *
+ * @param {{url: string, template: string, retries: number}} webhook - Webhook settings
+ * @returns {Promise<WebhookDelivery>} The logged delivery
+ */
+export function sendTestWebhook(webhook) {
+  return sendWebhook(webhook, {
+    title: 'Test reminder',
+    body: 'This is a test reminder from the Anniversary App',
+    kind: 'test',
+    anniversary: '',
+    anniversaryId: '',
+    date: '',
+    daysUntil: '',
+    sentAt: new Date().toISOString(),
+  });
+}
+
+export default {
+  DEFAULT_WEBHOOK_TEMPLATE,
+  WEBHOOK_PLACEHOLDERS,
+  MAX_WEBHOOK_RETRIES,
+  isValidWebhookUrl,
+  renderWebhookPayload,
+  sendWebhook,
+  sendTestWebhook,
+};
@@ -0,0 +1,179 @@
+/**
+ * Service worker
+ *
+ * Caches the app shell so the app opens offline, checks reminders whenever
+ * the worker wakes (activation and Periodic Background Sync), handles the
+ * reminder notification actions and focuses the app when a notification is
+ * clicked. Built as its own entry (see vite.config.js), which injects the
+ * list of files to precache.
+ */
+
+import { initStorage, loadAnniversaries } from './services/StorageService';
+import {
+  checkAndFireNotifications,
+  handleReminderAction,
+  REMINDER_ACTIONS,
+} from './services/NotificationService';
+import { PERIODIC_SYNC_TAG, SW_MESSAGES } from './services/ServiceWorkerService';
+
+/**
+ * Built files to precache, injected at build time
+ */
+const PRECACHE_FILES = self.__PRECACHE_MANIFEST || [];
+
+/**
+ * Cache name, changed whenever the built files change
+ */
+const CACHE_NAME = `anniversary-app-shell-${hashString(PRECACHE_FILES.join('|'))}`;
+
+/**
+ * Hash a string into a short cache version
+ *
+ * @param {string} text - Text to hash
+ * @returns {string} Base-36 hash
+ */
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Resolve a path relative to the worker's scope
+ *
+ * @param {string} path - Relative path
+ * @returns {string} Absolute URL
+ */
+function scopeUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * Check reminders against the stored anniversaries
+ *
+ * Reads the same IndexedDB data as the app. If the app had to fall back to
+ * localStorage (which workers cannot read), reminders are only checked while
+ * the app is open.
+ *
+ * @returns {Promise<number>} Number of reminders delivered
+ */
+async function checkReminders() {
+  try {
+    const backend = await initStorage();
+    if (backend !== 'indexeddb') {
+      return 0;
+    }
+    return await checkAndFireNotifications(loadAnniversaries());
+  } catch (error) {
+    console.error('Error checking reminders in service worker:', error);
+    return 0;
+  }
+}
+
+/**
+ * Focus an open app window, or open one, and report the clicked anniversary
+ *
+ * @param {Object} data - Notification data
+ * @returns {Promise<void>} Resolves once a window is focused or opened
+ */
+async function openApp(data = {}) {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+  if (windows.length === 0) {
+    // The app reads the anniversary to show from the URL on startup
+    const url = new URL(self.registration.scope);
+    if (data.anniversaryId) {
+      url.searchParams.set('anniversary', data.anniversaryId);
+    }
+    await self.clients.openWindow(url.href);
+    return;
+  }
+
+  const client = windows[0];
+  await client.focus();
+
+  if (data.anniversaryId) {
+    client.postMessage({ type: SW_MESSAGES.NOTIFICATION_CLICK, anniversaryId: data.anniversaryId });
+  }
+}
+
+/**
+ * Snooze or mark done the reminder a notification was shown for
+ *
+ * @param {string} action - A REMINDER_ACTIONS value
+ * @param {Object} data - Notification data
+ * @returns {Promise<void>} Resolves once saved
+ */
+async function applyAction(action, data = {}) {
+  try {
+    await initStorage();
+    await handleReminderAction(action, data.reminder);
+  } catch (error) {
+    console.error('Error handling notification action:', error);
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(['./', ...PRECACHE_FILES].map(scopeUrl)))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith('anniversary-app-shell-') && name !== CACHE_NAME)
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+      await checkReminders();
+    })()
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  // Pages: network first so updates show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => (await caches.match(scopeUrl('./'))) || Response.error())
+    );
+    return;
+  }
+
+  // Built files have hashed names, so cached copies never go stale
+  event.respondWith(
+    caches.match(request).then((cached) => cached || fetch(request))
+  );
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkReminders());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  const { action, notification } = event;
+  notification.close();
+
+  // Clicking the notification itself opens the app, like "Open"
+  if (action && action !== REMINDER_ACTIONS.OPEN) {
+    event.waitUntil(applyAction(action, notification.data));
+  } else {
+    event.waitUntil(openApp(notification.data));
+  }
+});
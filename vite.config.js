@@ -1,7 +1,41 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files from public/ that the service worker precaches next to the build output
+const PUBLIC_PRECACHE = ['manifest.webmanifest', 'icon.svg']
+
+// Inject the list of built files into the service worker so it can precache the app shell
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const worker = bundle['sw.js']
+      const files = Object.keys(bundle).filter((file) => file !== 'sw.js' && !file.endsWith('.map'))
+
+      worker.code = worker.code.replace(
+        'self.__PRECACHE_MANIFEST',
+        JSON.stringify([...new Set([...files, 'index.html', ...PUBLIC_PRECACHE])])
+      )
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
+  build: {
+    rollupOptions: {
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        sw: fileURLToPath(new URL('./src/sw.js', import.meta.url)),
+      },
+      output: {
+        // The worker must keep a fixed name at the root so its scope covers the app
+        entryFileNames: (chunk) => (chunk.name === 'sw' ? 'sw.js' : 'assets/[name]-[hash].js'),
+      },
+    },
+  },
 })